@@ -29,46 +29,104 @@
 
 const Init = require("./lib/Init");
 const Const = require("./lib/Const");
+const AsyncUtil = require("./lib/AsyncUtil");
+const DateUtil = require("./lib/DateUtil");
+const XMLTextUtil = require("./lib/XMLTextUtil");
+const MethodBinder = require("./lib/MethodBinder");
+const Security = require("./lib/Security");
+const FileDownload = require("./lib/FileDownload");
 const BaseRequest = require("./lib/BaseRequest");
 const BaseResponse = require("./lib/BaseResponse");
 const RPCRequest = require("./lib/RPCRequest");
 const RPCResponse = require("./lib/RPCResponse");
 const RPCManager = require("./lib/RPCManager");
+const ResponseReference = require("./lib/ResponseReference");
+const ServerObjectRegistry = require("./lib/ServerObjectRegistry");
+const ServerObjectScope = require("./lib/ServerObjectScope");
 const DSRequest = require("./lib/datasource/DSRequest");
 const DSResponse = require("./lib/datasource/DSResponse");
 const DataSource = require("./lib/datasource/DataSource");
 const DataSourceFactory = require("./lib/datasource/DataSourceFactory");
+const DataSourceHandle = require("./lib/datasource/DataSourceHandle");
 const DataSourcePool = require("./lib/datasource/DataSourcePool");
 const JSONDataSource = require("./lib/datasource/JSONDataSource");
 const RESTDSRequest = require("./lib/datasource/RESTDSRequest");
 const SQLDataSource = require("./lib/datasource/SQLDataSource");
+const SQLTemplate = require("./lib/datasource/SQLTemplate");
+const UploadedFile = require("./lib/datasource/UploadedFile");
+const Validator = require("./lib/datasource/Validator");
+const Exporter = require("./lib/export/Exporter");
+const CSVExporter = require("./lib/export/CSVExporter");
+const JSONExporter = require("./lib/export/JSONExporter");
+const XMLExporter = require("./lib/export/XMLExporter");
+const XLSXExporter = require("./lib/export/XLSXExporter");
+const ReportExporter = require("./lib/export/ReportExporter");
+const HTMLExporter = require("./lib/export/HTMLExporter");
+const PDFExporter = require("./lib/export/PDFExporter");
+const PDFWriter = require("./lib/export/PDFWriter");
+const ZipWriter = require("./lib/export/ZipWriter");
+const Messaging = require("./lib/messaging/Messaging");
+const MessageBroker = require("./lib/messaging/MessageBroker");
+const InProcessBroker = require("./lib/messaging/InProcessBroker");
+const MessagingConnection = require("./lib/messaging/MessagingConnection");
+const MessagingProcessor = require("./lib/messaging/MessagingProcessor");
 const ConnectionPool = require("./lib/db/ConnectionPool");
 // const MysqlFactory = require("./lib/db/MysqlFactory");
 const PostgreSQLFactory = require("./lib/db/PostgreSQLFactory");
 const DataSourceLoader = require("./lib/router/DataSourceLoader");
 const IDACall = require("./lib/router/IDACall");
 const RESTCall = require("./lib/router/RESTCall");
+const MessagingCall = require("./lib/router/MessagingCall");
 
 module.exports = {
     Init: Init,
     Const: Const,
+    AsyncUtil: AsyncUtil,
+    DateUtil: DateUtil,
+    XMLTextUtil: XMLTextUtil,
+    MethodBinder: MethodBinder,
+    Security: Security,
+    FileDownload: FileDownload,
     BaseRequest: BaseRequest,
     BaseResponse: BaseResponse,
     RPCRequest: RPCRequest,
     RPCResponse: RPCResponse,
     RPCManager: RPCManager,
+    ResponseReference: ResponseReference,
+    ServerObjectRegistry: ServerObjectRegistry,
+    ServerObjectScope: ServerObjectScope,
     DSRequest: DSRequest,
     DSResponse: DSResponse,
     DataSource: DataSource,
     DataSourceFactory: DataSourceFactory,
+    DataSourceHandle: DataSourceHandle,
     DataSourcePool: DataSourcePool,
     JSONDataSource: JSONDataSource,
     RESTDSRequest: RESTDSRequest,
     SQLDataSource: SQLDataSource,
+    SQLTemplate: SQLTemplate,
+    UploadedFile: UploadedFile,
+    Validator: Validator,
+    Exporter: Exporter,
+    CSVExporter: CSVExporter,
+    JSONExporter: JSONExporter,
+    XMLExporter: XMLExporter,
+    XLSXExporter: XLSXExporter,
+    ReportExporter: ReportExporter,
+    HTMLExporter: HTMLExporter,
+    PDFExporter: PDFExporter,
+    PDFWriter: PDFWriter,
+    ZipWriter: ZipWriter,
+    Messaging: Messaging,
+    MessageBroker: MessageBroker,
+    InProcessBroker: InProcessBroker,
+    MessagingConnection: MessagingConnection,
+    MessagingProcessor: MessagingProcessor,
     ConnectionPool: ConnectionPool,
     // MysqlFactory: MysqlFactory,
     PostgreSQLFactory: PostgreSQLFactory,
     DataSourceLoader: DataSourceLoader,
     IDACall: IDACall,
-    RESTCall: RESTCall
+    RESTCall: RESTCall,
+    MessagingCall: MessagingCall
 };
@@ -0,0 +1,109 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const assert = require("assert");
+
+const Exception = require("srv-core").Exception;
+
+/**
+ * Helpers for mixing callback and Promise based code.
+ * Public methods accepting callback as last parameter return Promise if callback is not provided.
+ * Methods implemented by sub-classes and server objects can either call provided callback
+ * or return Promise (be <code>async</code> functions).
+ */
+class AsyncUtil {
+
+    /**
+     * Calls callback style function with specified arguments and returns Promise
+     * which is resolved with callback result or rejected with callback error.
+     * Pass function of exact class (not <code>this.method</code>) to avoid calling overridden method.
+     *
+     * @param {function} fn - Function accepting callback as last parameter
+     * @param {*} thisArg - <code>this</code> for function call
+     * @param {...*} args - Function arguments without callback
+     * @return {Promise} Promise of function result
+     */
+    static toPromise(fn, thisArg) {
+        assert.equal(typeof fn, "function", "argument 'fn' must be function");
+        const args = Array.prototype.slice.call(arguments, 2);
+        return new Promise(function(resolve, reject) {
+            args.push(function(err, result) {
+                if (err) {
+                    return reject(err);
+                }
+                return resolve(result);
+            });
+            fn.apply(thisArg, args);
+        });
+    }
+
+    /**
+     * Calls function which either calls provided callback or returns Promise.
+     * Callback is called only once: with callback arguments or with Promise result.
+     *
+     * @param {function} fn - Function to call
+     * @param {*} thisArg - <code>this</code> for function call
+     * @param {Array} args - Function arguments without callback
+     * @param {function} callback - Callback executed when finished
+     */
+    static invoke(fn, thisArg, args, callback) {
+        assert.equal(typeof fn, "function", "argument 'fn' must be function");
+        assert.equal(Array.isArray(args), true, "argument 'args' must be array");
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        let finished = false;
+        const done = function(err, result) {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            return callback(err, result);
+        };
+        let result;
+        try {
+            result = fn.apply(thisArg, args.concat([done]));
+        } catch (err) {
+            if (finished) {
+                // Error is thrown by callback - do not hide it
+                throw err;
+            }
+            return done(err);
+        }
+        if (result && typeof result.then === "function") {
+            // Leave Promise chain before calling callback so callback errors are not turned into rejections
+            result.then(function(value) {
+                process.nextTick(done, null, value);
+            }, function(err) {
+                process.nextTick(done, err || new Exception("Promise is rejected without reason"));
+            });
+        }
+    }
+
+}
+
+module.exports = AsyncUtil;
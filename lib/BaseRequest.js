@@ -29,6 +29,8 @@
 
 const assert = require("assert");
 
+const AsyncUtil = require("./AsyncUtil");
+
 let RPCManager;
 
 /**
@@ -66,9 +68,12 @@ class BaseRequest {
     /**
      * Instantiates request object.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     init(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(BaseRequest.prototype.init, this);
+        }
         assert.equal(typeof callback, "function", "Parameter 'callback' must be function");
         return callback();
     }
@@ -76,9 +81,12 @@ class BaseRequest {
     /**
      * Executes request.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     execute(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(BaseRequest.prototype.execute, this);
+        }
         assert.equal(typeof callback, "function", "Parameter 'callback' must be function");
         return callback();
     }
@@ -87,9 +95,12 @@ class BaseRequest {
      * Frees request resources.
      * Should be overridden in sub-class if there are resources have to be released.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     freeResources(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(BaseRequest.prototype.freeResources, this);
+        }
         assert.equal(typeof callback, "function", "Parameter 'callback' must be function");
         return callback();
     }
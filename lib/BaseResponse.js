@@ -92,7 +92,8 @@ class BaseResponse {
     }
 
     /**
-     * Queue status.
+     * Queue status: <code>0</code> if queue succeeded, <code>-1</code> if queue transaction failed
+     * or <code>null</code> if response is not executed in queue.
      *
      * @type {number|null}
      */
@@ -101,10 +102,10 @@ class BaseResponse {
     }
     set queueStatus(queueStatus) {
         assert.equal(queueStatus === null || typeof queueStatus === "number", true, "Parameter 'queueStatus' must be number or null");
-        if (queueStatus) {
-            this._queueStatus = Math.floor(queueStatus);
-        } else {
+        if (queueStatus === null) {
             this._queueStatus = null;
+        } else {
+            this._queueStatus = Math.floor(queueStatus);
         }
     }
 
@@ -123,7 +124,7 @@ class BaseResponse {
         }
         o[Const.STATUS] = this.status;
         // Include only if set
-        if (this.queueStatus) {
+        if (this.queueStatus !== null) {
             o[Const.QUEUE_STATUS] = this.queueStatus;
         }
         return o;
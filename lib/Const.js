@@ -81,6 +81,15 @@ class Const {
         return -1;
     }
 
+    /**
+     * Response status authorization failure - user is not allowed to execute operation.
+     *
+     * @type {number}
+     */
+    static get STATUS_AUTHORIZATION_FAILURE() {
+        return -3;
+    }
+
     /**
      * Response status validation failure.
      *
@@ -91,7 +100,16 @@ class Const {
     }
 
     /**
-     * Response status failure.
+     * Response status login required - operation requires authenticated user.
+     *
+     * @type {number}
+     */
+    static get STATUS_LOGIN_REQUIRED() {
+        return -7;
+    }
+
+    /**
+     * Response status transaction failed - operation succeeded, but queue transaction was rolled back.
      *
      * @type {number}
      */
@@ -130,6 +148,78 @@ class Const {
         return "arguments";
     }
 
+    /**
+     * Configuration parameter name for server object registry.
+     *
+     * @type {string}
+     */
+    static get SERVER_OBJECTS() {
+        return "serverObjects";
+    }
+
+    /**
+     * Method called if RPC request does not specify method name.
+     *
+     * @type {string}
+     */
+    static get DEFAULT_SERVER_METHOD() {
+        return "execute";
+    }
+
+    /**
+     * Server object scope - new instance for every request.
+     *
+     * @type {string}
+     */
+    static get SERVER_OBJECT_SCOPE_REQUEST() {
+        return "request";
+    }
+
+    /**
+     * Server object scope - instance shared by all requests of queue.
+     *
+     * @type {string}
+     */
+    static get SERVER_OBJECT_SCOPE_QUEUE() {
+        return "queue";
+    }
+
+    /**
+     * Server object scope - instance shared by all requests of user session.
+     *
+     * @type {string}
+     */
+    static get SERVER_OBJECT_SCOPE_SESSION() {
+        return "session";
+    }
+
+    /**
+     * Server object scope - single instance for application.
+     *
+     * @type {string}
+     */
+    static get SERVER_OBJECT_SCOPE_APPLICATION() {
+        return "application";
+    }
+
+    /**
+     * Configuration parameter name for idle time (in seconds) after which session scoped server objects are freed.
+     *
+     * @type {string}
+     */
+    static get SERVER_OBJECT_SESSION_TIMEOUT() {
+        return "serverObjectSessionTimeout";
+    }
+
+    /**
+     * Default idle time (in seconds) after which session scoped server objects are freed.
+     *
+     * @type {number}
+     */
+    static get DEFAULT_SERVER_OBJECT_SESSION_TIMEOUT() {
+        return 1800;
+    }
+
 ///////////////////////////////////////////////////////////////////////////////
 // Constants used in RPCResponse class.
 ///////////////////////////////////////////////////////////////////////////////
@@ -408,6 +498,116 @@ class Const {
         return "response";
     }
 
+    /**
+     * Element name for records in response XML.
+     *
+     * @type {string}
+     */
+    static get XML_RECORD() {
+        return "record";
+    }
+
+    /**
+     * Element name for items of nested arrays in response XML.
+     *
+     * @type {string}
+     */
+    static get XML_ELEMENT() {
+        return "elem";
+    }
+
+    /**
+     * Configuration parameter name for operations execution mode.
+     *
+     * @type {string}
+     */
+    static get EXECUTION_MODE() {
+        return "executionMode";
+    }
+
+    /**
+     * Execution mode - operations are executed one by one in queue order.
+     *
+     * @type {string}
+     */
+    static get EXECUTION_MODE_SEQUENTIAL() {
+        return "sequential";
+    }
+
+    /**
+     * Execution mode - operations are executed in parallel, operations joining queue transaction are executed
+     * one by one in queue order. Operation referencing other operations waits until referenced operations are executed.
+     *
+     * @type {string}
+     */
+    static get EXECUTION_MODE_PARALLEL() {
+        return "parallel";
+    }
+
+    /**
+     * Execution mode - queues containing only read-only operations outside of queue transaction are executed
+     * in parallel, all other queues are executed sequentially.
+     *
+     * @type {string}
+     */
+    static get EXECUTION_MODE_AUTO() {
+        return "auto";
+    }
+
+    /**
+     * Configuration parameter name for maximum number of operations executed in parallel.
+     *
+     * @type {string}
+     */
+    static get MAX_PARALLEL_OPERATIONS() {
+        return "maxParallelOperations";
+    }
+
+    /**
+     * Default maximum number of operations executed in parallel.
+     *
+     * @type {number}
+     */
+    static get DEFAULT_MAX_PARALLEL_OPERATIONS() {
+        return 5;
+    }
+
+    /**
+     * Interceptor phase - before operation is initialized.
+     *
+     * @type {string}
+     */
+    static get INTERCEPTOR_BEFORE_INIT() {
+        return "beforeInit";
+    }
+
+    /**
+     * Interceptor phase - before operation is executed.
+     *
+     * @type {string}
+     */
+    static get INTERCEPTOR_BEFORE_EXECUTE() {
+        return "beforeExecute";
+    }
+
+    /**
+     * Interceptor phase - after operation is executed.
+     *
+     * @type {string}
+     */
+    static get INTERCEPTOR_AFTER_EXECUTE() {
+        return "afterExecute";
+    }
+
+    /**
+     * Interceptor phase - after all operations of queue are executed.
+     *
+     * @type {string}
+     */
+    static get INTERCEPTOR_AFTER_QUEUE() {
+        return "afterQueue";
+    }
+
 ///////////////////////////////////////////////////////////////////////////////
 // Constants used in DSRequest class.
 ///////////////////////////////////////////////////////////////////////////////
@@ -511,6 +711,150 @@ class Const {
         return "custom";
     }
 
+    /**
+     * Name for download file operation type (binary field content as attachment).
+     *
+     * @type {string}
+     */
+    static get OPERATION_TYPE_DOWNLOAD_FILE() {
+        return "downloadFile";
+    }
+
+    /**
+     * Name for view file operation type (binary field content shown inline).
+     *
+     * @type {string}
+     */
+    static get OPERATION_TYPE_VIEW_FILE() {
+        return "viewFile";
+    }
+
+    /**
+     * Name for validate operation type (values are validated, but not saved).
+     *
+     * @type {string}
+     */
+    static get OPERATION_TYPE_VALIDATE() {
+        return "validate";
+    }
+
+    /**
+     * Parameter name for validation mode of validate operation.
+     *
+     * @type {string}
+     */
+    static get VALIDATION_MODE() {
+        return "validationMode";
+    }
+
+    /**
+     * Validation mode - only provided values are validated.
+     *
+     * @type {string}
+     */
+    static get VALIDATION_MODE_PARTIAL() {
+        return "partial";
+    }
+
+    /**
+     * Parameter name for binary field name of download/view file operation.
+     *
+     * @type {string}
+     */
+    static get DOWNLOAD_FIELD_NAME() {
+        return "downloadFieldName";
+    }
+
+    /**
+     * Parameter name for flag requesting export of fetch results.
+     *
+     * @type {string}
+     */
+    static get EXPORT_RESULTS() {
+        return "exportResults";
+    }
+
+    /**
+     * Parameter name for export format.
+     *
+     * @type {string}
+     */
+    static get EXPORT_AS() {
+        return "exportAs";
+    }
+
+    /**
+     * Parameter name for export file name.
+     *
+     * @type {string}
+     */
+    static get EXPORT_FILENAME() {
+        return "exportFilename";
+    }
+
+    /**
+     * Parameter name for list of exported fields.
+     *
+     * @type {string}
+     */
+    static get EXPORT_FIELDS() {
+        return "exportFields";
+    }
+
+    /**
+     * Parameter name for delimiter of exported values (CSV).
+     *
+     * @type {string}
+     */
+    static get EXPORT_DELIMITER() {
+        return "exportDelimiter";
+    }
+
+    /**
+     * Parameter name for title of exported report (HTML, PDF).
+     *
+     * @type {string}
+     */
+    static get EXPORT_TITLE() {
+        return "exportTitle";
+    }
+
+    /**
+     * Parameter name for field used to group records of exported report (HTML, PDF).
+     *
+     * @type {string}
+     */
+    static get EXPORT_GROUP_BY() {
+        return "exportGroupBy";
+    }
+
+    /**
+     * Parameter name for export display mode.
+     *
+     * @type {string}
+     */
+    static get EXPORT_DISPLAY() {
+        return "exportDisplay";
+    }
+
+    /**
+     * Export display mode - show exported file in browser window.
+     *
+     * @type {string}
+     */
+    static get EXPORT_DISPLAY_WINDOW() {
+        return "window";
+    }
+
+    /**
+     * Export display mode - save exported file (default).
+     *
+     * @type {string}
+     */
+    static get EXPORT_DISPLAY_DOWNLOAD() {
+        return "download";
+    }
+
     /**
      * Parameter name for operation type.
      *
@@ -646,6 +990,38 @@ class Const {
         return "oldValues";
     }
 
+    /**
+     * Parameter name for operation ID.
+     *
+     * @type {string}
+     */
+    static get OPERATION_ID() {
+        return "operationId";
+    }
+
+    /**
+     * Parameter name for auto join transactions setting.
+     * Used in request data, data source configuration and as <code>rpc.autoJoinTransactions</code> configuration value.
+     *
+     * @type {string}
+     */
+    static get AUTO_JOIN_TRANSACTIONS() {
+        return "autoJoinTransactions";
+    }
+
+///////////////////////////////////////////////////////////////////////////////
+// Constants used in ResponseReference class.
+///////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Prefix of value referencing response data of previous operation in queue.
+     *
+     * @type {string}
+     */
+    static get RESPONSE_DATA_REFERENCE() {
+        return "$responseData";
+    }
+
 ///////////////////////////////////////////////////////////////////////////////
 // Constants used in RESTDSRequest class.
 ///////////////////////////////////////////////////////////////////////////////
@@ -753,6 +1129,16 @@ class Const {
         return "totalRows";
     }
 
+    /**
+     * Property name for progressive loading (response total rows is not exact, more rows can be fetched).
+     * Also data source, operation binding and request property enabling progressive loading.
+     *
+     * @type {string}
+     */
+    static get PROGRESSIVE_LOADING() {
+        return "progressiveLoading";
+    }
+
     /**
      * Property name for validation errors.
      *
@@ -833,6 +1219,141 @@ class Const {
 // Constants used in DataSource class.
 ///////////////////////////////////////////////////////////////////////////////
 
+    /**
+     * Field type - sequence.
+     *
+     * @type {string}
+     */
+    static get FIELD_TYPE_SEQUENCE() {
+        return "sequence";
+    }
+
+    /**
+     * Field type - text.
+     *
+     * @type {string}
+     */
+    static get FIELD_TYPE_TEXT() {
+        return "text";
+    }
+
+    /**
+     * Field type - integer.
+     *
+     * @type {string}
+     */
+    static get FIELD_TYPE_INTEGER() {
+        return "integer";
+    }
+
+    /**
+     * Field type - float.
+     *
+     * @type {string}
+     */
+    static get FIELD_TYPE_FLOAT() {
+        return "float";
+    }
+
+    /**
+     * Field type - decimal.
+     *
+     * @type {string}
+     */
+    static get FIELD_TYPE_DECIMAL() {
+        return "decimal";
+    }
+
+    /**
+     * Field type - boolean.
+     *
+     * @type {string}
+     */
+    static get FIELD_TYPE_BOOLEAN() {
+        return "boolean";
+    }
+
+    /**
+     * Field type - date (without time).
+     *
+     * @type {string}
+     */
+    static get FIELD_TYPE_DATE() {
+        return "date";
+    }
+
+    /**
+     * Field type - date and time.
+     *
+     * @type {string}
+     */
+    static get FIELD_TYPE_DATETIME() {
+        return "datetime";
+    }
+
+    /**
+     * Field type - time (without date).
+     *
+     * @type {string}
+     */
+    static get FIELD_TYPE_TIME() {
+        return "time";
+    }
+
+    /**
+     * Field type - binary.
+     *
+     * @type {string}
+     */
+    static get FIELD_TYPE_BINARY() {
+        return "binary";
+    }
+
+    /**
+     * Field type - image file (binary field holding image).
+     *
+     * @type {string}
+     */
+    static get FIELD_TYPE_IMAGE_FILE() {
+        return "imageFile";
+    }
+
+    /**
+     * Suffix of binary field companion field holding file name.
+     *
+     * @type {string}
+     */
+    static get FILE_NAME_SUFFIX() {
+        return "_filename";
+    }
+
+    /**
+     * Suffix of binary field companion field holding file size.
+     *
+     * @type {string}
+     */
+    static get FILE_SIZE_SUFFIX() {
+        return "_filesize";
+    }
+
+    /**
+     * Suffix of binary field companion field holding file MIME type.
+     *
+     * @type {string}
+     */
+    static get FILE_MIME_TYPE_SUFFIX() {
+        return "_mimetype";
+    }
+
+    /**
+     * Suffix of binary field companion field holding file upload date.
+     *
+     * @type {string}
+     */
+    static get FILE_DATE_CREATED_SUFFIX() {
+        return "_date_created";
+    }
+
     /**
      * Operator name in advenced criteria - not.
      *
@@ -1454,17 +1975,698 @@ class Const {
         return "iNotEndsWithField";
     }
 
+    /**
+     * Data source configuration property - operation bindings.
+     *
+     * @type {string}
+     */
+    static get OPERATION_BINDINGS() {
+        return "operationBindings";
+    }
+
+    /**
+     * Operation binding property - comma separated list of fields returned by operation.
+     *
+     * @type {string}
+     */
+    static get OUTPUTS() {
+        return "outputs";
+    }
+
+    /**
+     * Operation binding property - SQL executed instead of generated SQL.
+     *
+     * @type {string}
+     */
+    static get CUSTOM_SQL() {
+        return "customSQL";
+    }
+
+    /**
+     * Operation binding property - select clause template used instead of generated one.
+     *
+     * @type {string}
+     */
+    static get CUSTOM_SELECT_CLAUSE() {
+        return "customSelectClause";
+    }
+
+    /**
+     * Operation binding property - from clause template used instead of generated one.
+     *
+     * @type {string}
+     */
+    static get CUSTOM_FROM_CLAUSE() {
+        return "customFromClause";
+    }
+
+    /**
+     * Operation binding property - where clause template used instead of generated one.
+     *
+     * @type {string}
+     */
+    static get CUSTOM_WHERE_CLAUSE() {
+        return "customWhereClause";
+    }
+
+    /**
+     * Operation binding property - order clause template used instead of generated one.
+     *
+     * @type {string}
+     */
+    static get CUSTOM_ORDER_CLAUSE() {
+        return "customOrderClause";
+    }
+
+    /**
+     * Name of generated select clause in custom SQL templates.
+     *
+     * @type {string}
+     */
+    static get DEFAULT_SELECT_CLAUSE() {
+        return "defaultSelectClause";
+    }
+
+    /**
+     * Name of generated from clause in custom SQL templates.
+     *
+     * @type {string}
+     */
+    static get DEFAULT_FROM_CLAUSE() {
+        return "defaultFromClause";
+    }
+
+    /**
+     * Name of generated where clause in custom SQL templates.
+     *
+     * @type {string}
+     */
+    static get DEFAULT_WHERE_CLAUSE() {
+        return "defaultWhereClause";
+    }
+
+    /**
+     * Name of generated order clause in custom SQL templates.
+     *
+     * @type {string}
+     */
+    static get DEFAULT_ORDER_CLAUSE() {
+        return "defaultOrderClause";
+    }
+
+    /**
+     * Operation binding property - server object executing operation.
+     *
+     * @type {string}
+     */
+    static get SERVER_OBJECT() {
+        return "serverObject";
+    }
+
+    /**
+     * Data source configuration property - broadcast changes (add, update, remove) to messaging channel.
+     *
+     * @type {string}
+     */
+    static get BROADCAST_CHANGES() {
+        return "broadcastChanges";
+    }
+
+    /**
+     * Prefix of messaging channel with changes of data source (followed by data source ID).
+     *
+     * @type {string}
+     */
+    static get CHANGES_CHANNEL_PREFIX() {
+        return "isc_dsChanges_";
+    }
+
 ///////////////////////////////////////////////////////////////////////////////
-// Constants used in SQLDataSource class.
+// Constants used in Security class.
 ///////////////////////////////////////////////////////////////////////////////
 
     /**
-     * Escape character used in SQL for 'like' operator.
+     * Security setting - user must be authenticated.
      *
      * @type {string}
      */
-    static get ESCAPE_CHARACTER() {
-        return "~";
+    static get REQUIRES_AUTHENTICATION() {
+        return "requiresAuthentication";
+    }
+
+    /**
+     * Security setting - comma separated roles, user must have one of them.
+     *
+     * @type {string}
+     */
+    static get REQUIRES_ROLE() {
+        return "requiresRole";
+    }
+
+    /**
+     * Security setting - comma separated names of registered predicates which must allow access.
+     *
+     * @type {string}
+     */
+    static get REQUIRES() {
+        return "requires";
+    }
+
+    /**
+     * Field security setting - requirement for viewing field value.
+     *
+     * @type {string}
+     */
+    static get VIEW_REQUIRES() {
+        return "viewRequires";
+    }
+
+    /**
+     * Field security setting - requirement for editing field value.
+     *
+     * @type {string}
+     */
+    static get EDIT_REQUIRES() {
+        return "editRequires";
+    }
+
+///////////////////////////////////////////////////////////////////////////////
+// Constants used in Validator class.
+///////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Field property name for validators.
+     *
+     * @type {string}
+     */
+    static get VALIDATORS() {
+        return "validators";
+    }
+
+    /**
+     * Field property name for maximum length of value.
+     *
+     * @type {string}
+     */
+    static get LENGTH() {
+        return "length";
+    }
+
+    /**
+     * Field property name for map of allowed values.
+     *
+     * @type {string}
+     */
+    static get VALUE_MAP() {
+        return "valueMap";
+    }
+
+    /**
+     * Field property name for foreign key (<code>dataSource.field</code>).
+     *
+     * @type {string}
+     */
+    static get FOREIGN_KEY() {
+        return "foreignKey";
+    }
+
+    /**
+     * Validator type - required value (also field property name).
+     *
+     * @type {string}
+     */
+    static get VALIDATOR_REQUIRED() {
+        return "required";
+    }
+
+    /**
+     * Validator type - length range.
+     *
+     * @type {string}
+     */
+    static get VALIDATOR_LENGTH_RANGE() {
+        return "lengthRange";
+    }
+
+    /**
+     * Validator type - value is one of list.
+     *
+     * @type {string}
+     */
+    static get VALIDATOR_IS_ONE_OF() {
+        return "isOneOf";
+    }
+
+///////////////////////////////////////////////////////////////////////////////
+// Constants used in FileDownload class.
+///////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * MIME type of content with unknown type.
+     *
+     * @type {string}
+     */
+    static get DEFAULT_MIME_TYPE() {
+        return "application/octet-stream";
+    }
+
+    /**
+     * MIME types of content which can run scripts if shown in browser.
+     * Such content is always sent as attachment.
+     *
+     * @type {string[]}
+     */
+    static get ACTIVE_MIME_TYPES() {
+        return ["text/html", "application/xhtml+xml", "image/svg+xml", "text/xml", "application/xml",
+            "text/xsl", "application/javascript", "text/javascript", "application/ecmascript", "text/ecmascript"];
+    }
+
+///////////////////////////////////////////////////////////////////////////////
+// Constants used in Exporter classes.
+///////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Export format - CSV.
+     *
+     * @type {string}
+     */
+    static get EXPORT_FORMAT_CSV() {
+        return "csv";
+    }
+
+    /**
+     * Export format - JSON.
+     *
+     * @type {string}
+     */
+    static get EXPORT_FORMAT_JSON() {
+        return "json";
+    }
+
+    /**
+     * Export format - XML.
+     *
+     * @type {string}
+     */
+    static get EXPORT_FORMAT_XML() {
+        return "xml";
+    }
+
+    /**
+     * Export format - Excel workbook (Office Open XML).
+     *
+     * @type {string}
+     */
+    static get EXPORT_FORMAT_XLSX() {
+        return "xlsx";
+    }
+
+    /**
+     * Export format - Office Open XML (alias of <code>xlsx</code>).
+     *
+     * @type {string}
+     */
+    static get EXPORT_FORMAT_OOXML() {
+        return "ooxml";
+    }
+
+    /**
+     * Export format - Excel (exported as <code>xlsx</code>).
+     *
+     * @type {string}
+     */
+    static get EXPORT_FORMAT_XLS() {
+        return "xls";
+    }
+
+    /**
+     * Export format - HTML report.
+     *
+     * @type {string}
+     */
+    static get EXPORT_FORMAT_HTML() {
+        return "html";
+    }
+
+    /**
+     * Export format - PDF report.
+     *
+     * @type {string}
+     */
+    static get EXPORT_FORMAT_PDF() {
+        return "pdf";
+    }
+
+    /**
+     * Default export file name (without extension).
+     *
+     * @type {string}
+     */
+    static get DEFAULT_EXPORT_FILENAME() {
+        return "Results";
+    }
+
+    /**
+     * Default delimiter of exported values (CSV).
+     *
+     * @type {string}
+     */
+    static get DEFAULT_EXPORT_DELIMITER() {
+        return ",";
+    }
+
+    /**
+     * Data source configuration property (and <code>dataSource</code> configuration parameter) -
+     * maximum number of exported records.
+     *
+     * @type {string}
+     */
+    static get MAX_EXPORT_ROWS() {
+        return "maxExportRows";
+    }
+
+    /**
+     * Default maximum number of exported records.
+     *
+     * @type {number}
+     */
+    static get DEFAULT_MAX_EXPORT_ROWS() {
+        return 100000;
+    }
+
+///////////////////////////////////////////////////////////////////////////////
+// Constants used in Messaging classes.
+///////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Name of parameter with messaging action.
+     *
+     * @type {string}
+     */
+    static get MESSAGING_ACTION() {
+        return "action";
+    }
+
+    /**
+     * Messaging action - open transport (SSE stream or long-poll request) for receiving messages.
+     *
+     * @type {string}
+     */
+    static get MESSAGING_ACTION_CONNECT() {
+        return "connect";
+    }
+
+    /**
+     * Messaging action - subscribe connection to channels.
+     *
+     * @type {string}
+     */
+    static get MESSAGING_ACTION_SUBSCRIBE() {
+        return "subscribe";
+    }
+
+    /**
+     * Messaging action - unsubscribe connection from channels.
+     *
+     * @type {string}
+     */
+    static get MESSAGING_ACTION_UNSUBSCRIBE() {
+        return "unsubscribe";
+    }
+
+    /**
+     * Messaging action - close connection and unsubscribe it from all channels.
+     *
+     * @type {string}
+     */
+    static get MESSAGING_ACTION_DISCONNECT() {
+        return "disconnect";
+    }
+
+    /**
+     * Name of parameter with messaging connection ID.
+     *
+     * @type {string}
+     */
+    static get MESSAGING_CONNECTION_ID() {
+        return "connectionID";
+    }
+
+    /**
+     * Name of parameter with channel names (array or comma separated string).
+     *
+     * @type {string}
+     */
+    static get MESSAGING_CHANNELS() {
+        return "channels";
+    }
+
+    /**
+     * Name of parameter with messaging transport.
+     *
+     * @type {string}
+     */
+    static get MESSAGING_TRANSPORT() {
+        return "transport";
+    }
+
+    /**
+     * Messaging transport - Server-Sent Events stream.
+     *
+     * @type {string}
+     */
+    static get MESSAGING_TRANSPORT_SSE() {
+        return "sse";
+    }
+
+    /**
+     * Messaging transport - long-polling.
+     *
+     * @type {string}
+     */
+    static get MESSAGING_TRANSPORT_LONG_POLL() {
+        return "longpoll";
+    }
+
+    /**
+     * Configuration parameter name for path (relative to working directory) of message broker module.
+     *
+     * @type {string}
+     */
+    static get MESSAGING_BROKER() {
+        return "broker";
+    }
+
+    /**
+     * Configuration parameter name for interval (in seconds) of keepalive comments sent to SSE stream.
+     *
+     * @type {string}
+     */
+    static get MESSAGING_KEEPALIVE_INTERVAL() {
+        return "keepaliveInterval";
+    }
+
+    /**
+     * Default interval (in seconds) of keepalive comments sent to SSE stream.
+     *
+     * @type {number}
+     */
+    static get DEFAULT_MESSAGING_KEEPALIVE_INTERVAL() {
+        return 15;
+    }
+
+    /**
+     * Configuration parameter name for time (in seconds) long-poll request waits for messages.
+     *
+     * @type {string}
+     */
+    static get MESSAGING_POLL_TIMEOUT() {
+        return "pollTimeout";
+    }
+
+    /**
+     * Default time (in seconds) long-poll request waits for messages.
+     *
+     * @type {number}
+     */
+    static get DEFAULT_MESSAGING_POLL_TIMEOUT() {
+        return 30;
+    }
+
+    /**
+     * Configuration parameter name for time (in seconds) after which connection without open transport is closed.
+     *
+     * @type {string}
+     */
+    static get MESSAGING_CONNECTION_TIMEOUT() {
+        return "connectionTimeout";
+    }
+
+    /**
+     * Default time (in seconds) after which connection without open transport is closed.
+     *
+     * @type {number}
+     */
+    static get DEFAULT_MESSAGING_CONNECTION_TIMEOUT() {
+        return 60;
+    }
+
+    /**
+     * Configuration parameter name for maximum number of messages queued for connection without open transport.
+     *
+     * @type {string}
+     */
+    static get MESSAGING_MAX_QUEUE_SIZE() {
+        return "maxQueueSize";
+    }
+
+    /**
+     * Default maximum number of messages queued for connection without open transport.
+     *
+     * @type {number}
+     */
+    static get DEFAULT_MESSAGING_MAX_QUEUE_SIZE() {
+        return 1000;
+    }
+
+    /**
+     * Configuration parameter name for maximum number of connections of one HTTP session.
+     *
+     * @type {string}
+     */
+    static get MESSAGING_MAX_SESSION_CONNECTIONS() {
+        return "maxSessionConnections";
+    }
+
+    /**
+     * Default maximum number of connections of one HTTP session.
+     *
+     * @type {number}
+     */
+    static get DEFAULT_MESSAGING_MAX_SESSION_CONNECTIONS() {
+        return 10;
+    }
+
+    /**
+     * Configuration parameter name for maximum number of connections without HTTP session.
+     *
+     * @type {string}
+     */
+    static get MESSAGING_MAX_SESSIONLESS_CONNECTIONS() {
+        return "maxSessionlessConnections";
+    }
+
+    /**
+     * Default maximum number of connections without HTTP session.
+     *
+     * @type {number}
+     */
+    static get DEFAULT_MESSAGING_MAX_SESSIONLESS_CONNECTIONS() {
+        return 100;
+    }
+
+    /**
+     * Configuration parameter name for maximum number of all client connections.
+     *
+     * @type {string}
+     */
+    static get MESSAGING_MAX_CONNECTIONS() {
+        return "maxConnections";
+    }
+
+    /**
+     * Default maximum number of all client connections.
+     *
+     * @type {number}
+     */
+    static get DEFAULT_MESSAGING_MAX_CONNECTIONS() {
+        return 10000;
+    }
+
+///////////////////////////////////////////////////////////////////////////////
+// Constants used in JSONDataSource class.
+///////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Suffix of directory (next to data file) where uploaded files are stored.
+     *
+     * @type {string}
+     */
+    static get UPLOADED_FILES_DIRECTORY_SUFFIX() {
+        return "_files";
+    }
+
+///////////////////////////////////////////////////////////////////////////////
+// Constants used in SQLDataSource class.
+///////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Escape character used in SQL for 'like' operator.
+     *
+     * @type {string}
+     */
+    static get ESCAPE_CHARACTER() {
+        return "~";
+    }
+
+    /**
+     * Data source and operation binding property (or configuration parameter in <code>dataSource</code> section)
+     * enabling count of total rows by window function in fetch query instead of separate count query.
+     *
+     * @type {string}
+     */
+    static get USE_WINDOW_FUNCTION_COUNT() {
+        return "useWindowFunctionCount";
+    }
+
+    /**
+     * Data source and operation binding property (or configuration parameter in <code>dataSource</code> section)
+     * for number of rows fetched after requested page in progressive loading mode.
+     *
+     * @type {string}
+     */
+    static get PROGRESSIVE_LOADING_LOOKAHEAD() {
+        return "progressiveLoadingLookahead";
+    }
+
+    /**
+     * Default number of rows fetched after requested page in progressive loading mode.
+     *
+     * @type {number}
+     */
+    static get DEFAULT_PROGRESSIVE_LOADING_LOOKAHEAD() {
+        return 1;
+    }
+
+    /**
+     * Alias of total rows column added to fetch query by window function count.
+     *
+     * @type {string}
+     */
+    static get TOTAL_ROWS_COLUMN() {
+        return "_totalRows";
+    }
+
+///////////////////////////////////////////////////////////////////////////////
+// Constants used in DateUtil class.
+///////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Configuration parameter name (in <code>dataSource</code> section) for server time zone.
+     *
+     * @type {string}
+     */
+    static get SERVER_TIME_ZONE() {
+        return "serverTimeZone";
+    }
+
+    /**
+     * Default server time zone - time zone of process.
+     *
+     * @type {string}
+     */
+    static get DEFAULT_SERVER_TIME_ZONE() {
+        return "local";
     }
 
 }
@@ -0,0 +1,319 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const Exception = require("srv-core").Exception;
+const Config = require("srv-config").Config;
+
+const Const = require("./Const");
+
+// Regular expression for date, date and time or time with optional time zone
+const DATE_TIME_REGEXP = /^\s*(?:(\d{4})-(\d{2})-(\d{2}))?(?:(?:^|[T\s])(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?\s*$/i;
+
+// Formatters of IANA time zones by time zone name
+const _formatters = {};
+
+/**
+ * Helpers for date, date and time (datetime) and time values.
+ * <ul>
+ * <li>date is logical date without time and time zone, represented as string <code>YYYY-MM-DD</code>.
+ *      It is never shifted between time zones.</li>
+ * <li>datetime is instant, represented as <code>Date</code> and serialized as ISO 8601 string in UTC.
+ *      Values without time zone are interpreted in server time zone.</li>
+ * <li>time is logical time without date and time zone, represented as string <code>HH:MM:SS</code>.</li>
+ * </ul>
+ * Server time zone (see {@link DateUtil.serverTimeZone}) is used to interpret values without time zone
+ * (e.g. stored in <code>timestamp without time zone</code> column or JSON file) and to get logical date
+ * or time of instant.
+ */
+class DateUtil {
+
+    /**
+     * Server time zone from configuration value <code>dataSource.serverTimeZone</code>:
+     * <code>local</code> (time zone of process, default), <code>UTC</code>, offset (e.g. <code>+02:00</code>)
+     * or IANA time zone name (e.g. <code>Europe/Vilnius</code>).
+     *
+     * @type {string}
+     */
+    static get serverTimeZone() {
+        const timeZone = Config.getValue("dataSource." + Const.SERVER_TIME_ZONE);
+        if (typeof timeZone === "string" && timeZone.trim() !== "") {
+            return timeZone.trim();
+        }
+        return Const.DEFAULT_SERVER_TIME_ZONE;
+    }
+
+    /**
+     * Checks that server time zone (see {@link DateUtil.serverTimeZone}) is known,
+     * so misconfiguration is reported at startup instead of failing requests.
+     *
+     * @throws {Exception} if time zone is not known
+     */
+    static checkServerTimeZone() {
+        DateUtil.getTimeZoneOffset(new Date(), DateUtil.serverTimeZone);
+    }
+
+    /**
+     * Returns offset of time zone from UTC at specified instant.
+     *
+     * @param {Date} date - Instant
+     * @param {string} [timeZone] - Time zone (see {@link DateUtil.serverTimeZone}), server time zone by default
+     * @return {number} Offset in minutes (positive east of UTC)
+     * @throws {Exception} if time zone is not known
+     */
+    static getTimeZoneOffset(date, timeZone) {
+        timeZone = timeZone || DateUtil.serverTimeZone;
+        if (timeZone === Const.DEFAULT_SERVER_TIME_ZONE) {
+            return -date.getTimezoneOffset() || 0;
+        }
+        if (/^(UTC|GMT|Z)$/i.test(timeZone)) {
+            return 0;
+        }
+        const match = /^([+-])(\d{2}):?(\d{2})?$/.exec(timeZone);
+        if (match) {
+            return (match[1] === "-" ? -1 : 1) * (parseInt(match[2], 10) * 60 + parseInt(match[3] || "0", 10));
+        }
+        let formatter = _formatters[timeZone];
+        if (!formatter) {
+            try {
+                formatter = new Intl.DateTimeFormat("en-US", {
+                    timeZone: timeZone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit",
+                    hour: "2-digit", minute: "2-digit", second: "2-digit"
+                });
+            } catch (err) {
+                throw new Exception("Unknown time zone '" + timeZone + "'", err);
+            }
+            _formatters[timeZone] = formatter;
+        }
+        const parts = {};
+        formatter.formatToParts(date).forEach(function(part) {
+            parts[part.type] = parseInt(part.value, 10);
+        });
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    }
+
+    /**
+     * Converts value to instant.
+     * String without time zone (or without time) is interpreted in specified time zone.
+     *
+     * @param {Date|string|number} value - <code>Date</code>, ISO 8601 string or timestamp
+     * @param {string} [timeZone] - Time zone (see {@link DateUtil.serverTimeZone}), server time zone by default
+     * @return {Date|null} Date or <code>null</code> if value is not recognized
+     */
+    static parseDateTime(value, timeZone) {
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : value;
+        }
+        if (typeof value === "number") {
+            return isFinite(value) ? new Date(value) : null;
+        }
+        const parts = parse(value);
+        if (!parts || parts.year === undefined) {
+            return null;
+        }
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour || 0, parts.minute || 0,
+            parts.second || 0, parts.millisecond || 0);
+        if (parts.offset !== undefined) {
+            return new Date(wallClock - parts.offset * 60000);
+        }
+        return fromWallClock(wallClock, timeZone || DateUtil.serverTimeZone);
+    }
+
+    /**
+     * Converts value to logical date <code>YYYY-MM-DD</code>.
+     * Date part of string without time zone is used as is. Date of instant (<code>Date</code> or
+     * string with time zone) is taken in specified time zone.
+     *
+     * @param {Date|string} value - Value
+     * @param {string} [timeZone] - Time zone (see {@link DateUtil.serverTimeZone}), server time zone by default
+     * @return {string|null} Date or <code>null</code> if value is not recognized
+     */
+    static parseDate(value, timeZone) {
+        let parts = null;
+        if (value instanceof Date) {
+            parts = isNaN(value.getTime()) ? null : toWallClock(value, timeZone || DateUtil.serverTimeZone);
+        } else {
+            parts = parse(value);
+            if (parts && parts.offset !== undefined && parts.year !== undefined) {
+                parts = toWallClock(DateUtil.parseDateTime(value), timeZone || DateUtil.serverTimeZone);
+            }
+        }
+        if (!parts || parts.year === undefined) {
+            return null;
+        }
+        return parts.year + "-" + pad(parts.month) + "-" + pad(parts.day);
+    }
+
+    /**
+     * Converts value to logical time <code>HH:MM:SS</code>.
+     * Time part of string without time zone is used as is. Time of instant (<code>Date</code> or
+     * string with date and time zone) is taken in specified time zone.
+     *
+     * @param {Date|string} value - Value
+     * @param {string} [timeZone] - Time zone (see {@link DateUtil.serverTimeZone}), server time zone by default
+     * @return {string|null} Time or <code>null</code> if value is not recognized
+     */
+    static parseTime(value, timeZone) {
+        let parts = null;
+        if (value instanceof Date) {
+            parts = isNaN(value.getTime()) ? null : toWallClock(value, timeZone || DateUtil.serverTimeZone);
+        } else {
+            parts = parse(value);
+            if (parts && parts.offset !== undefined && parts.year !== undefined) {
+                parts = toWallClock(DateUtil.parseDateTime(value), timeZone || DateUtil.serverTimeZone);
+            }
+        }
+        if (!parts || parts.hour === undefined || parts.hour > 23 || parts.minute > 59 || parts.second > 59) {
+            return null;
+        }
+        return pad(parts.hour) + ":" + pad(parts.minute) + ":" + pad(parts.second || 0);
+    }
+
+    /**
+     * Formats instant as date and time in specified time zone with offset,
+     * e.g. <code>2017-01-31 13:45:00.000+02:00</code>.
+     * Data bases store such value correctly both in columns with and without time zone.
+     *
+     * @param {Date} date - Instant
+     * @param {string} [timeZone] - Time zone (see {@link DateUtil.serverTimeZone}), server time zone by default
+     * @return {string} Formatted date and time
+     */
+    static formatDateTime(date, timeZone) {
+        const parts = toWallClock(date, timeZone || DateUtil.serverTimeZone);
+        const offset = Math.abs(parts.offset);
+        return parts.year + "-" + pad(parts.month) + "-" + pad(parts.day) + " " + pad(parts.hour) + ":"
+            + pad(parts.minute) + ":" + pad(parts.second) + "." + ("00" + parts.millisecond).slice(-3)
+            + (parts.offset < 0 ? "-" : "+") + pad(Math.floor(offset / 60)) + ":" + pad(offset % 60);
+    }
+
+}
+
+/**
+ * Parses ISO 8601 date, date and time or time string.
+ *
+ * @param {*} value - Value
+ * @return {Object|null} Parts (<code>year</code>, <code>month</code>, <code>day</code>, <code>hour</code>,
+ *      <code>minute</code>, <code>second</code>, <code>millisecond</code>, <code>offset</code> in minutes)
+ *      or <code>null</code> if value is not recognized
+ */
+const parse = function(value) {
+    if (typeof value !== "string") {
+        return null;
+    }
+    const match = DATE_TIME_REGEXP.exec(value);
+    if (!match || (match[1] === undefined && match[4] === undefined)) {
+        return null;
+    }
+    const parts = {};
+    if (match[1] !== undefined) {
+        parts.year = parseInt(match[1], 10);
+        parts.month = parseInt(match[2], 10);
+        parts.day = parseInt(match[3], 10);
+        if (parts.month < 1 || parts.month > 12 || parts.day < 1 || parts.day > daysInMonth(parts.year, parts.month)) {
+            return null;
+        }
+    }
+    if (match[4] !== undefined) {
+        parts.hour = parseInt(match[4], 10);
+        parts.minute = parseInt(match[5], 10);
+        parts.second = match[6] !== undefined ? parseInt(match[6], 10) : 0;
+        parts.millisecond = match[7] !== undefined ? parseInt((match[7] + "00").slice(0, 3), 10) : 0;
+        // Date.UTC() would roll over out of range values to next minute, hour or day
+        if (parts.hour > 23 || parts.minute > 59 || parts.second > 59) {
+            return null;
+        }
+    }
+    if (match[8] !== undefined) {
+        const zone = /^([+-])(\d{2}):?(\d{2})?$/.exec(match[8]);
+        parts.offset = zone ? (zone[1] === "-" ? -1 : 1) * (parseInt(zone[2], 10) * 60 + parseInt(zone[3] || "0", 10)) : 0;
+    }
+    return parts;
+};
+
+/**
+ * Returns wall clock parts of instant in time zone.
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - Time zone
+ * @return {Object} Parts (see <code>parse</code>)
+ */
+const toWallClock = function(date, timeZone) {
+    const offset = DateUtil.getTimeZoneOffset(date, timeZone);
+    const wallClock = new Date(date.getTime() + offset * 60000);
+    return {
+        year: wallClock.getUTCFullYear(),
+        month: wallClock.getUTCMonth() + 1,
+        day: wallClock.getUTCDate(),
+        hour: wallClock.getUTCHours(),
+        minute: wallClock.getUTCMinutes(),
+        second: wallClock.getUTCSeconds(),
+        millisecond: wallClock.getUTCMilliseconds(),
+        offset: offset
+    };
+};
+
+/**
+ * Returns instant of wall clock time in time zone.
+ *
+ * @param {number} wallClock - Wall clock time as UTC timestamp
+ * @param {string} timeZone - Time zone
+ * @return {Date} Instant
+ */
+const fromWallClock = function(wallClock, timeZone) {
+    // Offset can differ for wall clock and instant (daylight saving time change)
+    let offset = DateUtil.getTimeZoneOffset(new Date(wallClock), timeZone);
+    offset = DateUtil.getTimeZoneOffset(new Date(wallClock - offset * 60000), timeZone);
+    return new Date(wallClock - offset * 60000);
+};
+
+/**
+ * Returns number of days in month.
+ *
+ * @param {number} year - Year
+ * @param {number} month - Month (1 - 12)
+ * @return {number} Number of days
+ */
+const daysInMonth = function(year, month) {
+    if (month === 2) {
+        return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 ? 29 : 28;
+    }
+    return [4, 6, 9, 11].indexOf(month) >= 0 ? 30 : 31;
+};
+
+/**
+ * Pads number to two digits.
+ *
+ * @param {number} n - Number
+ * @return {string} Padded number
+ */
+const pad = function(n) {
+    return (n < 10 ? "0" : "") + n;
+};
+
+module.exports = DateUtil;
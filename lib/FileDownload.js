@@ -0,0 +1,360 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const stream = require("stream");
+
+const Exception = require("srv-core").Exception;
+
+const AsyncUtil = require("./AsyncUtil");
+const Const = require("./Const");
+
+// MIME types by file extension
+const MIME_TYPES = {
+    ".txt": "text/plain",
+    ".htm": "text/html",
+    ".html": "text/html",
+    ".css": "text/css",
+    ".csv": "text/csv",
+    ".js": "application/javascript",
+    ".json": "application/json",
+    ".xml": "application/xml",
+    ".pdf": "application/pdf",
+    ".zip": "application/zip",
+    ".gz": "application/gzip",
+    ".doc": "application/msword",
+    ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ".xls": "application/vnd.ms-excel",
+    ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    ".ppt": "application/vnd.ms-powerpoint",
+    ".pptx": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".bmp": "image/bmp",
+    ".svg": "image/svg+xml",
+    ".webp": "image/webp",
+    ".ico": "image/x-icon",
+    ".mp3": "audio/mpeg",
+    ".wav": "audio/wav",
+    ".mp4": "video/mp4",
+    ".webm": "video/webm"
+};
+
+/**
+ * File content sent to client instead of RPC response (e.g. result of download/view file operation).
+ * Content is kept either in <code>Buffer</code> or in file on disk and is streamed to client
+ * with support of single range requests (<code>Range: bytes=start-end</code>).
+ */
+class FileDownload {
+
+    /**
+     * Creates file download. Use {@link FileDownload.fromBuffer} or {@link FileDownload.fromFile}.
+     *
+     * @param {Object} config - Download configuration: <code>fileName</code>, <code>mimeType</code>,
+     *      <code>size</code> and either <code>buffer</code> or <code>path</code>
+     */
+    constructor(config) {
+        assert.equal(typeof config === "object" && config !== null, true, "argument 'config' must be object");
+        this._fileName = config.fileName ? String(config.fileName) : "download";
+        this._mimeType = config.mimeType || FileDownload.getMimeType(this._fileName);
+        this._buffer = config.buffer || null;
+        this._path = config.path || null;
+        this._size = this._buffer ? this._buffer.length : config.size;
+    }
+
+    /**
+     * File name presented to client.
+     *
+     * @type {string}
+     */
+    get fileName() {
+        return this._fileName;
+    }
+
+    /**
+     * Content MIME type.
+     *
+     * @type {string}
+     */
+    get mimeType() {
+        return this._mimeType;
+    }
+
+    /**
+     * Content size in bytes.
+     *
+     * @type {number}
+     */
+    get size() {
+        return this._size;
+    }
+
+    /**
+     * Creates readable stream of content.
+     *
+     * @param {Object} [range] - Byte range to read: <code>start</code> and <code>end</code> (inclusive)
+     * @return {stream.Readable} Content stream
+     */
+    createReadStream(range) {
+        const start = range ? range.start : 0;
+        const end = range ? range.end : this.size - 1;
+        if (this._path) {
+            return fs.createReadStream(this._path, {start: start, end: end});
+        }
+        const readable = new stream.PassThrough();
+        readable.end(this._buffer.subarray(start, end + 1));
+        return readable;
+    }
+
+    /**
+     * Sends content to client.
+     * Sets <code>Content-Type</code>, <code>Content-Length</code>, <code>Content-Disposition</code> and
+     * <code>X-Content-Type-Options: nosniff</code> headers. Active content (see {@link FileDownload.isActiveContent})
+     * is always sent as attachment.
+     * Serves single byte range if request has <code>Range</code> header (status 206,
+     * or 416 if range can not be satisfied).
+     *
+     * @param {http.ClientRequest} req - HTTP request
+     * @param {http.ServerResponse} res - HTTP response
+     * @param {boolean} inline - <code>true</code> to show content in browser, <code>false</code> to save it as file
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    send(req, res, inline, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(FileDownload.prototype.send, this, req, res, inline);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        const size = this.size;
+        res.set("Content-Type", this.mimeType);
+        res.set("Content-Disposition", FileDownload.getContentDisposition(this.fileName,
+            inline && !FileDownload.isActiveContent(this.mimeType)));
+        res.set("X-Content-Type-Options", "nosniff");
+        res.set("Accept-Ranges", "bytes");
+        let range = null;
+        const rangeHeader = req.headers ? req.headers.range : null;
+        if (rangeHeader) {
+            range = parseRange(rangeHeader, size);
+            if (range === false) {
+                res.set("Content-Range", "bytes */" + size);
+                res.status(416).end();
+                return callback();
+            }
+        }
+        if (range) {
+            res.status(206);
+            res.set("Content-Range", "bytes " + range.start + "-" + range.end + "/" + size);
+            res.set("Content-Length", String(range.end - range.start + 1));
+        } else {
+            res.status(200);
+            res.set("Content-Length", String(size));
+        }
+        if (req.method === "HEAD" || size === 0) {
+            res.end();
+            return callback();
+        }
+        let done = false;
+        const finish = function(err) {
+            if (done) {
+                return;
+            }
+            done = true;
+            return callback(err);
+        };
+        const content = this.createReadStream(range);
+        const fileName = this.fileName;
+        content.on("error", function(err) {
+            // Headers are already sent - connection is closed to signal failure
+            res.destroy();
+            return finish(new Exception("Error reading content of '" + fileName + "'", err));
+        });
+        res.on("finish", function() {
+            return finish();
+        });
+        res.on("close", function() {
+            content.destroy();
+            return finish();
+        });
+        content.pipe(res);
+    }
+
+    /**
+     * Sends file of download/view file operation response to client.
+     * If response has no file (operation failed) HTTP error is sent: 404 if operation succeeded
+     * without file, 500 otherwise.
+     *
+     * @param {http.ClientRequest} req - HTTP request
+     * @param {http.ServerResponse} res - HTTP response
+     * @param {BaseResponse} response - Operation response
+     * @param {boolean} inline - <code>true</code> to show content in browser, <code>false</code> to save it as file
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    static sendResponse(req, res, response, inline, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(FileDownload.sendResponse, FileDownload, req, res, response, inline);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        if (response && response.status >= 0 && response.file instanceof FileDownload) {
+            res.set("Cache-Control", "private");
+            return response.file.send(req, res, inline, callback);
+        }
+        const failed = !response || response.status < 0;
+        res.status(failed ? 500 : 404);
+        res.set("Content-Type", "text/plain;charset=UTF-8");
+        res.set("Cache-Control", "no-cache");
+        res.send(failed ? "Failed to retrieve file" : "File not found");
+        if (failed && response && response.data instanceof Error) {
+            return callback(response.data);
+        }
+        return callback();
+    }
+
+    /**
+     * Creates download of content in buffer.
+     *
+     * @param {Buffer} buffer - Content
+     * @param {string} fileName - File name
+     * @param {string} [mimeType] - MIME type. Detected from file name extension if not specified
+     * @return {FileDownload} File download
+     */
+    static fromBuffer(buffer, fileName, mimeType) {
+        if (!Buffer.isBuffer(buffer)) {
+            buffer = Buffer.from(buffer === undefined || buffer === null ? "" : buffer);
+        }
+        return new FileDownload({buffer: buffer, fileName: fileName, mimeType: mimeType});
+    }
+
+    /**
+     * Creates download of file on disk.
+     * Callback receives {@link FileDownload}.
+     *
+     * @param {string} filePath - Path of file
+     * @param {string} fileName - File name presented to client
+     * @param {string} [mimeType] - MIME type. Detected from file name extension if not specified
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    static fromFile(filePath, fileName, mimeType, callback) {
+        if (typeof mimeType === "function") {
+            callback = mimeType;
+            mimeType = null;
+        }
+        if (!callback) {
+            return AsyncUtil.toPromise(FileDownload.fromFile, FileDownload, filePath, fileName, mimeType || null);
+        }
+        assert.equal(typeof filePath, "string", "argument 'filePath' must be string");
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        fs.stat(filePath, function(err, stats) {
+            if (err) {
+                return callback(new Exception("Error reading file '" + filePath + "'", err));
+            }
+            if (!stats.isFile()) {
+                return callback(new Exception("'" + filePath + "' is not a file"));
+            }
+            return callback(null, new FileDownload({path: filePath, size: stats.size, fileName: fileName, mimeType: mimeType}));
+        });
+    }
+
+    /**
+     * Returns MIME type for file name extension.
+     *
+     * @param {string} fileName - File name
+     * @return {string} MIME type or {@link Const.DEFAULT_MIME_TYPE} if extension is unknown
+     */
+    static getMimeType(fileName) {
+        const ext = path.extname(String(fileName)).toLowerCase();
+        return MIME_TYPES.hasOwnProperty(ext) ? MIME_TYPES[ext] : Const.DEFAULT_MIME_TYPE;
+    }
+
+    /**
+     * Checks if content of MIME type can run scripts when shown in browser
+     * (HTML, SVG, XML, JavaScript - see {@link Const.ACTIVE_MIME_TYPES}).
+     *
+     * @param {string} mimeType - MIME type, parameters (e.g. <code>charset</code>) are ignored
+     * @return {boolean} <code>true</code> if content is active
+     */
+    static isActiveContent(mimeType) {
+        const type = String(mimeType || "").split(";")[0].trim().toLowerCase();
+        return Const.ACTIVE_MIME_TYPES.indexOf(type) >= 0 || /\+xml$/.test(type);
+    }
+
+    /**
+     * Creates <code>Content-Disposition</code> header value.
+     * Non ASCII file names are passed in <code>filename*</code> parameter (RFC 5987).
+     *
+     * @param {string} fileName - File name
+     * @param {boolean} inline - <code>true</code> for inline disposition, <code>false</code> for attachment
+     * @return {string} Header value
+     */
+    static getContentDisposition(fileName, inline) {
+        const asciiName = String(fileName).replace(/[^\x20-\x7E]/g, "_").replace(/["\\]/g, "_");
+        let disposition = (inline ? "inline" : "attachment") + "; filename=\"" + asciiName + "\"";
+        if (asciiName !== fileName) {
+            disposition += "; filename*=UTF-8''" + encodeURIComponent(fileName).replace(/['()*]/g, function(c) {
+                return "%" + c.charCodeAt(0).toString(16).toUpperCase();
+            });
+        }
+        return disposition;
+    }
+
+}
+
+/**
+ * Parses <code>Range</code> header. Only single byte range is supported.
+ *
+ * @param {string} header - Header value
+ * @param {number} size - Content size
+ * @return {Object|null|boolean} Range (<code>start</code>, <code>end</code>), <code>null</code> if header
+ *      should be ignored (whole content is sent) or <code>false</code> if range can not be satisfied
+ */
+const parseRange = function(header, size) {
+    const match = /^\s*bytes\s*=\s*(\d*)\s*-\s*(\d*)\s*$/.exec(header);
+    if (!match || (match[1] === "" && match[2] === "")) {
+        // Unsupported range (e.g. multiple ranges) - send whole content
+        return null;
+    }
+    let start;
+    let end;
+    if (match[1] === "") {
+        // Suffix range - last N bytes
+        start = Math.max(size - parseInt(match[2], 10), 0);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === "" ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+    if (start > end || start >= size) {
+        return false;
+    }
+    return {start: start, end: end};
+};
+
+module.exports = FileDownload;
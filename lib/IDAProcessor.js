@@ -37,6 +37,7 @@ const HTMLUtil = require("srv-util").HTMLUtil;
 const XMLUtil = require("srv-util").XMLUtil;
 
 const Const = require("./Const");
+const FileDownload = require("./FileDownload");
 
 let RPCManager;
 let RPCRequest;
@@ -68,6 +69,7 @@ class IDAProcessor {
         this.jsCallback = "";
         this.transactionNum = null;
         this._operations = [];
+        this.dataFormat = Const.DATA_FORMAT_JSON;
     }
 
     /**
@@ -214,6 +216,33 @@ class IDAProcessor {
         return this._operations;
     }
 
+    /**
+     * Data format of responses.
+     * Requested by client in 'isc_dataFormat' parameter (<code>json</code> or <code>xml</code>),
+     * XML is used if parameter is not set and transaction is sent in XML.
+     * Defaults to JSON.
+     *
+     * @type {string}
+     */
+    get dataFormat() {
+        return this._dataFormat;
+    }
+    set dataFormat(dataFormat) {
+        assert.equal(dataFormat === Const.DATA_FORMAT_JSON ||
+            dataFormat === Const.DATA_FORMAT_XML, true, "argument 'dataFormat' has unsupported data format");
+        this._dataFormat = dataFormat;
+    }
+
+    /**
+     * <code>true</code> if request is single download/view file or export operation.
+     * Such request is answered with file content instead of responses.
+     *
+     * @type {boolean}
+     */
+    get isDownload() {
+        return this.operations.length === 1 && this.operations[0] instanceof DSRequest && (this.operations[0].isDownload || this.operations[0].isExport);
+    }
+
     /**
      * Processes HTTP request:
      * <ul>
@@ -234,6 +263,9 @@ class IDAProcessor {
                 if (err) {
                     return self._sendResponse(err);
                 }
+                if (self.isDownload) {
+                    return self._sendFile(responses);
+                }
                 return self._sendResponse(responses);
             });
         });
@@ -251,6 +283,19 @@ class IDAProcessor {
             return callback(new Exception("Non-RPC request"));
         }
         this.transactionNum = this.req.query[Const.ISC_TNUM];
+        // Requested data format
+        let reqDataFormat = this.req.query[Const.ISC_DATA_FORMAT];
+        if (!reqDataFormat) {
+            reqDataFormat = this.req.body[Const.ISC_DATA_FORMAT];
+        }
+        reqDataFormat = Util.concatenate(reqDataFormat).trim().toLowerCase();
+        if (reqDataFormat) {
+            if (reqDataFormat !== Const.DATA_FORMAT_JSON && reqDataFormat !== Const.DATA_FORMAT_XML) {
+                return callback(new Exception("Unsupported data format '" + reqDataFormat + "' in '" +
+                    Const.ISC_DATA_FORMAT + "' parameter"));
+            }
+            this.dataFormat = reqDataFormat;
+        }
         // Parsing '_transaction' property
         let transaction = this.req.query[Const._TRANSACTION];
         if (!transaction) {
@@ -274,6 +319,10 @@ class IDAProcessor {
                 if (err) {
                     return callback(new Exception("Failed to parse transaction object in '" + Const._TRANSACTION + "' property"));
                 }
+                // Client sending XML transaction expects XML responses unless requested otherwise
+                if (!reqDataFormat) {
+                    self.dataFormat = Const.DATA_FORMAT_XML;
+                }
                 return self._finishParsing(XMLUtil.normalizeXMLData(transaction), callback);
             });
         }
@@ -318,6 +367,20 @@ class IDAProcessor {
         return callback();
     }
 
+    /**
+     * Sends file of download/view file or export operation to client.
+     *
+     * @param {Array} responses - Responses of operations
+     */
+    _sendFile(responses) {
+        const self = this;
+        FileDownload.sendResponse(this.req, this.res, responses[0], this.operations[0].downloadInline, function(err) {
+            if (err) {
+                self.log.error({err: err}, "Failed to send file");
+            }
+        });
+    }
+
     /**
      * Sends reponse to client.
      *
@@ -362,16 +425,12 @@ class IDAProcessor {
         if (!Array.isArray(responses)) {
             responses = [responses];
         }
-        let dataFormat = Const.DATA_FORMAT_JSON;
+        const dataFormat = this.dataFormat;
         for (let i = 0, l = responses.length; i < l; i++) {
             if (!(responses[i] instanceof BaseResponse)) {
                 responses[i] = new BaseResponse(responses[i]);
             }
-            if (dataFormat === Const.DATA_FORMAT_XML || dataFormat === Const.DATA_FORMAT_JSON) {
-                responses[i] = responses[i].toObject();
-            } else {
-                responses[i] = responses[i].toString();
-            }
+            responses[i] = responses[i].toObject();
         }
         this.log.debug({responses: (responses)}, "Responses");
         let html = "";
@@ -379,17 +438,20 @@ class IDAProcessor {
             html += Const.STRUCTURED_RPC_START;
             if (dataFormat === Const.DATA_FORMAT_XML) {
                 html += RPCManager.generateResponseXML(responses);
-            } else if (dataFormat === Const.DATA_FORMAT_JSON) {
-                html += JSON.stringify(responses);
             } else {
-                html += responses.toString();
+                html += JSON.stringify(responses);
             }
             html += Const.STRUCTURED_RPC_END;
             this.res.set("Content-Type", "text/plain;charset=UTF-8");
         } else {
             html += IDAProcessor.generateIFramePrefix(this.documentDomain, this.jsCallback, this.transactionNum);
             html += Const.STRUCTURED_RPC_START;
-            html += HTMLUtil.escapeHtml(JSON.stringify(responses));
+            if (dataFormat === Const.DATA_FORMAT_XML) {
+                // Formatting whitespace would not survive HTML escaping
+                html += HTMLUtil.escapeHtml(RPCManager.generateResponseXML(responses, true));
+            } else {
+                html += HTMLUtil.escapeHtml(JSON.stringify(responses));
+            }
             html += Const.STRUCTURED_RPC_END;
             html += IDAProcessor.generateIFramePostfix();
             this.res.set("Content-Type", "text/html;charset=UTF-8");
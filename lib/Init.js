@@ -34,6 +34,9 @@ const Exception = require("srv-core").Exception;
 const Config = require("srv-config").Config;
 const Log = require("srv-log").Log;
 
+const AsyncUtil = require("./AsyncUtil");
+const DateUtil = require("./DateUtil");
+
 // Static value for Init.initialized
 let _initialized = false;
 
@@ -56,12 +59,16 @@ class Init {
      * <ul>
      * <li>reads configuration</li>
      * <li>initializes logging system</li>
+     * <li>checks server time zone (see {@link DateUtil.checkServerTimeZone})</li>
      * <li>sets <code>uncaughtException</code> handler</li>
      * </ul>
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     static go(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(Init.go, Init);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
         if (Init.initialized) {
             return callback();
@@ -72,6 +79,11 @@ class Init {
             }
             // Initialize global logger with configuration values
             Log.setDefaultConfig(Config.getValue("logging"));
+            try {
+                DateUtil.checkServerTimeZone();
+            } catch (err) {
+                return callback(new Exception("Invalid server time zone configuration", err));
+            }
             // Set uncaught exception handler
             process.on("uncaughtException", function(err) {
                 Log.logger.fatal({err: err}, "Uncaught exception");
@@ -0,0 +1,186 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const assert = require("assert");
+
+const Exception = require("srv-core").Exception;
+
+const AsyncUtil = require("./AsyncUtil");
+
+// Parsed parameter names of functions
+const _parameterNames = new WeakMap();
+
+/**
+ * Binds arguments to server object methods (DMI - direct method invocation) by declared parameter names.
+ * <br/>
+ * Parameters named as one of injectable values (e.g. <code>req</code>, <code>res</code>,
+ * <code>rpcManager</code>, <code>data</code>, <code>user</code>, <code>callback</code>) receive these values.
+ * All other parameters receive client provided arguments positionally, rest parameter receives all remaining
+ * arguments.
+ * <br/>
+ * Method can either declare <code>callback</code> parameter and call it, or return result (or Promise).
+ * <br/>
+ * Binding is used only for methods which opt in with <code>bindArguments</code> of server object definition
+ * (see {@link ServerObjectRegistry}), other methods keep legacy parameters (request and callback).
+ * Parameter names are read from function source, so bound methods must not be minified (names are changed)
+ * or be native or bound functions (source is not available).
+ */
+class MethodBinder {
+
+    /**
+     * Returns names of declared function parameters.
+     * Destructured parameters are returned as <code>null</code>, rest parameter is prefixed with '...'.
+     *
+     * @param {function} fn - Function
+     * @return {Array} Parameter names
+     * @throws {Exception} if function source is not available (native or bound function)
+     */
+    static getParameterNames(fn) {
+        assert.equal(typeof fn, "function", "argument 'fn' must be function");
+        let names = _parameterNames.get(fn);
+        if (!names) {
+            const source = Function.prototype.toString.call(fn);
+            if (/\{\s*\[native code\]\s*\}\s*$/.test(source)) {
+                throw new Exception("Parameter names of function '" + fn.name + "' can not be read: function is native or bound");
+            }
+            names = parseParameterNames(source);
+            _parameterNames.set(fn, names);
+        }
+        return names;
+    }
+
+    /**
+     * Calls method with bound arguments.
+     * If method does not declare <code>callback</code> parameter, returned value (or Promise result) is
+     * passed to callback.
+     *
+     * @param {Object} target - Object which method is called
+     * @param {function} fn - Method
+     * @param {Array|null} args - Positional arguments
+     * @param {Object} injectables - Injectable values by name
+     * @param {function} callback - Callback executed when finished
+     */
+    static invoke(target, fn, args, injectables, callback) {
+        assert.equal(typeof fn, "function", "argument 'fn' must be function");
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        let names;
+        try {
+            names = MethodBinder.getParameterNames(fn);
+        } catch (err) {
+            return callback(err);
+        }
+        const positional = Array.isArray(args) ? args : [];
+        const bound = function(done) {
+            const values = [];
+            let position = 0;
+            let usesCallback = false;
+            for (let i = 0, l = names.length; i < l; i++) {
+                const name = names[i];
+                if (name && name.indexOf("...") === 0) {
+                    values.push.apply(values, positional.slice(position));
+                    position = positional.length;
+                } else if (name === "callback") {
+                    usesCallback = true;
+                    values.push(done);
+                } else if (name && Object.prototype.hasOwnProperty.call(injectables, name)) {
+                    values.push(injectables[name]);
+                } else {
+                    values.push(positional[position++]);
+                }
+            }
+            const result = fn.apply(target, values);
+            if (!usesCallback && !(result && typeof result.then === "function")) {
+                // Plain return value
+                done(null, result);
+            }
+            return result;
+        };
+        return AsyncUtil.invoke(bound, target, [], callback);
+    }
+
+}
+
+/**
+ * Parses parameter names from function source.
+ *
+ * @param {string} source - Function source
+ * @return {Array} Parameter names
+ */
+const parseParameterNames = function(source) {
+    source = source.replace(/\/\*[\s\S]*?\*\//g, "").replace(/\/\/.*$/mg, "").trim();
+    // Arrow function with single parameter without parentheses
+    const arrow = /^(?:async\s+)?([A-Za-z_$][\w$]*)\s*=>/.exec(source);
+    if (arrow) {
+        return [arrow[1]];
+    }
+    const start = source.indexOf("(");
+    if (start < 0) {
+        return [];
+    }
+    // Split parameter list by top level commas
+    const params = [];
+    let depth = 0;
+    let current = "";
+    for (let i = start + 1; i < source.length; i++) {
+        const c = source[i];
+        if (depth === 0 && c === ")") {
+            params.push(current);
+            break;
+        }
+        if (c === "(" || c === "[" || c === "{") {
+            depth++;
+        } else if (c === ")" || c === "]" || c === "}") {
+            depth--;
+        }
+        if (depth === 0 && c === ",") {
+            params.push(current);
+            current = "";
+        } else {
+            current += c;
+        }
+    }
+    const names = [];
+    for (let i = 0, l = params.length; i < l; i++) {
+        // Remove default value
+        const param = params[i].split("=")[0].trim();
+        if (!param) {
+            continue;
+        }
+        const match = /^(\.\.\.)?\s*([A-Za-z_$][\w$]*)$/.exec(param);
+        if (match) {
+            names.push((match[1] || "") + match[2]);
+        } else {
+            // Destructured parameter
+            names.push(null);
+        }
+    }
+    return names;
+};
+
+module.exports = MethodBinder;
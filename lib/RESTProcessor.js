@@ -37,6 +37,7 @@ const XMLUtil = require("srv-util").XMLUtil;
 const Config = require("srv-config").Config;
 
 const Const = require("./Const");
+const FileDownload = require("./FileDownload");
 
 let RPCManager;
 let RESTDSRequest;
@@ -244,6 +245,16 @@ class RESTProcessor {
         this._dataFormat = dataFormat;
     }
 
+    /**
+     * <code>true</code> if request is single download/view file or export operation.
+     * Such request is answered with file content instead of responses.
+     *
+     * @type {boolean}
+     */
+    get isDownload() {
+        return this.operations.length === 1 && this.operations[0] instanceof RESTDSRequest && (this.operations[0].isDownload || this.operations[0].isExport);
+    }
+
     /**
      * Processes HTTP request:
      * <ul>
@@ -264,6 +275,9 @@ class RESTProcessor {
                 if (err) {
                     return self._sendResponse(err);
                 }
+                if (self.isDownload) {
+                    return self._sendFile(responses);
+                }
                 return self._sendResponse(responses);
             });
         });
@@ -386,7 +400,9 @@ class RESTProcessor {
                 this.requestPath[1] === Const.OPERATION_TYPE_ADD ||
                 this.requestPath[1] === Const.OPERATION_TYPE_UPDATE ||
                 this.requestPath[1] === Const.OPERATION_TYPE_REMOVE ||
-                this.requestPath[1] === Const.OPERATION_TYPE_CUSTOM) {
+                this.requestPath[1] === Const.OPERATION_TYPE_CUSTOM ||
+                this.requestPath[1] === Const.OPERATION_TYPE_DOWNLOAD_FILE ||
+                this.requestPath[1] === Const.OPERATION_TYPE_VIEW_FILE) {
                 // Second path segment is an operationType
                 rawOpType = this.requestPath[1];
                 if (this.requestPath.length > 2) {
@@ -459,6 +475,20 @@ class RESTProcessor {
         return callback();
     }
 
+    /**
+     * Sends file of download/view file or export operation to client.
+     *
+     * @param {Array} responses - Responses of operations
+     */
+    _sendFile(responses) {
+        const self = this;
+        FileDownload.sendResponse(this.req, this.res, responses[0], this.operations[0].downloadInline, function(err) {
+            if (err) {
+                self.log.error({err: err}, "Failed to send file");
+            }
+        });
+    }
+
     /**
      * Sends reponse to client.
      *
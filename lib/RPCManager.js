@@ -28,13 +28,23 @@
 "use strict";
 
 const assert = require("assert");
-const xml = require("xml2js");
+const knex = require("knex");
 
 const Exception = require("srv-core").Exception;
+const Config = require("srv-config").Config;
 const Log = require("srv-log").Log;
 const Util = require("srv-util").Util;
 
 const Const = require("./Const");
+const AsyncUtil = require("./AsyncUtil");
+const ConnectionPool = require("./db/ConnectionPool");
+const ResponseReference = require("./ResponseReference");
+const Security = require("./Security");
+const ServerObjectScope = require("./ServerObjectScope");
+const XMLTextUtil = require("./XMLTextUtil");
+
+// Interceptors registered for all RPC managers
+const _interceptors = [];
 
 let BaseRequest;
 let RPCRequest;
@@ -71,6 +81,90 @@ class RPCManager {
         }
         this.transactionNum = null;
         this._operations = [];
+        this._transactions = {};
+        this._transactionsEnded = false;
+        this._transactionFailed = false;
+        this._responses = [];
+        this._executionMode = null;
+        this._maxParallel = null;
+        this._interceptors = [];
+        this._skipped = [];
+        this._serverObjectScope = null;
+    }
+
+    /**
+     * Registers interceptor for all RPC managers.
+     * Interceptor is an object implementing one or more of following methods
+     * (each method can call callback or return Promise):
+     * <ul>
+     * <li><code>beforeInit(context, callback)</code> - before operation is initialized</li>
+     * <li><code>beforeExecute(context, callback)</code> - before operation is executed</li>
+     * <li><code>afterExecute(context, callback)</code> - after operation is executed,
+     *      <code>context.response</code> holds operation response</li>
+     * <li><code>afterQueue(context, callback)</code> - after all operations are executed and transactions
+     *      are finished, <code>context.requests</code> and <code>context.responses</code> hold queue operations
+     *      and their responses</li>
+     * </ul>
+     * Operation context has following properties: <code>rpcManager</code>, <code>req</code> and <code>res</code>
+     * (HTTP request and response), <code>request</code> ({@link BaseRequest}), <code>index</code> (operation index
+     * in queue) and <code>response</code> ({@link BaseResponse}, after execution only).
+     * <br/>
+     * Before phases are short-circuited when interceptor returns response (or result) - remaining interceptors
+     * and operation itself are skipped. Value returned from after phases replaces response (responses array for
+     * <code>afterQueue</code>). Error returned from operation phases is reported as operation failure.
+     * Before phases are called in registration order, after phases - in reverse order.
+     * Global interceptors are called before interceptors of RPC manager instance.
+     *
+     * @param {Object} interceptor - Interceptor
+     */
+    static addInterceptor(interceptor) {
+        validateInterceptor(interceptor);
+        _interceptors.push(interceptor);
+    }
+
+    /**
+     * Unregisters interceptor registered with {@link RPCManager.addInterceptor}.
+     *
+     * @param {Object} interceptor - Interceptor
+     */
+    static removeInterceptor(interceptor) {
+        const index = _interceptors.indexOf(interceptor);
+        if (index >= 0) {
+            _interceptors.splice(index, 1);
+        }
+    }
+
+    /**
+     * Registers interceptor for this RPC manager only.
+     * See {@link RPCManager.addInterceptor} for interceptor description.
+     *
+     * @param {Object} interceptor - Interceptor
+     */
+    addInterceptor(interceptor) {
+        validateInterceptor(interceptor);
+        this._interceptors.push(interceptor);
+    }
+
+    /**
+     * Unregisters interceptor registered with {@link RPCManager#addInterceptor}.
+     *
+     * @param {Object} interceptor - Interceptor
+     */
+    removeInterceptor(interceptor) {
+        const index = this._interceptors.indexOf(interceptor);
+        if (index >= 0) {
+            this._interceptors.splice(index, 1);
+        }
+    }
+
+    /**
+     * Interceptors applied to operations of this RPC manager: global interceptors followed by
+     * interceptors of this instance.
+     *
+     * @type {Object[]}
+     */
+    get interceptors() {
+        return _interceptors.concat(this._interceptors);
     }
 
     /**
@@ -100,6 +194,48 @@ class RPCManager {
         return this._res;
     }
 
+    /**
+     * <code>true</code> if queue transactions are committed or rolled back already.
+     * Operations executed after that (e.g. by interceptors after queue) can not join queue transaction.
+     *
+     * @type {boolean}
+     */
+    get transactionsEnded() {
+        return this._transactionsEnded;
+    }
+
+    /**
+     * Marks queue transactions as failed: they are rolled back and operations which joined them
+     * get failure queue status. Used for failures of operations executed by server code in queue
+     * transaction (see {@link DataSourceHandle}), failures of queue operations are detected automatically.
+     */
+    setTransactionFailed() {
+        this._transactionFailed = true;
+    }
+
+    /**
+     * Scope of server objects shared by all requests of queue.
+     * Scope ends when queue execution is finished.
+     *
+     * @type {ServerObjectScope}
+     */
+    get serverObjectScope() {
+        if (!this._serverObjectScope) {
+            this._serverObjectScope = new ServerObjectScope(Const.SERVER_OBJECT_SCOPE_QUEUE);
+        }
+        return this._serverObjectScope;
+    }
+
+    /**
+     * Current user of HTTP request: <code>req.user</code> (set by authentication middleware)
+     * or <code>user</code> property of session. <code>null</code> if user is not known.
+     *
+     * @type {*}
+     */
+    get user() {
+        return Security.getUser(this.req);
+    }
+
     /**
      * Transaction number.
      *
@@ -115,6 +251,71 @@ class RPCManager {
         }
     }
 
+    /**
+     * Operations execution mode:
+     * <ul>
+     * <li><code>sequential</code> - operations are executed one by one in queue order</li>
+     * <li><code>parallel</code> - up to {@link RPCManager#maxParallel} operations are executed at the same time;
+     *      operation referencing responses of other operations (see {@link ResponseReference})
+     *      is executed only after referenced operations are finished. Operations which join queue transaction
+     *      (and operations which are not data source requests) are executed one by one in queue order,
+     *      because operations of transaction share single data base connection, but in parallel with
+     *      other operations</li>
+     * <li><code>auto</code> - queue containing only read-only operations (fetch, validate, download) outside of
+     *      queue transaction is executed in parallel, any other queue is executed sequentially</li>
+     * </ul>
+     * Defaults to <code>rpc.executionMode</code> configuration value or <code>auto</code> if not configured.
+     *
+     * @type {string}
+     */
+    get executionMode() {
+        if (this._executionMode) {
+            return this._executionMode;
+        }
+        const executionMode = Config.getValue("rpc." + Const.EXECUTION_MODE);
+        if (executionMode === Const.EXECUTION_MODE_SEQUENTIAL ||
+            executionMode === Const.EXECUTION_MODE_PARALLEL ||
+            executionMode === Const.EXECUTION_MODE_AUTO) {
+            return executionMode;
+        }
+        return Const.EXECUTION_MODE_AUTO;
+    }
+    set executionMode(executionMode) {
+        if (executionMode === undefined || executionMode === null) {
+            this._executionMode = null;
+        } else {
+            assert.equal(executionMode === Const.EXECUTION_MODE_SEQUENTIAL ||
+                executionMode === Const.EXECUTION_MODE_PARALLEL ||
+                executionMode === Const.EXECUTION_MODE_AUTO, true, "argument 'executionMode' has unsupported value");
+            this._executionMode = executionMode;
+        }
+    }
+
+    /**
+     * Maximum number of operations executed at the same time in parallel execution mode.
+     * Defaults to <code>rpc.maxParallelOperations</code> configuration value or 5 if not configured.
+     *
+     * @type {number}
+     */
+    get maxParallel() {
+        if (this._maxParallel) {
+            return this._maxParallel;
+        }
+        const maxParallel = parseInt(Config.getValue("rpc." + Const.MAX_PARALLEL_OPERATIONS), 10);
+        if (!isNaN(maxParallel) && maxParallel > 0) {
+            return maxParallel;
+        }
+        return Const.DEFAULT_MAX_PARALLEL_OPERATIONS;
+    }
+    set maxParallel(maxParallel) {
+        if (maxParallel === undefined || maxParallel === null) {
+            this._maxParallel = null;
+        } else {
+            assert.equal(typeof maxParallel === "number" && maxParallel >= 1, true, "argument 'maxParallel' must be positive number");
+            this._maxParallel = Math.floor(maxParallel);
+        }
+    }
+
     /**
      * List of operations.
      *
@@ -138,9 +339,13 @@ class RPCManager {
      * Executes specified operation(s).
      *
      * @param {BaseRequest|Array} [operations] - Operations to execute
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     execute(operations, callback) {
+        if (typeof operations !== "function" && !callback) {
+            // No callback provided - return Promise
+            return AsyncUtil.toPromise(RPCManager.prototype.execute, this, operations || null);
+        }
         if (!callback) {
             // Single parameter provided - callback
             callback = operations;
@@ -170,55 +375,257 @@ class RPCManager {
             this.log.debug({operations: debugOp}, "Executing operations");
         }
         const self = this;
-        const responses = [];
+        this._responses = [];
+        this._skipped = [];
+        this._transactionsEnded = false;
+        this._transactionFailed = false;
         this._initRequests(function(err) {
             if (err) {
-                // Failed to initialize operations - free resources and return top level error
-                return self._freeResources(function() {
-                    // Return top level error
-                    callback(err);
+                // Failed to initialize operations - roll back transactions, free resources and return top level error
+                return self._endTransactions(false, function() {
+                    self._freeResources(function() {
+                        self._releaseTransactions(function() {
+                            // Return top level error
+                            callback(err);
+                        });
+                    });
                 });
             }
-            self._executeRequests(function(err, results) {
+            self._executeRequests(function(err, responses) {
                 if (err) {
-                    // Should never occur because _executeRequests() always returns results array with
-                    // execution result for every request execution
-                    return self._freeResources(function() {
-                        callback(err);
+                    // Should never occur because _executeRequests() always returns responses array with
+                    // execution response for every request execution
+                    return self._endTransactions(false, function() {
+                        self._freeResources(function() {
+                            self._releaseTransactions(function() {
+                                callback(err);
+                            });
+                        });
                     });
                 }
-                for (let i = 0, l = results.length; i < l; i++) {
-                    // operations and results arrays are in sync
-                    if (results[i] instanceof Error) {
-                        if (self.operations[i] instanceof DSRequest) {
-                            responses.push(new DSResponse(results[i]));
-                        } else {
-                            responses.push(new RPCResponse(results[i]));
-                        }
-                    } else {
-                        if (self.operations[i] instanceof DSRequest) {
-                            if (results[i] instanceof DSResponse) {
-                                responses.push(results[i]);
-                            } else {
-                                responses.push(new DSResponse(results[i]));
-                            }
-                        } else {
-                            if (results[i] instanceof RPCResponse) {
-                                responses.push(results[i]);
-                            } else {
-                                responses.push(new RPCResponse(results[i]));
-                            }
-                        }
+                // Operations executed by server code (e.g. with DataSourceHandle) could fail transaction
+                let transactionFailed = self._transactionFailed;
+                for (let i = 0, l = responses.length; i < l; i++) {
+                    // operations and responses arrays are in sync
+                    if (self._isInTransaction(self.operations[i]) && responses[i].status < 0) {
+                        transactionFailed = true;
                     }
                 }
-                return self._freeResources(function() {
-                    // Free resources and send responses
-                    callback(null, responses);
+                // Commit queue transactions only if all operations in them succeeded
+                self._endTransactions(!transactionFailed, function(err) {
+                    if (err) {
+                        // Failed to commit - none of transactional operations is saved
+                        transactionFailed = true;
+                    }
+                    self._setQueueStatus(responses, transactionFailed);
+                    self._broadcastChanges(responses);
+                    return self._freeResources(function() {
+                        self._releaseTransactions(function() {
+                            const context = {
+                                rpcManager: self,
+                                req: self.req,
+                                res: self.res,
+                                requests: self.operations,
+                                responses: responses
+                            };
+                            self._intercept(Const.INTERCEPTOR_AFTER_QUEUE, context, function(err, result) {
+                                if (err) {
+                                    // Operations are finished already - log failure and send responses
+                                    self.log.error({err: new Exception("Interceptor failed after queue execution", err)});
+                                } else if (Array.isArray(result)) {
+                                    responses = result;
+                                }
+                                // Free resources and send responses
+                                callback(null, responses);
+                            });
+                        });
+                    });
                 });
             });
         });
     }
 
+    /**
+     * Returns queue transaction for specified data base.
+     * Transaction is started when first operation joins it and is shared by all operations
+     * of the queue which use the same data base.
+     * Transactions are committed (or rolled back if any of joined operations fails) by
+     * {@link RPCManager#execute} after all operations are executed. Transaction can not be
+     * requested after that (see {@link RPCManager#transactionsEnded}).
+     * <br/>
+     * Transaction object has following properties:
+     * <ul>
+     * <li><code>dbName</code> - name of data base</li>
+     * <li><code>connection</code> - data base connection used by transaction</li>
+     * <li><code>queryBuilder</code> - query builder for data base type</li>
+     * </ul>
+     *
+     * @param {string} [dbName] - Name of data base. Uses default data base if not specified.
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    getTransaction(dbName, callback) {
+        if (typeof dbName !== "function" && !callback) {
+            // No callback provided - return Promise
+            return AsyncUtil.toPromise(RPCManager.prototype.getTransaction, this, dbName || null);
+        }
+        if (!callback) {
+            // Single parameter provided - callback
+            callback = dbName;
+            dbName = null;
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        if (this._transactionsEnded) {
+            // Transaction started now would never be committed and its connection never released
+            return callback(new Exception("Queue transactions are finished already"));
+        }
+        if (!dbName) {
+            try {
+                dbName = ConnectionPool.defaultDatabase;
+            } catch (err) {
+                return callback(err);
+            }
+        }
+        let transaction = this._transactions[dbName];
+        if (transaction) {
+            if (transaction.started) {
+                return callback(null, transaction);
+            }
+            // Transaction is beeing started - wait for it
+            transaction.callbacks.push(callback);
+            return;
+        }
+        transaction = {
+            dbName: dbName,
+            connection: null,
+            queryBuilder: null,
+            started: false,
+            callbacks: [callback]
+        };
+        this._transactions[dbName] = transaction;
+        const self = this;
+        const finish = function(err) {
+            const callbacks = transaction.callbacks;
+            transaction.callbacks = [];
+            if (err) {
+                // Forget failed transaction - connection (if acquired) will be released with other transactions
+                delete self._transactions[dbName];
+                if (transaction.connection) {
+                    ConnectionPool.release(dbName, transaction.connection, function(errRelease) {
+                        if (errRelease) {
+                            self.log.error({err: new Exception("Failed to release data base connection", errRelease)});
+                        }
+                    });
+                }
+            } else {
+                transaction.started = true;
+            }
+            for (let i = 0, l = callbacks.length; i < l; i++) {
+                if (err) {
+                    callbacks[i](err);
+                } else {
+                    callbacks[i](null, transaction);
+                }
+            }
+        };
+        try {
+            transaction.queryBuilder = knex({client: ConnectionPool.getDBType(dbName)});
+        } catch (err) {
+            return finish(new Exception("Data base type is not specifed", err));
+        }
+        ConnectionPool.acquire(dbName, function(err, connection) {
+            if (err) {
+                return finish(new Exception("Failed to acquire data base connection", err));
+            }
+            transaction.connection = connection;
+            self.log.debug("Starting queue transaction for '" + dbName + "'");
+            transaction.queryBuilder.client.query(connection, "begin").then(function() {
+                return finish();
+            }, function(err) {
+                return finish(new Exception("Failed to start data base transaction", err));
+            });
+        });
+    }
+
+    /**
+     * Internal method to check if operation has joined queue transaction.
+     *
+     * @param {BaseRequest} operation - Operation to check
+     * @return {boolean} <code>true</code> if operation participates in queue transaction
+     */
+    _isInTransaction(operation) {
+        return operation instanceof DSRequest && operation.inTransaction;
+    }
+
+    /**
+     * Internal method for finishing queue transactions.
+     * If <code>commit</code> is <code>true</code> - commits all transactions. If any commit fails - rolls back
+     * remaining transactions and callback receives commit error.
+     * Otherwise rolls back all transactions.
+     *
+     * @param {boolean} commit - <code>true</code> to commit transactions, <code>false</code> to roll back
+     * @param {function} callback - Callback executed when finished
+     */
+    _endTransactions(commit, callback) {
+        const self = this;
+        this._transactionsEnded = true;
+        const transactions = [];
+        for (let dbName in this._transactions) {
+            if (this._transactions[dbName].started) {
+                transactions.push(this._transactions[dbName]);
+            }
+        }
+        let commitError = null;
+        Util.arrayExecutor(transactions, false, function(index, transaction, cb) {
+            const command = (commit && !commitError) ? "commit" : "rollback";
+            self.log.debug("Finishing queue transaction for '" + transaction.dbName + "' with " + command);
+            transaction.queryBuilder.client.query(transaction.connection, command).then(function() {
+                return cb();
+            }, function(err) {
+                if (command === "commit") {
+                    commitError = new Exception("Failed to commit data base transaction", err);
+                    self.log.error({err: commitError});
+                    // Try to rollback failed transaction
+                    return transaction.queryBuilder.client.query(transaction.connection, "rollback").then(function() {
+                        return cb();
+                    }, function(err) {
+                        self.log.error({err: new Exception("Failed to roll back data base transaction", err)});
+                        return cb();
+                    });
+                }
+                self.log.error({err: new Exception("Failed to roll back data base transaction", err)});
+                return cb();
+            });
+        }, function() {
+            return callback(commitError);
+        });
+    }
+
+    /**
+     * Internal method for releasing connections of queue transactions.
+     *
+     * @param {function} callback - Callback executed when finished
+     */
+    _releaseTransactions(callback) {
+        const self = this;
+        const transactions = [];
+        for (let dbName in this._transactions) {
+            if (this._transactions[dbName].started) {
+                transactions.push(this._transactions[dbName]);
+            }
+        }
+        this._transactions = {};
+        Util.arrayExecutor(transactions, false, function(index, transaction, cb) {
+            ConnectionPool.release(transaction.dbName, transaction.connection, function(err) {
+                if (err) {
+                    self.log.error({err: new Exception("Failed to release data base connection", err)});
+                }
+                return cb();
+            });
+        }, function() {
+            return callback();
+        });
+    }
+
     /**
      * Internal method for operations initialization.
      * Stops initialization on first error.
@@ -227,12 +634,21 @@ class RPCManager {
      * @param {function} callback - Callback executed when finished
      */
     _initRequests(callback) {
+        const self = this;
         // Stop execution on first error
         Util.arrayExecutor(this.operations, true, function(index, op, cb) {
-            if (op instanceof BaseRequest) {
-                return op.init(cb);
+            if (!(op instanceof BaseRequest)) {
+                return cb(new Exception("Operation is not instance of BaseRequest"));
             }
-            cb(new Exception("Operation is not instance of BaseRequest"));
+            self._intercept(Const.INTERCEPTOR_BEFORE_INIT, self._getInterceptorContext(index), function(err, result) {
+                if (err || result) {
+                    // Operation is handled by interceptor - it is neither initialized nor executed
+                    self._skipped[index] = true;
+                    self._responses[index] = self._toResponse(op, err ? err : result);
+                    return cb();
+                }
+                return AsyncUtil.invoke(op.init, op, [], cb);
+            });
         }, function(err, result) {
             if (result[result.length - 1] instanceof Error) {
                 return callback(new Exception("Failed to initialize request", result[result.length - 1]));
@@ -243,23 +659,379 @@ class RPCManager {
 
     /**
      * Internal method for operations execution.
+     * Operations are executed according to {@link RPCManager#executionMode}.
+     * Operation is never started before operations it references are finished.
      *
      * @param {function} callback - Callback executed when finished
      */
     _executeRequests(callback) {
+        const self = this;
+        const operations = this.operations;
+        const count = operations.length;
+        const parallel = this._isParallelExecution();
+        const limit = parallel ? this.maxParallel : 1;
+        const dependencies = [];
+        let previousOrdered = -1;
+        for (let i = 0; i < count; i++) {
+            const operationDependencies = this._getDependencies(i);
+            if (parallel && this._requiresQueueOrder(operations[i])) {
+                // Operation waits for previous operation which requires queue order
+                if (previousOrdered >= 0 && operationDependencies.indexOf(previousOrdered) < 0) {
+                    operationDependencies.push(previousOrdered);
+                }
+                previousOrdered = i;
+            }
+            dependencies.push(operationDependencies);
+        }
+        this.log.debug("Executing " + count + " operation(s) " + (parallel ? "in parallel (max " + limit + ")" : "sequentially"));
+        const started = [];
+        const finished = [];
+        let running = 0;
+        let finishedCount = 0;
+        let done = false;
         // Execute all operations regardless of failures
-        Util.arrayExecutor(this.operations, false, function(index, op, cb) {
-            if (op instanceof BaseRequest) {
-                return op.execute(cb);
+        const schedule = function() {
+            if (done) {
+                return;
             }
-            cb(new Exception("Operation is not instance of BaseRequest"));
-        }, function(err, result) {
-            return callback(null, result);
+            if (finishedCount >= count) {
+                done = true;
+                return callback(null, self._responses);
+            }
+            for (let i = 0; i < count && running < limit; i++) {
+                if (started[i]) {
+                    continue;
+                }
+                let ready = true;
+                for (let d = 0, dl = dependencies[i].length; d < dl; d++) {
+                    if (!finished[dependencies[i][d]]) {
+                        ready = false;
+                        break;
+                    }
+                }
+                if (!ready) {
+                    if (!parallel) {
+                        // Keep queue order
+                        break;
+                    }
+                    continue;
+                }
+                started[i] = true;
+                running++;
+                self._executeRequest(i, function() {
+                    finished[i] = true;
+                    running--;
+                    finishedCount++;
+                    process.nextTick(schedule);
+                });
+            }
+        };
+        schedule();
+    }
+
+    /**
+     * Internal method for executing single operation.
+     * Response is kept for referencing it from later operations.
+     *
+     * @param {number} index - Index of operation in queue
+     * @param {function} callback - Callback executed when finished
+     */
+    _executeRequest(index, callback) {
+        const self = this;
+        const op = this.operations[index];
+        const finish = function(result) {
+            self._responses[index] = self._toResponse(op, result);
+            const context = self._getInterceptorContext(index);
+            context.response = self._responses[index];
+            self._intercept(Const.INTERCEPTOR_AFTER_EXECUTE, context, function(err, response) {
+                self._responses[index] = self._toResponse(op, err ? err : response);
+                return callback();
+            });
+        };
+        if (this._skipped[index]) {
+            // Response is provided by interceptor before initialization
+            return finish(this._responses[index]);
+        }
+        if (!(op instanceof BaseRequest)) {
+            return finish(new Exception("Operation is not instance of BaseRequest"));
+        }
+        this._intercept(Const.INTERCEPTOR_BEFORE_EXECUTE, this._getInterceptorContext(index), function(err, result) {
+            if (err || result) {
+                // Operation is handled by interceptor
+                return finish(err ? err : result);
+            }
+            return AsyncUtil.invoke(op.execute, op, [], function(err, result) {
+                return finish(err ? err : result);
+            });
         });
     }
 
+    /**
+     * Internal method for creating interceptor context of operation.
+     *
+     * @param {number} index - Index of operation in queue
+     * @return {Object} Interceptor context
+     */
+    _getInterceptorContext(index) {
+        return {
+            rpcManager: this,
+            req: this.req,
+            res: this.res,
+            request: this.operations[index],
+            index: index,
+            response: null
+        };
+    }
+
+    /**
+     * Internal method for calling interceptors of specified phase.
+     * Before phases stop on first interceptor returning result, after phases pass
+     * result of previous interceptor to next one in <code>context.response</code>
+     * (<code>context.responses</code> for <code>afterQueue</code>).
+     *
+     * @param {string} phase - Interceptor phase
+     * @param {Object} context - Interceptor context
+     * @param {function} callback - Callback executed when finished
+     */
+    _intercept(phase, context, callback) {
+        const interceptors = [];
+        const all = this.interceptors;
+        for (let i = 0, l = all.length; i < l; i++) {
+            if (typeof all[i][phase] === "function") {
+                interceptors.push(all[i]);
+            }
+        }
+        const before = phase === Const.INTERCEPTOR_BEFORE_INIT || phase === Const.INTERCEPTOR_BEFORE_EXECUTE;
+        const key = phase === Const.INTERCEPTOR_AFTER_QUEUE ? "responses" : "response";
+        if (!before) {
+            interceptors.reverse();
+        }
+        const next = function(index) {
+            if (index >= interceptors.length) {
+                return callback(null, before ? null : context[key]);
+            }
+            const interceptor = interceptors[index];
+            AsyncUtil.invoke(interceptor[phase], interceptor, [context], function(err, result) {
+                if (err) {
+                    return callback(err);
+                }
+                if (result !== undefined && result !== null) {
+                    if (before) {
+                        // Short-circuit
+                        return callback(null, result);
+                    }
+                    context[key] = result;
+                }
+                return next(index + 1);
+            });
+        };
+        return next(0);
+    }
+
+    /**
+     * Internal method to decide if operations should be executed in parallel.
+     * In parallel mode operations requiring queue order (see {@link RPCManager#_requiresQueueOrder})
+     * are still executed one by one.
+     *
+     * @return {boolean} <code>true</code> if operations should be executed in parallel
+     */
+    _isParallelExecution() {
+        if (this.executionMode === Const.EXECUTION_MODE_SEQUENTIAL) {
+            return false;
+        }
+        if (this.executionMode === Const.EXECUTION_MODE_PARALLEL) {
+            return true;
+        }
+        // Auto mode - only read-only queues outside of queue transaction are executed in parallel
+        for (let i = 0, l = this.operations.length; i < l; i++) {
+            const op = this.operations[i];
+            if (!(op instanceof DSRequest) || !op.isReadOnly || this._requiresQueueOrder(op)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Internal method to check if operation must be executed in queue order: it joins queue transaction
+     * (operations of transaction share single data base connection) or is not data source request
+     * (its use of queue transaction is not known).
+     *
+     * @param {BaseRequest} operation - Operation to check
+     * @return {boolean} <code>true</code> if operation must not run at the same time as other such operations
+     */
+    _requiresQueueOrder(operation) {
+        return !(operation instanceof DSRequest) || operation.joinTransaction || operation.inTransaction;
+    }
+
+    /**
+     * Internal method for finding operations referenced by specified operation.
+     *
+     * @param {number} index - Index of operation in queue
+     * @return {number[]} Indexes of referenced operations
+     */
+    _getDependencies(index) {
+        const dependencies = [];
+        const op = this.operations[index];
+        if (!(op instanceof DSRequest)) {
+            return dependencies;
+        }
+        const keys = [Const.VALUES, Const.OLD_VALUES, Const.CRITERIA];
+        const references = [];
+        for (let i = 0, l = keys.length; i < l; i++) {
+            ResponseReference.collect(op.data[keys[i]], references);
+        }
+        for (let i = 0, l = references.length; i < l; i++) {
+            const refIndex = references[i].findOperation(this.operations, index);
+            if (refIndex >= 0 && !dependencies.includes(refIndex)) {
+                dependencies.push(refIndex);
+            }
+        }
+        return dependencies;
+    }
+
+    /**
+     * Returns <code>true</code> if queue contains data changing operation before specified operation.
+     * For operation which is not in queue (e.g. executed from server object) whole queue is checked.
+     *
+     * @param {BaseRequest} operation - Operation
+     * @return {boolean}
+     */
+    hasChangeBefore(operation) {
+        let index = this.operations.indexOf(operation);
+        if (index < 0) {
+            index = this.operations.length;
+        }
+        for (let i = 0; i < index; i++) {
+            const op = this.operations[i];
+            if (op instanceof DSRequest && !op.isReadOnly) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Internal method for setting queue status to all responses.
+     * If queue transaction failed, responses of successful transactional operations are marked
+     * with {@link Const.STATUS_TRANSACTION_FAILED} status because their changes are rolled back.
+     *
+     * @param {BaseResponse[]} responses - Responses of queue operations
+     * @param {boolean} transactionFailed - <code>true</code> if queue transaction failed
+     */
+    _setQueueStatus(responses, transactionFailed) {
+        for (let i = 0, l = responses.length; i < l; i++) {
+            const response = responses[i];
+            // operations and responses arrays are in sync
+            if (transactionFailed && this._isInTransaction(this.operations[i]) && response.status >= 0) {
+                response.status = Const.STATUS_TRANSACTION_FAILED;
+                response.data = null;
+            }
+            response.queueStatus = transactionFailed ? Const.STATUS_FAILURE : Const.STATUS_SUCCESS;
+        }
+    }
+
+    /**
+     * Internal method for broadcasting changes of operations committed with queue transactions
+     * (see {@link DSRequest#broadcastChanges}). Operations outside of queue transaction broadcast
+     * their changes themselves. Broadcast failures are logged only.
+     *
+     * @param {BaseResponse[]} responses - Responses of operations
+     */
+    _broadcastChanges(responses) {
+        const self = this;
+        for (let i = 0, l = responses.length; i < l; i++) {
+            // operations and responses arrays are in sync
+            if (this._isInTransaction(this.operations[i]) && responses[i].status >= 0) {
+                this.operations[i].broadcastChanges(responses[i], function(err) {
+                    if (err) {
+                        self.log.error({err: err});
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * Internal method for wrapping operation execution result into response.
+     *
+     * @param {BaseRequest} operation - Executed operation
+     * @param {*} result - Execution result or error
+     * @return {BaseResponse} Response for operation
+     */
+    _toResponse(operation, result) {
+        if (result instanceof Error) {
+            if (operation instanceof DSRequest) {
+                return new DSResponse(result);
+            }
+            return new RPCResponse(result);
+        }
+        if (operation instanceof DSRequest) {
+            if (result instanceof DSResponse) {
+                return result;
+            }
+            return new DSResponse(result);
+        }
+        if (result instanceof RPCResponse) {
+            return result;
+        }
+        return new RPCResponse(result);
+    }
+
+    /**
+     * Returns response of already executed operation.
+     *
+     * @param {number} index - Index of operation in queue
+     * @return {BaseResponse|null} Operation response or <code>null</code> if operation is not executed yet
+     */
+    getResponse(index) {
+        assert.equal(typeof index, "number", "argument 'index' must be number");
+        const response = this._responses[index];
+        if (response) {
+            return response;
+        }
+        return null;
+    }
+
+    /**
+     * Replaces response data references in values, old values and criteria of specified operation
+     * with data from responses of previously executed operations (see {@link ResponseReference}).
+     * This method is called by {@link DSRequest} just before execution.
+     *
+     * @param {DSRequest} operation - Operation to resolve references for
+     * @throws {Exception} If referenced operation does not exist, failed or does not contain referenced value.
+     */
+    resolveResponseReferences(operation) {
+        assert.equal(operation instanceof DSRequest, true, "argument 'operation' must be instance of DSRequest");
+        const index = this.operations.indexOf(operation);
+        if (index < 0) {
+            // Operation is not in the queue - nothing to reference
+            return;
+        }
+        const self = this;
+        const resolver = function(reference) {
+            const refIndex = reference.findOperation(self.operations, index);
+            if (refIndex < 0) {
+                throw new Exception("Operation referenced by '" + reference + "' is not found");
+            }
+            try {
+                return reference.getValue(self.getResponse(refIndex));
+            } catch (err) {
+                throw new Exception("Failed to resolve '" + reference + "'", err);
+            }
+        };
+        const data = operation.data;
+        const keys = [Const.VALUES, Const.OLD_VALUES, Const.CRITERIA];
+        for (let i = 0, l = keys.length; i < l; i++) {
+            if (data[keys[i]] !== undefined && data[keys[i]] !== null) {
+                data[keys[i]] = ResponseReference.replace(data[keys[i]], resolver);
+            }
+        }
+    }
+
     /**
      * Internal method for freeing operations resources.
+     * Server objects of queue scope are freed after all operations.
      * 
      * @param {function} callback - Callback executed when finished
      */
@@ -267,8 +1039,8 @@ class RPCManager {
         const self = this;
         // Free resources of all operations regardless of failures
         Util.arrayExecutor(this.operations, false, function(index, op, cb) {
-            if (op instanceof BaseRequest) {
-                return op.freeResources(function(err) {
+            if (op instanceof BaseRequest && !self._skipped[index]) {
+                return AsyncUtil.invoke(op.freeResources, op, [], function(err) {
                     if (err) {
                         // Log failure to free resources
                         self.log.error({err: new Exception("Failed to free resources", err)});
@@ -278,40 +1050,131 @@ class RPCManager {
             }
             return cb();
         }, function(err, result) {
-            return callback(null, result);
+            if (!self._serverObjectScope) {
+                return callback(null, result);
+            }
+            // Queue is finished - free server objects shared by its requests
+            const scope = self._serverObjectScope;
+            self._serverObjectScope = null;
+            scope.free(function() {
+                return callback(null, result);
+            });
         });
     }
 
     /**
      * Generates XML for provided responses.
      * If there is more than one response - all responses are enclosed into <code>&lt;responses&gt;</code> tag.
+     * Each response object property becomes element of <code>&lt;response&gt;</code>,
+     * records of response data array are enclosed into <code>&lt;record&gt;</code> tags:
+     * <pre>
+     * &lt;response&gt;
+     *     &lt;status&gt;0&lt;/status&gt;
+     *     &lt;data&gt;
+     *         &lt;record&gt;&lt;id&gt;1&lt;/id&gt;&lt;name&gt;Name&lt;/name&gt;&lt;/record&gt;
+     *     &lt;/data&gt;
+     * &lt;/response&gt;
+     * </pre>
      *
-     * @param {Array|*} responses - Responses for XML generation
+     * @param {Array|*} responses - Responses (response objects) for XML generation
+     * @param {boolean} [compact=false] - <code>true</code> to generate XML without formatting whitespace
+     *                                    and with line breaks in values encoded as character references
      * @return {string} Generated XML with responses
      */
-    static generateResponseXML(responses) {
+    static generateResponseXML(responses, compact) {
         if (!Array.isArray(responses)) {
             responses = [responses];
         }
-        var builder = new xml.Builder({
-            rootName: Const.XML_RESPONSE,
-            headless: true
-        });
-        let xmlString = "<?xml version=\"1.0\"?>\n";
+        const format = {
+            compact: !!compact,
+            newLine: compact ? "" : "\n",
+            indent: compact ? "" : "    "
+        };
+        let xmlString = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" + format.newLine;
+        let indent = "";
         if (responses.length > 1) {
-            xmlString += "<" + Const.XML_RESPONSES + ">\n";
+            xmlString += "<" + Const.XML_RESPONSES + ">" + format.newLine;
+            indent = format.indent;
         }
         for (let i = 0, l = responses.length; i < l; i++) {
-            xmlString += builder.buildObject(responses[i]) + "\n";
+            let response = responses[i];
+            if (response && typeof response.toObject === "function") {
+                response = response.toObject();
+            }
+            xmlString += toXML(Const.XML_RESPONSE, response, indent, Const.XML_ELEMENT, format);
         }
         if (responses.length > 1) {
-            xmlString += "</" + Const.XML_RESPONSES + ">\n";
+            xmlString += "</" + Const.XML_RESPONSES + ">" + format.newLine;
         }
         return xmlString;
     }
 
 }
 
+/**
+ * Serializes value into XML element.
+ * Objects are serialized into child elements, array items are serialized into elements named
+ * <code>itemName</code>. Element names and values are escaped.
+ *
+ * @param {string} name - Element name
+ * @param {*} value - Value to serialize
+ * @param {string} indent - Element indentation
+ * @param {string} itemName - Element name for array items
+ * @param {Object} format - Output format (<code>compact</code>, <code>newLine</code> and <code>indent</code>)
+ * @return {string} Serialized element
+ */
+const toXML = function(name, value, indent, itemName, format) {
+    const tagName = XMLTextUtil.toXMLName(name);
+    if (value === undefined || value === null) {
+        return indent + "<" + tagName + "/>" + format.newLine;
+    }
+    if (value instanceof Error) {
+        value = value.message;
+    }
+    if (value instanceof Date) {
+        value = value.toISOString();
+    }
+    if (Buffer.isBuffer(value)) {
+        value = value.toString("base64");
+    }
+    if (Array.isArray(value)) {
+        let xmlString = indent + "<" + tagName + ">" + format.newLine;
+        for (let i = 0, l = value.length; i < l; i++) {
+            xmlString += toXML(itemName, value[i], indent + format.indent, Const.XML_ELEMENT, format);
+        }
+        return xmlString + indent + "</" + tagName + ">" + format.newLine;
+    }
+    if (typeof value === "object") {
+        let xmlString = indent + "<" + tagName + ">" + format.newLine;
+        for (const key in value) {
+            if (value.hasOwnProperty(key) && typeof value[key] !== "function") {
+                // Only response data array holds records, deeper arrays hold plain elements
+                const childItemName = (name === Const.XML_RESPONSE && key === Const.DATA) ? Const.XML_RECORD : Const.XML_ELEMENT;
+                xmlString += toXML(key, value[key], indent + format.indent, childItemName, format);
+            }
+        }
+        return xmlString + indent + "</" + tagName + ">" + format.newLine;
+    }
+    return indent + "<" + tagName + ">" + XMLTextUtil.escape(value, format.compact) + "</" + tagName + ">" + format.newLine;
+};
+
+/**
+ * Checks that interceptor implements at least one interceptor phase.
+ *
+ * @param {Object} interceptor - Interceptor
+ */
+const validateInterceptor = function(interceptor) {
+    assert.equal(typeof interceptor === "object" && interceptor !== null, true, "argument 'interceptor' must be object");
+    const phases = [Const.INTERCEPTOR_BEFORE_INIT, Const.INTERCEPTOR_BEFORE_EXECUTE,
+        Const.INTERCEPTOR_AFTER_EXECUTE, Const.INTERCEPTOR_AFTER_QUEUE];
+    for (let i = 0, l = phases.length; i < l; i++) {
+        if (typeof interceptor[phases[i]] === "function") {
+            return;
+        }
+    }
+    throw new Exception("Interceptor does not implement any of '" + phases.join("', '") + "' methods");
+};
+
 /**
  * Ensures that dependencies are loaded correctly.
  * Solves cyclic references loading problem.
@@ -32,15 +32,18 @@ const assert = require("assert");
 const Exception = require("srv-core").Exception;
 const Log = require("srv-log").Log;
 
+const AsyncUtil = require("./AsyncUtil");
 const BaseRequest = require("./BaseRequest");
 const Const = require("./Const");
+const MethodBinder = require("./MethodBinder");
+const ServerObjectRegistry = require("./ServerObjectRegistry");
+const ServerObjectScope = require("./ServerObjectScope");
 
 let RPCManager;
 let RPCResponse;
 
 /**
  * Represents RPC request.
- * TODO: implement method arguments
  *
  * @extends BaseRequest
  */
@@ -66,6 +69,8 @@ class RPCRequest extends BaseRequest {
             }
         }
         this.serverObject = null;
+        this._serverObjectScope = null;
+        this._loadError = null;
     }
 
     /**
@@ -132,9 +137,9 @@ class RPCRequest extends BaseRequest {
     }
 
     /**
-     * Method arguments.
+     * Method arguments provided by client.
      *
-     * @type {string|null}
+     * @type {Array|null}
      */
     get methodArguments() {
         if (this.data !== null && typeof this.data === "object") {
@@ -165,46 +170,144 @@ class RPCRequest extends BaseRequest {
      * If loaded server obejct has function 'init' - call it with following parameters:
      * <ul>
      * <li>this - {@link RPCRequest}</li>
-     * <li>callback - to signal execution finish</li>
+     * <li>callback - to signal execution finish (not used if method returns Promise)</li>
      * </ul>
+     * Server objects of queue, session and application scopes are instantiated and initialized
+     * once per scope with the first request and shared by later requests (see {@link ServerObjectRegistry}),
+     * their methods should use request passed to them, not the one passed to constructor or <code>init</code>.
      * This method will be called from {@link RPCManager}.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     init(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(RPCRequest.prototype.init, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
         const self = this;
-        this.loadServerObject(function(err, instance) {
+        const failed = function(err) {
+            // Failure is reported as response of this request and does not stop the queue
+            self.log.error({err: err}, "Error occured while loading server object");
+            self._loadError = err;
+            return callback();
+        };
+        let scope;
+        try {
+            scope = this._getServerObjectScope();
+        } catch (err) {
+            return failed(err);
+        }
+        const create = function(cb) {
+            self.loadServerObject(function(err, instance) {
+                if (err || !instance) {
+                    return cb(err, instance);
+                }
+                if (typeof instance.init === "function") {
+                    return AsyncUtil.invoke(instance.init, instance, [self], function(err) {
+                        return cb(err, instance);
+                    });
+                }
+                return cb(null, instance);
+            });
+        };
+        const finish = function(err, instance) {
             if (err) {
-                return callback(new Exception("Error occured while loading server object", err));
-            }
-            if (!instance) {
-                return callback();
+                return failed(err);
             }
-            self.serverObject = instance;
-            if (self.serverObject) {
-                if (typeof self.serverObject.init === "function") {
-                    return self.serverObject.init(self, callback);
-                }
+            if (instance) {
+                self.serverObject = instance;
             }
             return callback();
+        };
+        if (!scope) {
+            return create(finish);
+        }
+        // Shared instance - check access for this request before acquiring it
+        const err = this._checkServerObject();
+        if (err) {
+            return failed(err);
+        }
+        return scope.acquire(this.serverObjectID, create, function(err, instance) {
+            if (!err) {
+                // Released in freeResources()
+                self._serverObjectScope = scope;
+            }
+            return finish(err, instance);
         });
     }
 
+    /**
+     * Internal method returning scope holding shared server object or <code>null</code>
+     * if new server object is created for this request.
+     *
+     * @return {ServerObjectScope|null} Server object scope
+     * @throws {Exception} if server object definition is invalid or scope is not available
+     */
+    _getServerObjectScope() {
+        if (!this.serverObjectID) {
+            return null;
+        }
+        const definition = ServerObjectRegistry.getDefinition(this.serverObjectID);
+        if (!definition) {
+            return null;
+        }
+        return ServerObjectScope.getScope(definition, this.rpcManager);
+    }
+
+    /**
+     * Internal method checking if server object is shared (not of request scope).
+     * Resources of shared server objects are freed when their scope ends.
+     *
+     * @return {boolean}
+     */
+    _isSharedServerObject() {
+        try {
+            const definition = ServerObjectRegistry.getDefinition(this.serverObjectID);
+            return !!definition && definition.scope !== Const.SERVER_OBJECT_SCOPE_REQUEST;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Internal method for checking if server object is registered and requested method
+     * can be called by client.
+     *
+     * @return {Exception|null} Error or <code>null</code> if access is allowed
+     */
+    _checkServerObject() {
+        const methodName = this.methodName || Const.DEFAULT_SERVER_METHOD;
+        try {
+            if (!ServerObjectRegistry.getDefinition(this.serverObjectID)) {
+                return new Exception("Server object '" + this.serverObjectID + "' is not registered");
+            }
+            if (!ServerObjectRegistry.isMethodAllowed(this.serverObjectID, methodName)) {
+                return new Exception("Method '" + methodName + "' of server object '" +
+                    this.serverObjectID + "' is not allowed");
+            }
+        } catch (err) {
+            return err;
+        }
+        return null;
+    }
+
     /**
      * If server objects has function 'startTransaction' - call it with following parameters:
      * <ul>
      * <li>this - {@link RPCRequest}</li>
-     * <li>callback - to signal execution finish</li>
+     * <li>callback - to signal execution finish (not used if method returns Promise)</li>
      * </ul>
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     startTransaction(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(RPCRequest.prototype.startTransaction, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be a function");
         if (this.serverObject) {
             if (typeof this.serverObject.startTransaction === "function") {
-                return this.serverObject.startTransaction(this, callback);
+                return AsyncUtil.invoke(this.serverObject.startTransaction, this.serverObject, [this], callback);
             }
         }
         return callback();
@@ -217,18 +320,36 @@ class RPCRequest extends BaseRequest {
      * <li>If <code>methodName</code> is specified but does not exist - callback with error.</li>
      * <li>If <code>methodName</code> is not specified - try calling <code>execute</code>.</li>
      * </ul>
-     * All calls with following parameters:
+     * If server object definition enables binding for method (see {@link ServerObjectRegistry.isBindingEnabled}),
+     * method arguments are bound by declared parameter names (see {@link MethodBinder}):
+     * <ul>
+     * <li><code>req</code>, <code>res</code> - HTTP request and response</li>
+     * <li><code>rpcManager</code> - {@link RPCManager}</li>
+     * <li><code>rpcRequest</code> - this {@link RPCRequest}</li>
+     * <li><code>data</code> - request data</li>
+     * <li><code>user</code> - current user (see {@link RPCManager#user})</li>
+     * <li><code>callback</code> - to signal execution finish (method can return result or Promise instead)</li>
+     * <li>any other parameter - next entry of client provided <code>arguments</code></li>
+     * </ul>
+     * Otherwise it is called with following parameters (client provided <code>arguments</code> are available
+     * as {@link RPCRequest#methodArguments}):
      * <ul>
      * <li>this - {@link RPCRequest}</li>
-     * <li>callback - to signal execution finish</li>
+     * <li>callback - to signal execution finish (not used if method returns Promise)</li>
      * </ul>
      * This method will be called from {@link RPCManager}.
-     * TODO: implement method arguments
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     execute(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(RPCRequest.prototype.execute, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        if (this._loadError) {
+            // Server object is not registered, method is not allowed or loading failed
+            return callback(null, new RPCResponse(this._loadError));
+        }
         if (this.serverObject) {
             const self = this;
             this.startTransaction(function(err) {
@@ -237,10 +358,9 @@ class RPCRequest extends BaseRequest {
                     return callback(null, new RPCResponse(new Exception("Failed to start transaction", err)));
                 }
                 // Execute requested method
-                // TODO: implement method arguments
                 if (self.methodName) {
                     if (typeof self.serverObject[self.methodName] === "function") {
-                        return self.serverObject[self.methodName](self, function(err, response) {
+                        return self._invokeMethod(self.serverObject[self.methodName], function(err, response) {
                             self._executeFinish(err, response, callback);
                         });
                     } else {
@@ -249,7 +369,7 @@ class RPCRequest extends BaseRequest {
                     }
                 } else {
                     if (typeof self.serverObject.execute === "function") {
-                        return self.serverObject.execute(self, function(err, response) {
+                        return self._invokeMethod(self.serverObject.execute, function(err, response) {
                             self._executeFinish(err, response, callback);
                         });
                     } else {
@@ -264,6 +384,29 @@ class RPCRequest extends BaseRequest {
         }
     }
 
+    /**
+     * Internal method for calling server object method with bound arguments if binding is enabled
+     * for it, otherwise with this request and callback.
+     *
+     * @param {function} method - Server object method
+     * @param {function} callback - Callback executed when finished
+     */
+    _invokeMethod(method, callback) {
+        if (ServerObjectRegistry.isBindingEnabled(this.serverObjectID, this.methodName || Const.DEFAULT_SERVER_METHOD)) {
+            const rpcManager = this.rpcManager;
+            const injectables = {
+                req: rpcManager ? rpcManager.req : null,
+                res: rpcManager ? rpcManager.res : null,
+                rpcManager: rpcManager,
+                rpcRequest: this,
+                data: this.data,
+                user: rpcManager ? rpcManager.user : null
+            };
+            return MethodBinder.invoke(this.serverObject, method, this.methodArguments, injectables, callback);
+        }
+        return AsyncUtil.invoke(method, this.serverObject, [this], callback);
+    }
+
     /**
      * Internal method to complete execution.
      * <ul>
@@ -324,16 +467,19 @@ class RPCRequest extends BaseRequest {
      * If server objects has function 'commit' - call it with following parameters:
      * <ul>
      * <li>this - {@link RPCRequest}</li>
-     * <li>callback - to signal execution finish</li>
+     * <li>callback - to signal execution finish (not used if method returns Promise)</li>
      * </ul>
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     commit(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(RPCRequest.prototype.commit, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be a function");
         if (this.serverObject) {
             if (typeof this.serverObject.commit === "function") {
-                return this.serverObject.commit(this, callback);
+                return AsyncUtil.invoke(this.serverObject.commit, this.serverObject, [this], callback);
             }
         }
         return callback();
@@ -343,16 +489,19 @@ class RPCRequest extends BaseRequest {
      * If server objects has function 'rollback' - call it with following parameters:
      * <ul>
      * <li>this - {@link RPCRequest}</li>
-     * <li>callback - to signal execution finish</li>
+     * <li>callback - to signal execution finish (not used if method returns Promise)</li>
      * </ul>
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     rollback(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(RPCRequest.prototype.rollback, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be a function");
         if (this.serverObject) {
             if (typeof this.serverObject.rollback === "function") {
-                return this.serverObject.rollback(this, callback);
+                return AsyncUtil.invoke(this.serverObject.rollback, this.serverObject, [this], callback);
             }
         }
         return callback();
@@ -362,17 +511,26 @@ class RPCRequest extends BaseRequest {
      * If server objects has function 'freeResources' - call it with following parameters:
      * <ul>
      * <li>this - {@link RPCRequest}</li>
-     * <li>callback - to signal execution finish</li>
+     * <li>callback - to signal execution finish (not used if method returns Promise)</li>
      * </ul>
+     * Shared server objects are not freed here - they are released to their scope and their resources
+     * are freed when scope ends.
      * This method will be called from {@link RPCManager}.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     freeResources(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(RPCRequest.prototype.freeResources, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be a function");
-        if (this.serverObject) {
+        if (this._serverObjectScope) {
+            this._serverObjectScope.release();
+            this._serverObjectScope = null;
+        }
+        if (this.serverObject && !this._isSharedServerObject()) {
             if (typeof this.serverObject.freeResources === "function") {
-                return this.serverObject.freeResources(this, callback);
+                return AsyncUtil.invoke(this.serverObject.freeResources, this.serverObject, [this], callback);
             }
         }
         return callback();
@@ -380,25 +538,36 @@ class RPCRequest extends BaseRequest {
 
     /**
      * Loads and instantiates server object specified in RPC request.
+     * Server object must be registered in {@link ServerObjectRegistry} and requested method
+     * (<code>execute</code> if method name is not specified) must be declared as callable.
      * Server object should be a class.
      * Object will be instantiated with 'new' with 'this' ({@link RPCRequest}) as parameter.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     loadServerObject(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(RPCRequest.prototype.loadServerObject, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be a function");
         if (!this.serverObjectID) {
             return callback();
         }
+        const err = this._checkServerObject();
+        if (err) {
+            return callback(err);
+        }
+        let ServerObjectClass;
         try {
-            const ServerObjectClass = require(process.cwd() + this.serverObjectID);
-            if (typeof ServerObjectClass === "function") {
-                const instance = new ServerObjectClass(this);
-                return callback(null, instance);
-            }
-            return callback(new Exception("Server object '" + this.serverObjectID + "' is not a class"));
+            ServerObjectClass = ServerObjectRegistry.loadClass(this.serverObjectID);
+        } catch (err) {
+            return callback(err);
+        }
+        try {
+            const instance = new ServerObjectClass(this);
+            return callback(null, instance);
         } catch (err) {
-            return callback(new Exception("Failed to load server object '" + this.serverObjectID + "'", err));
+            return callback(new Exception("Failed to instantiate server object '" + this.serverObjectID + "'", err));
         }
     }
 
@@ -0,0 +1,284 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const assert = require("assert");
+
+const Exception = require("srv-core").Exception;
+
+const Const = require("./Const");
+
+// Regular expression for parsing response data references
+const REFERENCE_REGEXP = /^\$responseData(?:\.last(?:\(\s*(?:'([^']*)'|"([^"]*)")\s*(?:,\s*(?:'([^']*)'|"([^"]*)")\s*)?\))?|\[\s*(\d+)\s*\]|\[\s*(?:'([^']+)'|"([^"]+)")\s*\])(?:\.(.+))?$/;
+
+/**
+ * Reference to response data of previous operation in the same queue.
+ * Allows operation values and criteria to use results of operations executed before it
+ * (transaction chaining). Reference is a string value in one of following forms:
+ * <ul>
+ * <li><code>$responseData.last.field</code> - previous operation in queue</li>
+ * <li><code>$responseData.last('dsName').field</code> - last operation on data source</li>
+ * <li><code>$responseData.last('dsName', 'operationType').field</code> - last operation of type on data source</li>
+ * <li><code>$responseData[0].field</code> - operation by its index in queue</li>
+ * <li><code>$responseData['operationId'].field</code> - last operation with specified operation ID</li>
+ * </ul>
+ * Field path is optional and can contain nested properties separated by dot.
+ * If referenced response data is an array - first record is used.
+ */
+class ResponseReference {
+
+    /**
+     * Creates response data reference.
+     * Use {@link ResponseReference.parse} to create reference from string.
+     *
+     * @param {Object} config - Reference configuration
+     */
+    constructor(config) {
+        assert.equal(typeof config, "object", "argument 'config' must be object");
+        this._index = (typeof config.index === "number") ? config.index : null;
+        this._operationId = config.operationId || null;
+        this._dataSourceName = config.dataSourceName || null;
+        this._operationType = config.operationType || null;
+        this._path = config.path || null;
+    }
+
+    /**
+     * Index of referenced operation in queue or <code>null</code> if reference is not by index.
+     *
+     * @type {number|null}
+     */
+    get index() {
+        return this._index;
+    }
+
+    /**
+     * Operation ID of referenced operation or <code>null</code> if reference is not by operation ID.
+     *
+     * @type {string|null}
+     */
+    get operationId() {
+        return this._operationId;
+    }
+
+    /**
+     * Data source name of referenced operation or <code>null</code> if not specified.
+     *
+     * @type {string|null}
+     */
+    get dataSourceName() {
+        return this._dataSourceName;
+    }
+
+    /**
+     * Operation type of referenced operation or <code>null</code> if not specified.
+     *
+     * @type {string|null}
+     */
+    get operationType() {
+        return this._operationType;
+    }
+
+    /**
+     * Path to value in referenced record or <code>null</code> if whole record is referenced.
+     *
+     * @type {string|null}
+     */
+    get path() {
+        return this._path;
+    }
+
+    /**
+     * Finds index of referenced operation.
+     * Only operations executed before operation with <code>index</code> can be referenced.
+     *
+     * @param {BaseRequest[]} operations - Queue operations
+     * @param {number} index - Index of operation containing reference
+     * @return {number} Index of referenced operation or -1 if not found
+     */
+    findOperation(operations, index) {
+        assert.equal(Array.isArray(operations), true, "argument 'operations' must be array");
+        assert.equal(typeof index, "number", "argument 'index' must be number");
+        if (this.index !== null) {
+            return this.index < index ? this.index : -1;
+        }
+        for (let i = index - 1; i >= 0; i--) {
+            const op = operations[i];
+            if (this.operationId !== null) {
+                if (op.operationId === this.operationId) {
+                    return i;
+                }
+            } else if (this.dataSourceName !== null) {
+                if (op.dataSourceName === this.dataSourceName &&
+                    (this.operationType === null || op.operationType === this.operationType)) {
+                    return i;
+                }
+            } else {
+                // Plain 'last' - previous operation
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Returns referenced value from response.
+     *
+     * @param {BaseResponse} response - Response of referenced operation
+     * @return {*} Referenced value
+     * @throws {Exception} If response is failure or value is not found.
+     */
+    getValue(response) {
+        if (!response) {
+            throw new Exception("Referenced operation is not executed");
+        }
+        if (response.status < 0) {
+            throw new Exception("Referenced operation failed");
+        }
+        let value = response.data;
+        if (Array.isArray(value)) {
+            value = value[0];
+        }
+        if (this.path === null) {
+            return value;
+        }
+        const path = this.path.split(".");
+        for (let i = 0, l = path.length; i < l; i++) {
+            if (value === undefined || value === null || typeof value !== "object") {
+                throw new Exception("Value '" + this.path + "' is not found in referenced response");
+            }
+            value = value[path[i]];
+        }
+        if (value === undefined) {
+            throw new Exception("Value '" + this.path + "' is not found in referenced response");
+        }
+        return value;
+    }
+
+    /**
+     * Returns string representing this reference.
+     *
+     * @return {string}
+     */
+    toString() {
+        let s = Const.RESPONSE_DATA_REFERENCE;
+        if (this.index !== null) {
+            s += "[" + this.index + "]";
+        } else if (this.operationId !== null) {
+            s += "['" + this.operationId + "']";
+        } else if (this.dataSourceName !== null) {
+            s += ".last('" + this.dataSourceName + "'";
+            if (this.operationType !== null) {
+                s += ", '" + this.operationType + "'";
+            }
+            s += ")";
+        } else {
+            s += ".last";
+        }
+        if (this.path !== null) {
+            s += "." + this.path;
+        }
+        return s;
+    }
+
+    /**
+     * Parses response data reference.
+     *
+     * @param {*} value - Value to parse
+     * @return {ResponseReference|null} Parsed reference or <code>null</code> if value is not a reference
+     */
+    static parse(value) {
+        if (typeof value !== "string" || !value.startsWith(Const.RESPONSE_DATA_REFERENCE)) {
+            return null;
+        }
+        const match = REFERENCE_REGEXP.exec(value.trim());
+        if (!match) {
+            return null;
+        }
+        const config = {
+            dataSourceName: match[1] !== undefined ? match[1] : match[2],
+            operationType: match[3] !== undefined ? match[3] : match[4],
+            operationId: match[6] !== undefined ? match[6] : match[7],
+            path: match[8]
+        };
+        if (match[5] !== undefined) {
+            config.index = parseInt(match[5], 10);
+        }
+        return new ResponseReference(config);
+    }
+
+    /**
+     * Collects all references found in provided value.
+     * Objects and arrays are traversed recursively.
+     *
+     * @param {*} value - Value to search for references
+     * @param {ResponseReference[]} [references] - Array to add found references to
+     * @return {ResponseReference[]} Found references
+     */
+    static collect(value, references) {
+        if (!Array.isArray(references)) {
+            references = [];
+        }
+        if (typeof value === "string") {
+            const reference = ResponseReference.parse(value);
+            if (reference) {
+                references.push(reference);
+            }
+        } else if (value !== null && typeof value === "object") {
+            for (let key in value) {
+                ResponseReference.collect(value[key], references);
+            }
+        }
+        return references;
+    }
+
+    /**
+     * Replaces all references found in provided value with referenced values.
+     * Objects and arrays are traversed recursively and modified in place.
+     *
+     * @param {*} value - Value containing references
+     * @param {function} resolver - Function receiving {@link ResponseReference} and returning referenced value
+     * @return {*} Value with references replaced
+     */
+    static replace(value, resolver) {
+        assert.equal(typeof resolver, "function", "argument 'resolver' must be function");
+        if (typeof value === "string") {
+            const reference = ResponseReference.parse(value);
+            if (reference) {
+                return resolver(reference);
+            }
+        } else if (value !== null && typeof value === "object") {
+            for (let key in value) {
+                value[key] = ResponseReference.replace(value[key], resolver);
+            }
+        }
+        return value;
+    }
+
+}
+
+module.exports = ResponseReference;
@@ -0,0 +1,318 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const assert = require("assert");
+
+const Exception = require("srv-core").Exception;
+const Log = require("srv-log").Log;
+
+const AsyncUtil = require("./AsyncUtil");
+const Const = require("./Const");
+
+// Registered predicates by name
+const _predicates = {};
+
+/**
+ * Declarative security checks.
+ * Access is declared on data sources and operation bindings with following properties:
+ * <ul>
+ * <li><code>requiresAuthentication</code> - user must be authenticated</li>
+ * <li><code>requiresRole</code> - comma separated roles, user must have at least one of them
+ *      (implies <code>requiresAuthentication</code>)</li>
+ * <li><code>requires</code> - comma separated names of predicates registered with
+ *      {@link Security.registerPredicate}, all of them must allow access</li>
+ * </ul>
+ * Fields can be restricted with <code>viewRequires</code> and <code>editRequires</code>
+ * (see {@link Security.checkFieldAccess}).
+ * User is taken from <code>req.user</code> (set by authentication middleware) or <code>user</code>
+ * property of session. User roles are taken from <code>roles</code> (array or comma separated string)
+ * or <code>role</code> property of user.
+ */
+class Security {
+
+    // Class logger
+    static get log() {
+        return _log;
+    }
+
+    /**
+     * Returns current user of HTTP request: <code>req.user</code> or <code>user</code> property of session.
+     *
+     * @param {http.ClientRequest} [req] - HTTP request
+     * @return {*} User or <code>null</code> if user is not known
+     */
+    static getUser(req) {
+        if (!req) {
+            return null;
+        }
+        if (req.user !== undefined && req.user !== null) {
+            return req.user;
+        }
+        if (req.session && req.session.user !== undefined && req.session.user !== null) {
+            return req.session.user;
+        }
+        return null;
+    }
+
+    /**
+     * Returns roles of user.
+     *
+     * @param {*} user - User
+     * @return {string[]} Roles
+     */
+    static getUserRoles(user) {
+        if (typeof user !== "object" || user === null) {
+            return [];
+        }
+        let roles = (user.roles !== undefined && user.roles !== null) ? user.roles : user.role;
+        if (roles === undefined || roles === null) {
+            return [];
+        }
+        if (!Array.isArray(roles)) {
+            roles = String(roles).split(",");
+        }
+        return toList(roles);
+    }
+
+    /**
+     * Registers predicate which can be referenced by <code>requires</code> property.
+     * Predicate is called with context object (<code>user</code>, <code>req</code> and
+     * check specific values, e.g. <code>dsRequest</code>, <code>dataSource</code>).
+     * Predicate declaring second (callback) parameter must call it, otherwise it should return result
+     * (or Promise). Access is allowed if result is <code>true</code>.
+     *
+     * @param {string} name - Predicate name
+     * @param {function} predicate - Predicate <code>function(context, callback)</code>
+     */
+    static registerPredicate(name, predicate) {
+        assert.equal(typeof name, "string", "argument 'name' must be string");
+        assert.equal(typeof predicate, "function", "argument 'predicate' must be function");
+        _predicates[name] = predicate;
+    }
+
+    /**
+     * Unregisters predicate.
+     *
+     * @param {string} name - Predicate name
+     */
+    static unregisterPredicate(name) {
+        delete _predicates[name];
+    }
+
+    /**
+     * Returns security settings (<code>requiresAuthentication</code>, <code>requiresRole</code> and
+     * <code>requires</code>) resolved from configurations. Setting defined in later configuration
+     * overrides the same setting of earlier one (e.g. operation binding overrides data source).
+     *
+     * @param {...Object} configs - Configurations (<code>null</code> values are skipped)
+     * @return {Object} Security settings
+     */
+    static getSettings(...configs) {
+        const settings = {};
+        const names = [Const.REQUIRES_AUTHENTICATION, Const.REQUIRES_ROLE, Const.REQUIRES];
+        for (let i = 0, l = configs.length; i < l; i++) {
+            const config = configs[i];
+            if (typeof config !== "object" || config === null) {
+                continue;
+            }
+            for (let n = 0; n < names.length; n++) {
+                if (config[names[n]] !== undefined && config[names[n]] !== null) {
+                    settings[names[n]] = config[names[n]];
+                }
+            }
+        }
+        return settings;
+    }
+
+    /**
+     * Checks access declared by security settings (see {@link Security.getSettings}).
+     * Callback receives <code>null</code> if access is allowed, STATUS_LOGIN_REQUIRED (-7) if user
+     * is not authenticated or STATUS_AUTHORIZATION_FAILURE (-3) if user is not authorized.
+     *
+     * @param {Object} settings - Security settings
+     * @param {Object} context - Check context (<code>user</code>, <code>req</code>, etc.), passed to predicates
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    static checkAccess(settings, context, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(Security.checkAccess, Security, settings, context);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        settings = settings || {};
+        context = context || {};
+        const user = (context.user !== undefined) ? context.user : null;
+        const roles = toList(String(settings[Const.REQUIRES_ROLE] || "").split(","));
+        const requires = toList(Array.isArray(settings[Const.REQUIRES])
+            ? settings[Const.REQUIRES] : String(settings[Const.REQUIRES] || "").split(","));
+        if ((String(settings[Const.REQUIRES_AUTHENTICATION]) === "true" || roles.length > 0) && user === null) {
+            return callback(null, Const.STATUS_LOGIN_REQUIRED);
+        }
+        if (roles.length > 0) {
+            const userRoles = Security.getUserRoles(user);
+            let hasRole = false;
+            for (let i = 0, l = roles.length; i < l && !hasRole; i++) {
+                hasRole = userRoles.indexOf(roles[i]) >= 0;
+            }
+            if (!hasRole) {
+                return callback(null, Const.STATUS_AUTHORIZATION_FAILURE);
+            }
+        }
+        const next = function(index) {
+            if (index >= requires.length) {
+                return callback(null, null);
+            }
+            const name = requires[index];
+            const predicate = _predicates[name];
+            if (typeof predicate !== "function") {
+                // Misconfiguration should never open access
+                Security.log.error({err: new Exception("Security predicate '" + name + "' is not registered")});
+                return callback(null, Const.STATUS_AUTHORIZATION_FAILURE);
+            }
+            // Predicate without callback parameter returns result
+            const fn = (predicate.length >= 2) ? predicate : function(context) {
+                return Promise.resolve(predicate(context));
+            };
+            AsyncUtil.invoke(fn, null, [context], function(err, result) {
+                if (err) {
+                    Security.log.error({err: new Exception("Security predicate '" + name + "' failed", err)});
+                    return callback(null, Const.STATUS_AUTHORIZATION_FAILURE);
+                }
+                if (result !== true) {
+                    return callback(null, Const.STATUS_AUTHORIZATION_FAILURE);
+                }
+                return next(index + 1);
+            });
+        };
+        return next(0);
+    }
+
+    /**
+     * Returns security settings of field requirement (<code>viewRequires</code> or <code>editRequires</code>).
+     * Requirement is either string with comma separated roles (user must have one of them) or object with
+     * security settings (see {@link Security.getSettings}), e.g. <code>{requires: "isOwner"}</code>.
+     *
+     * @param {string|Object|null} requirement - Field requirement
+     * @return {Object|null} Security settings or <code>null</code> if field has no requirement
+     */
+    static getFieldSettings(requirement) {
+        if (typeof requirement === "string" && requirement.trim() !== "") {
+            return {[Const.REQUIRES_ROLE]: requirement};
+        }
+        if (Array.isArray(requirement) && requirement.length > 0) {
+            return {[Const.REQUIRES_ROLE]: requirement.join(",")};
+        }
+        if (typeof requirement === "object" && requirement !== null && !Array.isArray(requirement)) {
+            return Security.getSettings(requirement);
+        }
+        return null;
+    }
+
+    /**
+     * Checks field level security (<code>viewRequires</code> and <code>editRequires</code> of field definitions,
+     * see {@link Security.getFieldSettings}). Fields which can not be viewed can not be edited either.
+     * Callback receives object with <code>view</code> and <code>edit</code> properties - arrays of names of
+     * fields which user is not allowed to view and edit.
+     *
+     * @param {Object[]} fields - Field definitions
+     * @param {Object} context - Check context (<code>user</code>, <code>req</code>, etc.), passed to predicates
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    static checkFieldAccess(fields, context, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(Security.checkFieldAccess, Security, fields, context);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        const denied = {view: [], edit: []};
+        const checks = [];
+        for (let i = 0, l = (fields || []).length; i < l; i++) {
+            const field = fields[i];
+            if (!field || !field.name) {
+                continue;
+            }
+            const view = Security.getFieldSettings(field[Const.VIEW_REQUIRES]);
+            const edit = Security.getFieldSettings(field[Const.EDIT_REQUIRES]);
+            if (view || edit) {
+                checks.push({field: field, view: view, edit: edit});
+            }
+        }
+        const next = function(index) {
+            if (index >= checks.length) {
+                return callback(null, denied);
+            }
+            const check = checks[index];
+            const fieldContext = Object.assign({}, context, {field: check.field});
+            const checkEdit = function() {
+                if (!check.edit) {
+                    return next(index + 1);
+                }
+                Security.checkAccess(check.edit, fieldContext, function(err, status) {
+                    if (err || status !== null) {
+                        denied.edit.push(check.field.name);
+                    }
+                    return next(index + 1);
+                });
+            };
+            if (!check.view) {
+                return checkEdit();
+            }
+            Security.checkAccess(check.view, fieldContext, function(err, status) {
+                if (err || status !== null) {
+                    denied.view.push(check.field.name);
+                    denied.edit.push(check.field.name);
+                    return next(index + 1);
+                }
+                return checkEdit();
+            });
+        };
+        return next(0);
+    }
+
+}
+
+/**
+ * Trims values, removes empty and duplicate ones.
+ *
+ * @param {Array} values - Values
+ * @return {string[]} List of values
+ */
+const toList = function(values) {
+    const list = [];
+    for (let i = 0, l = values.length; i < l; i++) {
+        const value = (values[i] === undefined || values[i] === null) ? "" : String(values[i]).trim();
+        if (value !== "" && list.indexOf(value) < 0) {
+            list.push(value);
+        }
+    }
+    return list;
+};
+
+// Static value for Security.log
+const _log = new Log(Security);
+
+module.exports = Security;
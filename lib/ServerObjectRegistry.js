@@ -0,0 +1,223 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const assert = require("assert");
+
+const Exception = require("srv-core").Exception;
+const Config = require("srv-config").Config;
+const Util = require("srv-util").Util;
+
+const Const = require("./Const");
+
+// Server objects registered from code
+const _registered = {};
+
+/**
+ * Registry of server objects which can be called by clients.
+ * Only registered server objects can be instantiated and only declared methods can be called.
+ * <br/>
+ * Server objects are configured in <code>rpc.serverObjects</code> configuration section:
+ * <pre>
+ * [rpc.serverObjects.orderService]
+ * module = ./server/OrderService
+ * class = OrderService
+ * methods = fetchOrders, cancelOrder
+ * </pre>
+ * <ul>
+ * <li><code>module</code> - module name; local modules (starting with '.') are loaded relative to current directory</li>
+ * <li><code>class</code> - name of exported class; module itself should be a class if not specified</li>
+ * <li><code>methods</code> - methods callable by clients</li>
+ * <li><code>scope</code> - instance lifecycle: <code>request</code> (default) - new instance for every request,
+ *      <code>queue</code> - instance shared by all requests of queue, <code>session</code> - instance shared
+ *      by all requests of user session, <code>application</code> - single instance</li>
+ * <li><code>bindArguments</code> - <code>true</code> or list of methods which arguments are bound by declared
+ *      parameter names (see {@link MethodBinder}); other methods are called with request and callback</li>
+ * </ul>
+ * <code>init</code> hook of server object is called when instance is created, <code>freeResources</code> -
+ * when its scope ends (see {@link ServerObjectScope}).
+ * Constructor and <code>init</code> receive request which created instance. Instances of <code>queue</code>,
+ * <code>session</code> and <code>application</code> scopes outlive that request, so they must not keep it
+ * (or its user, HTTP request, transaction) - every method call receives current request.
+ * Server objects can also be registered from code with {@link ServerObjectRegistry.register},
+ * such registrations take precedence over configuration.
+ */
+class ServerObjectRegistry {
+
+    /**
+     * Registers server object.
+     *
+     * @param {string} ID - Public server object ID
+     * @param {Object} definition - Server object definition: <code>module</code> and <code>class</code>
+     *      (name of exported class or class itself), <code>methods</code> callable by clients, <code>scope</code>
+     *      and <code>bindArguments</code>
+     */
+    static register(ID, definition) {
+        assert.equal(typeof ID, "string", "argument 'ID' must be string");
+        _registered[ID] = normalizeDefinition(ID, definition);
+    }
+
+    /**
+     * Unregisters server object registered with {@link ServerObjectRegistry.register}.
+     *
+     * @param {string} ID - Public server object ID
+     */
+    static unregister(ID) {
+        delete _registered[ID];
+    }
+
+    /**
+     * Returns server object definition or <code>null</code> if server object is not registered.
+     *
+     * @param {string} ID - Public server object ID
+     * @return {Object|null} Server object definition
+     * @throws {Exception} if definition is not valid
+     */
+    static getDefinition(ID) {
+        assert.equal(typeof ID, "string", "argument 'ID' must be string");
+        if (Object.prototype.hasOwnProperty.call(_registered, ID)) {
+            return _registered[ID];
+        }
+        const serverObjects = Config.getValue("rpc." + Const.SERVER_OBJECTS);
+        if (serverObjects && typeof serverObjects === "object" && Object.prototype.hasOwnProperty.call(serverObjects, ID)) {
+            return normalizeDefinition(ID, serverObjects[ID]);
+        }
+        return null;
+    }
+
+    /**
+     * Returns <code>true</code> if method of server object can be called by clients.
+     *
+     * @param {string} ID - Public server object ID
+     * @param {string} methodName - Method name
+     * @return {boolean}
+     */
+    static isMethodAllowed(ID, methodName) {
+        const definition = ServerObjectRegistry.getDefinition(ID);
+        if (!definition) {
+            return false;
+        }
+        return definition.methods.indexOf(methodName) >= 0;
+    }
+
+    /**
+     * Returns <code>true</code> if arguments of server object method are bound by declared parameter names
+     * (see {@link MethodBinder}). Binding is enabled with <code>bindArguments</code> of server object definition.
+     *
+     * @param {string} ID - Public server object ID
+     * @param {string} methodName - Method name
+     * @return {boolean}
+     */
+    static isBindingEnabled(ID, methodName) {
+        const definition = ServerObjectRegistry.getDefinition(ID);
+        if (!definition) {
+            return false;
+        }
+        return definition.bindArguments === true || definition.bindArguments.indexOf(methodName) >= 0;
+    }
+
+    /**
+     * Loads class of registered server object.
+     *
+     * @param {string} ID - Public server object ID
+     * @return {function} Server object class
+     * @throws {Exception} if server object is not registered or failed to load
+     */
+    static loadClass(ID) {
+        const definition = ServerObjectRegistry.getDefinition(ID);
+        if (!definition) {
+            throw new Exception("Server object '" + ID + "' is not registered");
+        }
+        if (typeof definition.class === "function") {
+            return definition.class;
+        }
+        try {
+            return Util.loadClass(definition);
+        } catch (err) {
+            throw new Exception("Failed to load server object '" + ID + "'", err);
+        }
+    }
+
+}
+
+/**
+ * Validates server object definition and converts methods to array.
+ *
+ * @param {string} ID - Public server object ID
+ * @param {Object} definition - Server object definition
+ * @return {Object} Normalized definition
+ */
+const normalizeDefinition = function(ID, definition) {
+    if (!definition || typeof definition !== "object") {
+        throw new Exception("Definition of server object '" + ID + "' must be object");
+    }
+    if (typeof definition.class !== "function" && typeof definition.module !== "string") {
+        throw new Exception("Module of server object '" + ID + "' is not specified");
+    }
+    const normalized = Object.assign({}, definition);
+    normalized.ID = ID;
+    if (!normalized.scope) {
+        normalized.scope = Const.SERVER_OBJECT_SCOPE_REQUEST;
+    }
+    if ([Const.SERVER_OBJECT_SCOPE_REQUEST, Const.SERVER_OBJECT_SCOPE_QUEUE, Const.SERVER_OBJECT_SCOPE_SESSION,
+            Const.SERVER_OBJECT_SCOPE_APPLICATION].indexOf(normalized.scope) < 0) {
+        throw new Exception("Server object '" + ID + "' has unsupported scope '" + normalized.scope + "'");
+    }
+    normalized.methods = toMethodList(definition.methods);
+    const bindArguments = definition.bindArguments;
+    if (bindArguments === true || (typeof bindArguments === "string" && bindArguments.trim().toLowerCase() === "true")) {
+        normalized.bindArguments = true;
+    } else {
+        normalized.bindArguments = toMethodList(bindArguments);
+    }
+    return normalized;
+};
+
+/**
+ * Converts comma separated string or array of method names to array.
+ *
+ * @param {string|Array} methods - Method names
+ * @return {string[]} Method names
+ */
+const toMethodList = function(methods) {
+    if (typeof methods === "string") {
+        methods = methods.split(",");
+    }
+    const list = [];
+    if (Array.isArray(methods)) {
+        for (let i = 0, l = methods.length; i < l; i++) {
+            const method = String(methods[i]).trim();
+            if (method) {
+                list.push(method);
+            }
+        }
+    }
+    return list;
+};
+
+module.exports = ServerObjectRegistry;
@@ -0,0 +1,357 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const assert = require("assert");
+
+const Exception = require("srv-core").Exception;
+const Config = require("srv-config").Config;
+const Log = require("srv-log").Log;
+
+const AsyncUtil = require("./AsyncUtil");
+const Const = require("./Const");
+
+// Scopes of user sessions by session ID
+const _sessions = {};
+// Application scope
+let _application = null;
+// Timer freeing idle session scopes
+let _sweepTimer = null;
+
+/**
+ * Holds server object instances shared within a scope (queue, user session or application).
+ * Each server object is instantiated once per scope with the first request which uses it, later requests
+ * get the same instance. Request passed to constructor and <code>init</code> must not be kept by instance:
+ * methods are called with current request. When scope ends <code>freeResources</code>
+ * of every instance is called with <code>null</code> instead of request.
+ */
+class ServerObjectScope {
+
+    /**
+     * Creates server object scope.
+     *
+     * @param {string} name - Scope name (used for logging)
+     */
+    constructor(name) {
+        assert.equal(typeof name, "string", "argument 'name' must be string");
+        this._name = name;
+        this._instances = {};
+        this._pending = {};
+        this._acquired = 0;
+        this._lastAccess = Date.now();
+    }
+
+    // Class logger
+    get log() {
+        return _log;
+    }
+
+    /**
+     * Scope name.
+     *
+     * @type {string}
+     */
+    get name() {
+        return this._name;
+    }
+
+    /**
+     * Time of last access to this scope (milliseconds).
+     *
+     * @type {number}
+     */
+    get lastAccess() {
+        return this._lastAccess;
+    }
+
+    /**
+     * <code>true</code> if instances of this scope are acquired and not released yet or being created.
+     * Scope in use is not freed as idle.
+     *
+     * @type {boolean}
+     */
+    get inUse() {
+        return this._acquired > 0 || Object.keys(this._pending).length > 0;
+    }
+
+    /**
+     * Returns server object instance. If instance does not exist yet - it is created with
+     * provided function. Concurrent requests for the same server object wait for single creation.
+     * Successfully acquired instance must be released with {@link ServerObjectScope#release}
+     * when request stops using it.
+     *
+     * @param {string} ID - Server object ID
+     * @param {function} create - Function creating instance, receives callback
+     * @param {function} callback - Callback executed when finished
+     */
+    acquire(ID, create, callback) {
+        assert.equal(typeof ID, "string", "argument 'ID' must be string");
+        assert.equal(typeof create, "function", "argument 'create' must be function");
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        const self = this;
+        this._lastAccess = Date.now();
+        const acquired = function(err, instance) {
+            if (!err) {
+                self._acquired++;
+            }
+            return callback(err, instance);
+        };
+        if (Object.prototype.hasOwnProperty.call(this._instances, ID)) {
+            return acquired(null, this._instances[ID]);
+        }
+        if (this._pending[ID]) {
+            // Instance is beeing created - wait for it
+            this._pending[ID].push(acquired);
+            return;
+        }
+        this._pending[ID] = [acquired];
+        create(function(err, instance) {
+            const callbacks = self._pending[ID];
+            delete self._pending[ID];
+            if (!err) {
+                self._instances[ID] = instance;
+            }
+            for (let i = 0, l = callbacks.length; i < l; i++) {
+                callbacks[i](err, instance);
+            }
+        });
+    }
+
+    /**
+     * Releases instance acquired with {@link ServerObjectScope#acquire}.
+     */
+    release() {
+        if (this._acquired > 0) {
+            this._acquired--;
+        }
+        this._lastAccess = Date.now();
+    }
+
+    /**
+     * Ends scope: calls <code>freeResources</code> of all instances and forgets them.
+     *
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    free(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(ServerObjectScope.prototype.free, this);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        const self = this;
+        const IDs = Object.keys(this._instances);
+        const instances = this._instances;
+        this._instances = {};
+        if (IDs.length > 0) {
+            this.log.debug("Freeing " + IDs.length + " server object(s) of '" + this.name + "' scope");
+        }
+        const next = function(index) {
+            if (index >= IDs.length) {
+                return callback();
+            }
+            const instance = instances[IDs[index]];
+            if (!instance || typeof instance.freeResources !== "function") {
+                return next(index + 1);
+            }
+            AsyncUtil.invoke(instance.freeResources, instance, [null], function(err) {
+                if (err) {
+                    // Failed to free resources - log it and continue
+                    self.log.error({err: new Exception("Failed to free resources of server object '" + IDs[index] + "'", err)});
+                }
+                return next(index + 1);
+            });
+        };
+        return next(0);
+    }
+
+    /**
+     * Returns scope holding shared instances of server object or <code>null</code>
+     * if new instance is created for every request.
+     *
+     * @param {Object} definition - Server object definition (see {@link ServerObjectRegistry.getDefinition})
+     * @param {RPCManager|null} rpcManager - RPC manager of request
+     * @return {ServerObjectScope|null} Server object scope
+     * @throws {Exception} if scope is not available
+     */
+    static getScope(definition, rpcManager) {
+        assert.equal(definition !== null && typeof definition === "object", true, "argument 'definition' must be object");
+        if (definition.scope === Const.SERVER_OBJECT_SCOPE_REQUEST) {
+            return null;
+        }
+        if (definition.scope === Const.SERVER_OBJECT_SCOPE_APPLICATION) {
+            return ServerObjectScope.getApplicationScope();
+        }
+        if (!rpcManager) {
+            throw new Exception("Server object '" + definition.ID + "' of '" + definition.scope +
+                "' scope requires RPC manager");
+        }
+        if (definition.scope === Const.SERVER_OBJECT_SCOPE_QUEUE) {
+            return rpcManager.serverObjectScope;
+        }
+        const req = rpcManager.req;
+        if (!req || typeof req.sessionID !== "string") {
+            throw new Exception("Server object '" + definition.ID + "' of session scope requires HTTP session");
+        }
+        return ServerObjectScope.getSessionScope(req.sessionID);
+    }
+
+    /**
+     * Returns scope of user session. Session scopes which are not in use (see {@link ServerObjectScope#inUse})
+     * and idle longer than <code>rpc.serverObjectSessionTimeout</code> seconds are freed by timer
+     * which does not keep process running.
+     *
+     * @param {string} sessionID - Session ID
+     * @return {ServerObjectScope} Session scope
+     */
+    static getSessionScope(sessionID) {
+        assert.equal(typeof sessionID, "string", "argument 'sessionID' must be string");
+        ServerObjectScope._freeExpiredSessions();
+        let scope = _sessions[sessionID];
+        if (!scope) {
+            scope = new ServerObjectScope(Const.SERVER_OBJECT_SCOPE_SESSION + ":" + sessionID);
+            _sessions[sessionID] = scope;
+            startSweepTimer();
+        }
+        return scope;
+    }
+
+    /**
+     * Ends scope of user session (e.g. on logout).
+     *
+     * @param {string} sessionID - Session ID
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    static endSession(sessionID, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(ServerObjectScope.endSession, ServerObjectScope, sessionID);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        const scope = _sessions[sessionID];
+        if (!scope) {
+            return callback();
+        }
+        delete _sessions[sessionID];
+        if (Object.keys(_sessions).length === 0) {
+            stopSweepTimer();
+        }
+        return scope.free(callback);
+    }
+
+    /**
+     * Returns application scope.
+     *
+     * @return {ServerObjectScope} Application scope
+     */
+    static getApplicationScope() {
+        if (!_application) {
+            _application = new ServerObjectScope(Const.SERVER_OBJECT_SCOPE_APPLICATION);
+        }
+        return _application;
+    }
+
+    /**
+     * Ends application scope and all session scopes (e.g. on server shutdown).
+     *
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    static endApplication(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(ServerObjectScope.endApplication, ServerObjectScope);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        const sessionIDs = Object.keys(_sessions);
+        const next = function(index) {
+            if (index < sessionIDs.length) {
+                return ServerObjectScope.endSession(sessionIDs[index], function() {
+                    next(index + 1);
+                });
+            }
+            if (!_application) {
+                return callback();
+            }
+            const application = _application;
+            _application = null;
+            return application.free(callback);
+        };
+        return next(0);
+    }
+
+    /**
+     * Internal method for freeing idle session scopes which are not in use.
+     */
+    static _freeExpiredSessions() {
+        const expired = Date.now() - getSessionTimeout() * 1000;
+        const sessionIDs = Object.keys(_sessions);
+        for (let i = 0, l = sessionIDs.length; i < l; i++) {
+            const scope = _sessions[sessionIDs[i]];
+            if (scope.lastAccess < expired && !scope.inUse) {
+                ServerObjectScope.endSession(sessionIDs[i], function() {});
+            }
+        }
+    }
+
+}
+
+/**
+ * Returns idle time (in seconds) after which session scope is freed.
+ *
+ * @return {number} Session timeout in seconds
+ */
+const getSessionTimeout = function() {
+    const timeout = parseInt(Config.getValue("rpc." + Const.SERVER_OBJECT_SESSION_TIMEOUT), 10);
+    if (isNaN(timeout) || timeout <= 0) {
+        return Const.DEFAULT_SERVER_OBJECT_SESSION_TIMEOUT;
+    }
+    return timeout;
+};
+
+/**
+ * Starts timer freeing idle session scopes if it is not running.
+ * Timer does not keep process running.
+ */
+const startSweepTimer = function() {
+    if (_sweepTimer) {
+        return;
+    }
+    _sweepTimer = setInterval(ServerObjectScope._freeExpiredSessions, getSessionTimeout() * 1000);
+    _sweepTimer.unref();
+};
+
+/**
+ * Stops timer freeing idle session scopes.
+ */
+const stopSweepTimer = function() {
+    if (_sweepTimer) {
+        clearInterval(_sweepTimer);
+        _sweepTimer = null;
+    }
+};
+
+// Static value for ServerObjectScope.log
+const _log = new Log(ServerObjectScope);
+
+module.exports = ServerObjectScope;
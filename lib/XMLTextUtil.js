@@ -0,0 +1,86 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const XMLUtil = require("srv-util").XMLUtil;
+
+// Characters not allowed in XML 1.0: control characters except tab and line breaks, U+FFFE and U+FFFF
+const INVALID_CHARACTERS = /[^\t\n\r\u0020-\uFFFD]/g;
+
+/**
+ * Helpers for writing text content and element names of XML documents.
+ */
+class XMLTextUtil {
+
+    /**
+     * Removes characters which are not allowed in XML (control characters except tab and line breaks,
+     * U+FFFE and U+FFFF).
+     *
+     * @param {*} value - Value
+     * @return {string} Text without invalid characters
+     */
+    static removeInvalidCharacters(value) {
+        return String(value).replace(INVALID_CHARACTERS, "");
+    }
+
+    /**
+     * Escapes XML text removing characters not allowed in XML (see {@link XMLTextUtil.removeInvalidCharacters}).
+     *
+     * @param {*} value - Value
+     * @param {boolean} [encodeLineBreaks] - <code>true</code> to encode line breaks and tabs as character references
+     * @return {string} Escaped text
+     */
+    static escape(value, encodeLineBreaks) {
+        let text = XMLUtil.escapeXml(XMLTextUtil.removeInvalidCharacters(value));
+        if (encodeLineBreaks) {
+            text = text.replace(/[\n\r\t]/g, function(c) {
+                return "&#" + c.charCodeAt(0) + ";";
+            });
+        }
+        return text;
+    }
+
+    /**
+     * Converts string into valid XML element name.
+     * Characters not allowed in XML names are replaced with underscore, name not starting
+     * with letter or underscore is prefixed with underscore.
+     *
+     * @param {*} name - Name
+     * @return {string} Valid XML element name
+     */
+    static toXMLName(name) {
+        name = String(name).replace(/[^A-Za-z0-9_.\-]/g, "_");
+        if (!/^[A-Za-z_]/.test(name)) {
+            name = "_" + name;
+        }
+        return name;
+    }
+
+}
+
+module.exports = XMLTextUtil;
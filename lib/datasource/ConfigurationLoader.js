@@ -34,10 +34,17 @@ const Log = require("srv-log").Log;
 const Util = require("srv-util").Util;
 
 const Const = require("../Const");
+const Security = require("../Security");
 
 let DataSource;
 let DataSourcePool;
 
+// Data source configuration properties used only on server
+const SERVER_ONLY_PROPERTIES = [Const.SERVER_OBJECT, Const.REQUIRES];
+// Operation binding properties used only on server
+const SERVER_ONLY_BINDING_PROPERTIES = [Const.CUSTOM_SQL, Const.CUSTOM_SELECT_CLAUSE, Const.CUSTOM_FROM_CLAUSE,
+    Const.CUSTOM_WHERE_CLAUSE, Const.CUSTOM_ORDER_CLAUSE, Const.SERVER_OBJECT, Const.REQUIRES, Const.CRITERIA];
+
 /**
  * Class for loading data sources to client side.
  */
@@ -120,23 +127,115 @@ class ConfigurationLoader {
                 return cbAcquire(null, dataSource);
             });
         }, function(err, result) {
-            let configs = "";
-            for (let i = 0, l = result.length; i < l; i++) {
-                if (result[i] instanceof DataSource) {
-                    configs += "isc." + "DataSource" + ".create(" + JSON.stringify(result[i].config) + ");\n";
+            const user = Security.getUser(self.req);
+            // Data sources user can not access are not loaded
+            Util.arrayExecutor(result, false, function(index, dataSource, cbCheck) {
+                if (!(dataSource instanceof DataSource)) {
+                    return cbCheck(null, null);
                 }
-            }
-            Util.arrayExecutor(result, false, function(index, dataSource, cbRelease) {
-                if (dataSource instanceof DataSource) {
-                    return DataSourcePool.release(dataSource.ID, dataSource, cbRelease);
+                const context = {
+                    user: user,
+                    req: self.req,
+                    dataSource: dataSource
+                };
+                Security.checkAccess(Security.getSettings(dataSource.config), context, function(err, status) {
+                    if (err || status !== null) {
+                        self.log.debug("Access to data source '" + dataSource.ID + "' is denied");
+                        return cbCheck(null, null);
+                    }
+                    Security.checkFieldAccess(dataSource.fields, context, function(err, denied) {
+                        if (err) {
+                            self.log.error({err: new Exception("Failed to check field access of data source '" + dataSource.ID + "'", err)});
+                            return cbCheck(null, null);
+                        }
+                        return cbCheck(null, self.getClientConfig(dataSource, denied));
+                    });
+                });
+            }, function(err, allowed) {
+                let configs = "";
+                for (let i = 0, l = allowed.length; i < l; i++) {
+                    if (typeof allowed[i] === "object" && allowed[i] !== null && !(allowed[i] instanceof Error)) {
+                        configs += "isc." + "DataSource" + ".create(" + JSON.stringify(allowed[i]) + ");\n";
+                    }
                 }
-            }, function(err, result) {
-                self.res.send(configs);
+                self._release(result, configs);
             });
         });
     }
+
+    /**
+     * Returns data source configuration sent to client.
+     * Fields user can not view are marked <code>hidden</code> and <code>canEdit: false</code>,
+     * fields user can not edit are marked <code>canEdit: false</code>.
+     * Server only properties (server objects, security predicates, custom SQL and clauses, criteria of
+     * operation bindings) are removed.
+     *
+     * @param {DataSource} dataSource - Data source
+     * @param {Object} denied - Fields user can not view and edit (see {@link Security.checkFieldAccess})
+     * @return {Object} Data source configuration
+     */
+    getClientConfig(dataSource, denied) {
+        // Shared configuration of pooled data source must not be changed
+        const config = omit(dataSource.config, SERVER_ONLY_PROPERTIES);
+        if (Array.isArray(config[Const.OPERATION_BINDINGS])) {
+            config[Const.OPERATION_BINDINGS] = config[Const.OPERATION_BINDINGS].map(function(operationBinding) {
+                if (typeof operationBinding !== "object" || operationBinding === null) {
+                    return operationBinding;
+                }
+                return omit(operationBinding, SERVER_ONLY_BINDING_PROPERTIES);
+            });
+        }
+        if (denied.view.length === 0 && denied.edit.length === 0) {
+            return config;
+        }
+        config.fields = dataSource.fields.map(function(field) {
+            if (!field || (denied.view.indexOf(field.name) < 0 && denied.edit.indexOf(field.name) < 0)) {
+                return field;
+            }
+            const clientField = Object.assign({}, field);
+            if (denied.view.indexOf(field.name) >= 0) {
+                clientField.hidden = true;
+            }
+            clientField.canEdit = false;
+            return clientField;
+        });
+        return config;
+    }
+
+    /**
+     * Internal method releasing loaded data sources and sending data source configurations.
+     *
+     * @param {Array} result - Loaded data sources
+     * @param {string} configs - Data source configurations
+     */
+    _release(result, configs) {
+        const self = this;
+        Util.arrayExecutor(result, false, function(index, dataSource, cbRelease) {
+            if (dataSource instanceof DataSource) {
+                return DataSourcePool.release(dataSource.ID, dataSource, cbRelease);
+            }
+            return cbRelease();
+        }, function() {
+            self.res.send(configs);
+        });
+    }
 }
 
+/**
+ * Returns shallow copy of object without specified properties.
+ *
+ * @param {Object} object - Object
+ * @param {string[]} names - Names of properties to remove
+ * @return {Object} Copy of object
+ */
+const omit = function(object, names) {
+    const copy = Object.assign({}, object);
+    for (let i = 0, l = names.length; i < l; i++) {
+        delete copy[names[i]];
+    }
+    return copy;
+};
+
 /**
  * Ensures that dependencies are loaded correctly.
  * Solves cyclic references loading problem.
@@ -28,12 +28,24 @@
 "use strict";
 
 const assert = require("assert");
+const path = require("path");
 
 const Exception = require("srv-core").Exception;
+const Config = require("srv-config").Config;
 const Log = require("srv-log").Log;
 
+const AsyncUtil = require("../AsyncUtil");
 const BaseRequest = require("../BaseRequest");
 const Const = require("../Const");
+const FileDownload = require("../FileDownload");
+const Exporter = require("../export/Exporter");
+const Messaging = require("../messaging/Messaging");
+const MethodBinder = require("../MethodBinder");
+const Security = require("../Security");
+const ServerObjectRegistry = require("../ServerObjectRegistry");
+const ServerObjectScope = require("../ServerObjectScope");
+const UploadedFile = require("./UploadedFile");
+const Validator = require("./Validator");
 
 let RPCManager;
 let DataSource;
@@ -42,7 +54,6 @@ let DataSourcePool;
 
 /**
  * Represents DataSource request.
- * TODO: implement transaction handling at RPCManager level
  *
  * @extends BaseRequest
  */
@@ -88,10 +99,16 @@ class DSRequest extends BaseRequest {
                 this._operationType = operationConfig.join("_");
             }
         }
-        if (this._operationType === Const.OPERATION_TYPE_UPDATE || this._operationType === Const.OPERATION_TYPE_REMOVE) {
+        if (this._operationType === Const.OPERATION_TYPE_UPDATE || this._operationType === Const.OPERATION_TYPE_REMOVE
+                || this.isDownload) {
             this._textMatchStyle = Const.TEXT_MATCH_STYLE_EXACT;
         }
         this._dataSource = null;
+        this._joinTransaction = null;
+        this._uploadedFiles = null;
+        this._clientRequest = null;
+        this._deniedFields = {view: [], edit: []};
+        this._serverObject = null;
     }
 
     /**
@@ -158,6 +175,28 @@ class DSRequest extends BaseRequest {
         return this.data[Const.OPERATION];
     }
 
+    /**
+     * Operation ID.
+     * Used to identify operation in queue (see {@link ResponseReference}) and to select
+     * operation binding of data source (see {@link DSRequest#operationBinding}).
+     * If not set explicitly, operation name is used when it differs from default
+     * <code>DSNAME_OPTYPE</code> name.
+     *
+     * @type {string|null}
+     */
+    get operationId() {
+        const operationId = this.data[Const.OPERATION_ID];
+        if (typeof operationId === "string" && operationId) {
+            return operationId;
+        }
+        const operation = this.operation;
+        if (typeof operation === "string" && operation && this.dataSourceName && this.operationType
+                && operation !== this.dataSourceName + "_" + this.operationType) {
+            return operation;
+        }
+        return null;
+    }
+
     /**
      * Request operation config.
      *
@@ -176,6 +215,196 @@ class DSRequest extends BaseRequest {
         return this._operationType;
     }
 
+    /**
+     * <code>true</code> if this is download or view file operation.
+     *
+     * @type {boolean}
+     */
+    get isDownload() {
+        return this.operationType === Const.OPERATION_TYPE_DOWNLOAD_FILE || this.operationType === Const.OPERATION_TYPE_VIEW_FILE;
+    }
+
+    /**
+     * <code>true</code> if this operation does not change data (fetch, validate, download or view file).
+     *
+     * @type {boolean}
+     */
+    get isReadOnly() {
+        return this.operationType === Const.OPERATION_TYPE_FETCH || this.operationType === Const.OPERATION_TYPE_VALIDATE
+            || this.isDownload;
+    }
+
+    /**
+     * <code>true</code> if values of this operation are validated before execution (add, update or validate).
+     *
+     * @type {boolean}
+     */
+    get isValidated() {
+        return this.operationType === Const.OPERATION_TYPE_ADD || this.operationType === Const.OPERATION_TYPE_UPDATE
+            || this.operationType === Const.OPERATION_TYPE_VALIDATE;
+    }
+
+    /**
+     * <code>true</code> if only provided values are validated and missing required values are not reported.
+     * Update is validated partially, add is validated fully.
+     * For validate operation mode is taken from <code>validationMode</code> ("full" by default).
+     *
+     * @type {boolean}
+     */
+    get isPartialValidation() {
+        if (this.operationType === Const.OPERATION_TYPE_VALIDATE) {
+            return this.data[Const.VALIDATION_MODE] === Const.VALIDATION_MODE_PARTIAL;
+        }
+        return this.operationType === Const.OPERATION_TYPE_UPDATE;
+    }
+
+    /**
+     * Name of binary field which content is downloaded by download/view file operation.
+     * <code>null</code> if not specified - first binary field of data source is used.
+     *
+     * @type {string|null}
+     */
+    get downloadFieldName() {
+        let fieldName = this.data[Const.DOWNLOAD_FIELD_NAME];
+        if (!fieldName && this.operationConfig) {
+            fieldName = this.operationConfig[Const.DOWNLOAD_FIELD_NAME];
+        }
+        return fieldName || null;
+    }
+
+    /**
+     * <code>true</code> if fetch results should be exported to file (see {@link DSRequest#exportAs}).
+     * Export is sent to client instead of response data.
+     *
+     * @type {boolean}
+     */
+    get isExport() {
+        return this.operationType === Const.OPERATION_TYPE_FETCH && toBoolean(this.data[Const.EXPORT_RESULTS]) === true;
+    }
+
+    /**
+     * Export format: <code>csv</code> (default), <code>xlsx</code> (<code>ooxml</code>, <code>xls</code>),
+     * <code>json</code>, <code>xml</code>, <code>html</code>, <code>pdf</code> or other format
+     * registered in {@link Exporter}. PDF supports only WinAnsiEncoding (Western European) characters,
+     * other characters are written as "?" (see {@link PDFExporter}).
+     *
+     * @type {string}
+     */
+    get exportAs() {
+        const exportAs = this.data[Const.EXPORT_AS];
+        if (typeof exportAs === "string" && exportAs.trim() !== "") {
+            return exportAs.trim().toLowerCase();
+        }
+        return Const.EXPORT_FORMAT_CSV;
+    }
+
+    /**
+     * Export file name. Extension of export format is added if file name has no extension.
+     *
+     * @type {string}
+     */
+    get exportFilename() {
+        const exportFilename = this.data[Const.EXPORT_FILENAME];
+        if (typeof exportFilename === "string" && exportFilename.trim() !== "") {
+            return exportFilename.trim();
+        }
+        return Const.DEFAULT_EXPORT_FILENAME;
+    }
+
+    /**
+     * Names of exported fields. <code>null</code> if not specified - data source fields are exported.
+     *
+     * @type {string[]|null}
+     */
+    get exportFields() {
+        let exportFields = this.data[Const.EXPORT_FIELDS];
+        if (typeof exportFields === "string") {
+            exportFields = exportFields.split(",").map(function(name) {
+                return name.trim();
+            }).filter(function(name) {
+                return name !== "";
+            });
+        }
+        if (Array.isArray(exportFields) && exportFields.length > 0) {
+            return exportFields;
+        }
+        return null;
+    }
+
+    /**
+     * Delimiter of exported values (CSV). Defaults to comma.
+     *
+     * @type {string}
+     */
+    get exportDelimiter() {
+        const exportDelimiter = this.data[Const.EXPORT_DELIMITER];
+        if (typeof exportDelimiter === "string" && exportDelimiter !== "") {
+            return exportDelimiter;
+        }
+        return Const.DEFAULT_EXPORT_DELIMITER;
+    }
+
+    /**
+     * Maximum number of exported records. Export of more records fails, because exported file is built in memory.
+     * Export fetch is limited to one record more than maximum.
+     * Defaults to <code>maxExportRows</code> of data source configuration, <code>dataSource.maxExportRows</code>
+     * configuration value or 100000 if not configured.
+     *
+     * @type {number}
+     */
+    get maxExportRows() {
+        let maxExportRows = this.dataSource ? parseInt(this.dataSource.config[Const.MAX_EXPORT_ROWS], 10) : NaN;
+        if (isNaN(maxExportRows) || maxExportRows <= 0) {
+            maxExportRows = parseInt(Config.getValue("dataSource." + Const.MAX_EXPORT_ROWS), 10);
+        }
+        if (isNaN(maxExportRows) || maxExportRows <= 0) {
+            return Const.DEFAULT_MAX_EXPORT_ROWS;
+        }
+        return maxExportRows;
+    }
+
+    /**
+     * Title of exported report (HTML, PDF).
+     * <code>null</code> if not specified - data source title is used.
+     *
+     * @type {string|null}
+     */
+    get exportTitle() {
+        const exportTitle = this.data[Const.EXPORT_TITLE];
+        if (typeof exportTitle === "string" && exportTitle.trim() !== "") {
+            return exportTitle.trim();
+        }
+        return null;
+    }
+
+    /**
+     * Name of field used to group records of exported report (HTML, PDF).
+     * Field must be exportable and returned by request, otherwise export fails.
+     * <code>null</code> if records are not grouped.
+     *
+     * @type {string|null}
+     */
+    get exportGroupBy() {
+        const exportGroupBy = this.data[Const.EXPORT_GROUP_BY];
+        if (typeof exportGroupBy === "string" && exportGroupBy.trim() !== "") {
+            return exportGroupBy.trim();
+        }
+        return null;
+    }
+
+    /**
+     * <code>true</code> if file returned by this request (download/view file, export) should be shown
+     * in browser instead of being saved.
+     *
+     * @type {boolean}
+     */
+    get downloadInline() {
+        if (this.isExport) {
+            return this.data[Const.EXPORT_DISPLAY] === Const.EXPORT_DISPLAY_WINDOW;
+        }
+        return this.operationType === Const.OPERATION_TYPE_VIEW_FILE;
+    }
+
     /**
      * Text match style.
      *
@@ -238,6 +467,7 @@ class DSRequest extends BaseRequest {
 
     /**
      * Request sort by.
+     * If request does not specify sorting - <code>sortBy</code> of operation binding is used.
      *
      * @type {Object}
      */
@@ -246,12 +476,21 @@ class DSRequest extends BaseRequest {
         if (sortBy) {
             return sortBy;
         }
-        sortBy = this.operationConfig[Const.SORT_BY];
-        if (sortBy) {
-            return sortBy;
+        if (this.operationConfig) {
+            sortBy = this.operationConfig[Const.SORT_BY];
+            if (sortBy) {
+                return sortBy;
+            }
+        }
+        const operationBinding = this.operationBinding;
+        if (operationBinding && operationBinding[Const.SORT_BY]) {
+            return operationBinding[Const.SORT_BY];
         }
         return [];
     }
+    set sortBy(sortBy) {
+        this.data[Const.SORT_BY] = sortBy;
+    }
 
     /**
      * Request start row.
@@ -316,6 +555,56 @@ class DSRequest extends BaseRequest {
         this.data[Const.VALUES] = values;
     }
 
+    /**
+     * Files uploaded with this request (multipart HTTP request).
+     * By default files are taken from HTTP request of {@link RPCManager} (set by upload middleware)
+     * only for operation which submitted them: the single add or update operation of queue.
+     * Other operations (including operations executed by server code) have no uploaded files
+     * unless they are set explicitly. Add and update operations of queue with several such operations
+     * are rejected with validation error if HTTP request has files.
+     *
+     * @type {UploadedFile[]}
+     */
+    get uploadedFiles() {
+        if (this._uploadedFiles === null) {
+            this._uploadedFiles = isUploadOperation(this) ? UploadedFile.fromRequest(this.rpcManager.req) : [];
+        }
+        return this._uploadedFiles;
+    }
+    set uploadedFiles(uploadedFiles) {
+        assert.equal(Array.isArray(uploadedFiles), true, "argument 'uploadedFiles' must be Array");
+        this._uploadedFiles = uploadedFiles;
+    }
+
+    /**
+     * Internal method returning files of multipart HTTP request which can not be assigned to this operation
+     * because queue contains several add or update operations (see {@link DSRequest#uploadedFiles}).
+     *
+     * @return {UploadedFile[]} Unassigned files (empty array if there are none)
+     */
+    _getUnassignedFiles() {
+        if (getQueueModifications(this).length <= 1) {
+            return [];
+        }
+        return UploadedFile.fromRequest(this.rpcManager.req);
+    }
+
+    /**
+     * Returns file uploaded for specified field.
+     *
+     * @param {string} fieldName - Data source field name
+     * @return {UploadedFile|null} Uploaded file or <code>null</code> if file was not uploaded for this field
+     */
+    getUploadedFile(fieldName) {
+        const uploadedFiles = this.uploadedFiles;
+        for (let i = 0, l = uploadedFiles.length; i < l; i++) {
+            if (uploadedFiles[i].fieldName === fieldName) {
+                return uploadedFiles[i];
+            }
+        }
+        return null;
+    }
+
     /**
      * Data source name.
      *
@@ -338,13 +627,162 @@ class DSRequest extends BaseRequest {
         this._dataSource = dataSource;
     }
 
+    /**
+     * Operation binding of data source for this request (see {@link DataSource#getOperationBinding}).
+     * <code>null</code> if data source is not initialized, binding is not defined or
+     * {@link DSRequest#ignoreOperationBinding} is set.
+     *
+     * @type {Object|null}
+     */
+    get operationBinding() {
+        if (!this.dataSource || this.ignoreOperationBinding) {
+            return null;
+        }
+        return this.dataSource.getOperationBinding(this.operationType, this.operationId);
+    }
+
+    /**
+     * <code>true</code> if request is executed directly on data source without operation binding
+     * (no outputs, criteria, custom SQL or server object of binding are applied).
+     * Used by server code which needs all records of data source, e.g. validators.
+     * Defaults to <code>false</code>.
+     *
+     * @type {boolean}
+     */
+    get ignoreOperationBinding() {
+        return !!this._ignoreOperationBinding;
+    }
+    set ignoreOperationBinding(ignoreOperationBinding) {
+        this._ignoreOperationBinding = !!ignoreOperationBinding;
+    }
+
+    /**
+     * Names of fields returned by this request (<code>outputs</code> of operation binding).
+     * <code>null</code> if all fields are returned.
+     *
+     * @type {string[]|null}
+     */
+    get outputs() {
+        const operationBinding = this.operationBinding;
+        if (!operationBinding) {
+            return null;
+        }
+        let outputs = operationBinding[Const.OUTPUTS];
+        if (typeof outputs === "string") {
+            outputs = outputs.split(",");
+        }
+        if (!Array.isArray(outputs)) {
+            return null;
+        }
+        return outputs.map(function(fieldName) {
+            return String(fieldName).trim();
+        }).filter(function(fieldName) {
+            return fieldName !== "";
+        });
+    }
+
+    /**
+     * Criteria of operation binding. Values are matched exactly and always applied to fetch
+     * in addition to request criteria, so client can not override them. Fetch of data source which
+     * can not apply them is rejected (see {@link DataSource#supportsOperationCriteria}).
+     * <code>null</code> if operation binding does not define criteria.
+     *
+     * @type {Object|null}
+     */
+    get operationCriteria() {
+        const operationBinding = this.operationBinding;
+        if (!operationBinding || typeof operationBinding[Const.CRITERIA] !== "object" || operationBinding[Const.CRITERIA] === null
+                || Object.keys(operationBinding[Const.CRITERIA]).length === 0) {
+            return null;
+        }
+        return operationBinding[Const.CRITERIA];
+    }
+
+    /**
+     * <code>true</code> if request is received from client. Declarative security
+     * (see {@link DSRequest#checkAccess}) is enforced for client requests only.
+     * Defaults to <code>true</code> for requests with {@link RPCManager} serving HTTP request.
+     *
+     * @type {boolean}
+     */
+    get clientRequest() {
+        if (typeof this._clientRequest === "boolean") {
+            return this._clientRequest;
+        }
+        return !!(this.rpcManager && this.rpcManager.req);
+    }
+    set clientRequest(clientRequest) {
+        this._clientRequest = !!clientRequest;
+    }
+
+    /**
+     * Should this request join queue transaction managed by {@link RPCManager}.
+     * Value is resolved in following order (first defined value is used):
+     * <ul>
+     * <li>value set explicitly for this request</li>
+     * <li><code>autoJoinTransactions</code> property of request data (operation level)</li>
+     * <li><code>autoJoinTransactions</code> property of data source configuration</li>
+     * <li><code>rpc.autoJoinTransactions</code> configuration value</li>
+     * </ul>
+     * If nothing is defined, request joins transaction starting from first data changing operation in queue,
+     * so fetch requests preceding any changes use their own connections and can be executed in parallel.
+     * Request without {@link RPCManager} never joins transaction.
+     *
+     * @type {boolean}
+     */
+    get joinTransaction() {
+        if (!this.rpcManager) {
+            return false;
+        }
+        let join = toBoolean(this._joinTransaction);
+        if (join !== null) {
+            return join;
+        }
+        join = toBoolean(this.data[Const.AUTO_JOIN_TRANSACTIONS]);
+        if (join !== null) {
+            return join;
+        }
+        if (this.dataSource) {
+            join = toBoolean(this.dataSource.config[Const.AUTO_JOIN_TRANSACTIONS]);
+            if (join !== null) {
+                return join;
+            }
+        }
+        join = toBoolean(Config.getValue("rpc." + Const.AUTO_JOIN_TRANSACTIONS));
+        if (join !== null) {
+            return join;
+        }
+        return !this.isReadOnly || this.rpcManager.hasChangeBefore(this);
+    }
+    set joinTransaction(joinTransaction) {
+        if (joinTransaction === undefined || joinTransaction === null) {
+            this._joinTransaction = null;
+        } else {
+            assert.equal(typeof joinTransaction, "boolean", "argument 'joinTransaction' must be boolean");
+            this._joinTransaction = joinTransaction;
+        }
+    }
+
+    /**
+     * <code>true</code> if data source of this request has joined queue transaction.
+     * Such transaction is committed or rolled back by {@link RPCManager}.
+     *
+     * @type {boolean}
+     */
+    get inTransaction() {
+        return !!(this.dataSource && this.dataSource.transaction);
+    }
+
     /**
      * Loads, instantiates and initializes data source.
      * This method will be called from {@link RPCManager}.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     init(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DSRequest.prototype.init, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
         if (this.dataSourceName) {
             const self = this;
@@ -353,7 +791,7 @@ class DSRequest extends BaseRequest {
                     return callback(err);
                 }
                 self.dataSource = dataSource;
-                return self.dataSource.init(self, callback);
+                return AsyncUtil.invoke(self.dataSource.init, self.dataSource, [self], callback);
             });
         } else {
             return callback(new Exception("Data source name is not set"));
@@ -362,14 +800,21 @@ class DSRequest extends BaseRequest {
 
     /**
      * Calls {@link DataSource.startTransaction}
-     * TODO: implement transaction handling at RPCManager level
+     * Does nothing if request is in queue transaction.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     startTransaction(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DSRequest.prototype.startTransaction, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        if (this.inTransaction) {
+            // Queue transaction is started by RPCManager
+            return callback();
+        }
         if (this.dataSource) {
-            return this.dataSource.startTransaction(callback);
+            return AsyncUtil.invoke(this.dataSource.startTransaction, this.dataSource, [], callback);
         } else {
             return callback(new Exception("Data source is not initialized"));
         }
@@ -377,25 +822,357 @@ class DSRequest extends BaseRequest {
 
     /**
      * Executes DS request.
+     * Before execution references to responses of previous operations in queue
+     * (see {@link ResponseReference}) are replaced with referenced values, access is checked
+     * (see {@link DSRequest#checkAccess}), request referencing fields client can not view in criteria, sort by
+     * or export group by is rejected, operation of queue with several add or update operations is rejected
+     * if HTTP request has uploaded files (see {@link DSRequest#uploadedFiles}), values are validated (see {@link DSRequest#validate})
+     * and criteria and values are converted to types of data source fields (see {@link DataSource#coerceValue}).
+     * Validate operation is finished after validation.
      * This method will be called from {@link RPCManager}.
-     * TODO: implement transaction handling at RPCManager level
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     execute(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DSRequest.prototype.execute, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be a function");
+        if (this.rpcManager) {
+            // Resolve references to responses of previous operations (transaction chaining)
+            try {
+                this.rpcManager.resolveResponseReferences(this);
+            } catch (err) {
+                this.log.error({err: err}, "Failed to resolve response data references");
+                return callback(null, new DSResponse(err));
+            }
+        }
+        const self = this;
+        if (this.isExport) {
+            // Fetch is capped at export limit - one more record is fetched to detect exceeded limit
+            this.data[Const.START_ROW] = 0;
+            this.data[Const.END_ROW] = this.maxExportRows + 1;
+        }
+        this.checkAccess(function(err, status) {
+            if (err) {
+                return callback(null, new DSResponse(new Exception("Failed to check access", err)));
+            }
+            if (status !== null) {
+                self.log.debug("Access to '" + self.operationType + "' of data source '" + self.dataSourceName + "' is denied");
+                return callback(null, new DSResponse(status, status === Const.STATUS_LOGIN_REQUIRED
+                    ? "Login required" : "Not authorized to execute this operation"));
+            }
+            return self.checkFieldAccess(function(err) {
+                if (err) {
+                    return callback(null, new DSResponse(new Exception("Failed to check field access", err)));
+                }
+                if (self.isDownload && !self.canViewField(self.downloadFieldName)) {
+                    return callback(null, new DSResponse(Const.STATUS_AUTHORIZATION_FAILURE,
+                        "Not authorized to view field '" + self.downloadFieldName + "'"));
+                }
+                const referencedField = self._getNonViewableReference();
+                if (referencedField !== null) {
+                    return callback(null, new DSResponse(Const.STATUS_AUTHORIZATION_FAILURE,
+                        "Not authorized to view field '" + referencedField + "'"));
+                }
+                const unassignedFiles = self._getUnassignedFiles();
+                if (unassignedFiles.length > 0) {
+                    // Files would be silently lost - reject operation instead
+                    const response = new DSResponse(Const.STATUS_VALIDATION_ERROR, null);
+                    for (let i = 0, l = unassignedFiles.length; i < l; i++) {
+                        response.addError(unassignedFiles[i].fieldName, "Uploaded file can not be assigned to operation:"
+                            + " queue contains several add or update operations");
+                    }
+                    return callback(null, response);
+                }
+                self._removeNonEditableValues();
+                if (!self.isValidated) {
+                    self._coerceData();
+                    return self._execute(callback);
+                }
+                return self.validate(function(err, errors) {
+                    if (err) {
+                        return callback(null, new DSResponse(new Exception("Failed to validate values", err)));
+                    }
+                    if (errors) {
+                        self.log.debug("Values of '" + self.operationType + "' of data source '" + self.dataSourceName + "' are not valid");
+                        const response = new DSResponse(Const.STATUS_VALIDATION_ERROR, null);
+                        for (let fieldName in errors) {
+                            for (let i = 0, l = errors[fieldName].length; i < l; i++) {
+                                response.addError(fieldName, errors[fieldName][i]);
+                            }
+                        }
+                        return callback(null, response);
+                    }
+                    self._coerceData();
+                    if (self.operationType === Const.OPERATION_TYPE_VALIDATE) {
+                        return callback(null, new DSResponse(Const.STATUS_SUCCESS, self.values || null));
+                    }
+                    return self._execute(callback);
+                });
+            });
+        });
+    }
+
+    /**
+     * Validates values of this request with validators of data source fields (see {@link Validator}).
+     * Callback receives <code>null</code> if values are valid or object with arrays of error messages
+     * by field name.
+     *
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    validate(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DSRequest.prototype.validate, this);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        if (!this.dataSource) {
+            return callback(new Exception("Data source is not initialized"));
+        }
+        const values = this.values || {};
+        // Primary key of validated record - from criteria of update, from values otherwise
+        const pkFieldNames = this.dataSource.pkFieldNames;
+        let pkValue = null;
+        const sources = [this.criteria, values];
+        for (let i = 0; i < sources.length && !pkValue; i++) {
+            const source = sources[i];
+            if (source && typeof source === "object" && pkFieldNames.length > 0 && pkFieldNames.every(function(name) {
+                return source[name] !== undefined && source[name] !== null;
+            })) {
+                pkValue = {};
+                for (let j = 0, l = pkFieldNames.length; j < l; j++) {
+                    pkValue[pkFieldNames[j]] = source[pkFieldNames[j]];
+                }
+            }
+        }
+        return Validator.validate(this.dataSource, values, {
+            partial: this.isPartialValidation,
+            dsRequest: this,
+            pkValue: pkValue
+        }, callback);
+    }
+
+    /**
+     * Internal method executing DS request after access is checked.
+     * Request is executed by data source or by server object of operation binding
+     * (see {@link DSRequest#executeServerObject}).
+     *
+     * @param {function} callback - Callback executed when finished
+     */
+    _execute(callback) {
         const self = this;
         this.startTransaction(function(err) {
             if (err) {
                 // Instead of returning plain error - return DS response with failure
                 return callback(null, new DSResponse(new Exception("Failed to start transaction", err)));
             }
-            return self.dataSource.execute(function(err, response) {
-                return self._executeFinish(err, response, callback);
+            const operationBinding = self.operationBinding;
+            let execute;
+            if (operationBinding && operationBinding[Const.SERVER_OBJECT]) {
+                execute = function(cb) {
+                    return self.executeServerObject(operationBinding[Const.SERVER_OBJECT], cb);
+                };
+            } else {
+                execute = function(cb) {
+                    return AsyncUtil.invoke(self.dataSource.execute, self.dataSource, [], cb);
+                };
+            }
+            return execute(function(err, response) {
+                return self._executeFinish(err, response, function(err, response) {
+                    if (!err) {
+                        self._serializeValues(response);
+                        self._removeNonOutputValues(response);
+                    }
+                    if (!err && self.isExport) {
+                        response = self._exportResponse(response);
+                    }
+                    if (!err && !self.inTransaction) {
+                        // Changes are committed already - queue transaction changes are broadcast by RPCManager
+                        self.broadcastChanges(response, function(errBroadcast) {
+                            if (errBroadcast) {
+                                self.log.error({err: errBroadcast});
+                            }
+                        });
+                    }
+                    return callback(err, response);
+                });
             });
         });
     }
 
+    /**
+     * Executes request with server object of operation binding (DMI - direct method invocation).
+     * <code>serverObject</code> is either server object ID or object with <code>className</code>
+     * (server object ID) and <code>methodName</code> (operation type by default) properties.
+     * Server object must be registered in {@link ServerObjectRegistry}, it is instantiated with this request
+     * as parameter and shared according to its scope (see {@link ServerObjectScope}). Shared instance is created
+     * (and <code>init</code> is called) with the first request of scope, so method should use request passed
+     * to it rather than the one passed to constructor.
+     * If server object definition enables binding for method (see {@link ServerObjectRegistry.isBindingEnabled}),
+     * method arguments are bound by declared parameter names (see {@link MethodBinder}):
+     * <ul>
+     * <li><code>req</code>, <code>res</code> - HTTP request and response</li>
+     * <li><code>rpcManager</code> - {@link RPCManager}</li>
+     * <li><code>dsRequest</code> - this {@link DSRequest}</li>
+     * <li><code>dataSource</code> - data source of this request</li>
+     * <li><code>data</code>, <code>criteria</code>, <code>values</code>, <code>oldValues</code> - request data</li>
+     * <li><code>user</code> - current user (see {@link Security.getUser})</li>
+     * <li><code>callback</code> - to signal execution finish (method can return result or Promise instead)</li>
+     * </ul>
+     * Otherwise method is called with this request and callback (method can return Promise instead of
+     * calling callback).
+     * Method can call <code>dataSource.execute()</code> to perform default operation of data source.
+     * Result which is not {@link DSResponse} is returned as data of successful response.
+     *
+     * @param {string|Object} serverObject - Server object configuration
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    executeServerObject(serverObject, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DSRequest.prototype.executeServerObject, this, serverObject);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        if (typeof serverObject === "string") {
+            serverObject = {[Const.CLASS_NAME]: serverObject};
+        }
+        if (!serverObject || typeof serverObject !== "object" || typeof serverObject[Const.CLASS_NAME] !== "string") {
+            return callback(new Exception("Server object of operation binding is not specified"));
+        }
+        const self = this;
+        const ID = serverObject[Const.CLASS_NAME];
+        const methodName = serverObject[Const.METHOD_NAME] || this.operationType;
+        let definition;
+        let scope;
+        try {
+            definition = ServerObjectRegistry.getDefinition(ID);
+            if (!definition) {
+                return callback(new Exception("Server object '" + ID + "' is not registered"));
+            }
+            scope = ServerObjectScope.getScope(definition, this.rpcManager);
+        } catch (err) {
+            return callback(err);
+        }
+        const create = function(cb) {
+            let instance;
+            try {
+                const ServerObjectClass = ServerObjectRegistry.loadClass(ID);
+                instance = new ServerObjectClass(self);
+            } catch (err) {
+                return cb(new Exception("Failed to instantiate server object '" + ID + "'", err));
+            }
+            if (typeof instance.init === "function") {
+                return AsyncUtil.invoke(instance.init, instance, [self], function(err) {
+                    return cb(err, instance);
+                });
+            }
+            return cb(null, instance);
+        };
+        const invoke = function(err, instance, done) {
+            if (err) {
+                return done(err);
+            }
+            if (!scope) {
+                // Resources of request scope server object are freed with this request
+                self._serverObject = instance;
+            }
+            const method = instance[methodName];
+            if (typeof method !== "function") {
+                return done(new Exception("Server object '" + ID + "' does not have method '" + methodName + "'"));
+            }
+            const finish = function(err, response) {
+                if (err) {
+                    return done(err);
+                }
+                if (!(response instanceof DSResponse)) {
+                    response = new DSResponse(Const.STATUS_SUCCESS, response);
+                }
+                return done(null, response);
+            };
+            if (ServerObjectRegistry.isBindingEnabled(ID, methodName)) {
+                const rpcManager = self.rpcManager;
+                const req = rpcManager ? rpcManager.req : null;
+                const injectables = {
+                    req: req,
+                    res: rpcManager ? rpcManager.res : null,
+                    rpcManager: rpcManager,
+                    dsRequest: self,
+                    dataSource: self.dataSource,
+                    data: self.data,
+                    criteria: self.criteria,
+                    values: self.values,
+                    oldValues: self.oldValues,
+                    user: Security.getUser(req)
+                };
+                return MethodBinder.invoke(instance, method, [], injectables, finish);
+            }
+            return AsyncUtil.invoke(method, instance, [self], finish);
+        };
+        if (!scope) {
+            return create(function(err, instance) {
+                return invoke(err, instance, callback);
+            });
+        }
+        return scope.acquire(ID, create, function(err, instance) {
+            if (err) {
+                return callback(err);
+            }
+            // Shared instance is in use until method finishes
+            return invoke(null, instance, function(err, response) {
+                scope.release();
+                return callback(err, response);
+            });
+        });
+    }
+
+    /**
+     * Internal method to export fetched records to file (see {@link DSRequest#isExport}).
+     * Exported file is set to {@link DSResponse#file}.
+     *
+     * @param {DSResponse} response - Fetch response
+     * @return {DSResponse} Response with exported file or failure response if export failed
+     */
+    _exportResponse(response) {
+        if (response.status < 0) {
+            return response;
+        }
+        try {
+            const exporter = Exporter.create(this.exportAs, {
+                delimiter: this.exportDelimiter,
+                title: this.exportTitle,
+                groupBy: this.exportGroupBy
+            });
+            let records = response.data;
+            if (records === undefined || records === null) {
+                records = [];
+            } else if (!Array.isArray(records)) {
+                records = [records];
+            }
+            const maxExportRows = this.maxExportRows;
+            if (records.length > maxExportRows) {
+                return new DSResponse(new Exception("Failed to export results. Number of records exceeds maximum of "
+                    + maxExportRows));
+            }
+            const self = this;
+            const columns = Exporter.getColumns(this.dataSource, this.exportFields).filter(function(column) {
+                return self.isOutputField(column.name);
+            });
+            const groupBy = this.exportGroupBy;
+            if (groupBy && (Exporter.getColumns(this.dataSource, [groupBy]).length === 0 || !this.isOutputField(groupBy))) {
+                return new DSResponse(new Exception("Failed to export results. Records can not be grouped by field '"
+                    + groupBy + "': field does not exist or is not exported"));
+            }
+            let fileName = this.exportFilename;
+            if (path.extname(fileName) === "") {
+                fileName += "." + exporter.extension;
+            }
+            response.file = FileDownload.fromBuffer(exporter.export(records, columns, this.dataSource), fileName, exporter.mimeType);
+            return response;
+        } catch (err) {
+            this.log.error({err: err}, "Export failure");
+            return new DSResponse(new Exception("Failed to export results", err));
+        }
+    }
+
     /**
      * Internal method to complete execution.
      * <ul>
@@ -455,16 +1232,294 @@ class DSRequest extends BaseRequest {
         }
     }
 
+    /**
+     * Checks declarative security of data source and operation binding (see {@link Security}) for
+     * client requests. Operation binding settings override data source settings.
+     * Callback receives <code>null</code> if access is allowed, STATUS_LOGIN_REQUIRED (-7) or
+     * STATUS_AUTHORIZATION_FAILURE (-3) otherwise.
+     *
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    checkAccess(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DSRequest.prototype.checkAccess, this);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        if (!this.clientRequest || !this.dataSource) {
+            return callback(null, null);
+        }
+        const operationBinding = this.operationBinding;
+        const req = this.rpcManager ? this.rpcManager.req : null;
+        return Security.checkAccess(Security.getSettings(this.dataSource.config, operationBinding), {
+            user: Security.getUser(req),
+            req: req,
+            dsRequest: this,
+            dataSource: this.dataSource,
+            operationBinding: operationBinding
+        }, callback);
+    }
+
+    /**
+     * Checks field level security (see {@link Security.checkFieldAccess}) for client requests.
+     * Results are available with {@link DSRequest#canViewField} and {@link DSRequest#canEditField}.
+     * This method is called from {@link DSRequest#execute}.
+     *
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    checkFieldAccess(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DSRequest.prototype.checkFieldAccess, this);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        if (!this.clientRequest || !this.dataSource) {
+            return callback();
+        }
+        const self = this;
+        const req = this.rpcManager ? this.rpcManager.req : null;
+        Security.checkFieldAccess(this.dataSource.fields, {
+            user: Security.getUser(req),
+            req: req,
+            dsRequest: this,
+            dataSource: this.dataSource
+        }, function(err, denied) {
+            if (err) {
+                return callback(err);
+            }
+            self._deniedFields = denied;
+            return callback();
+        });
+    }
+
+    /**
+     * Returns <code>true</code> if field value can be returned to client (see {@link DSRequest#checkFieldAccess}).
+     *
+     * @param {string} fieldName - Field name
+     * @return {boolean}
+     */
+    canViewField(fieldName) {
+        return this._deniedFields.view.indexOf(fieldName) < 0;
+    }
+
+    /**
+     * Returns <code>true</code> if field value can be changed by client (see {@link DSRequest#checkFieldAccess}).
+     *
+     * @param {string} fieldName - Field name
+     * @return {boolean}
+     */
+    canEditField(fieldName) {
+        return this._deniedFields.edit.indexOf(fieldName) < 0;
+    }
+
+    /**
+     * Returns <code>true</code> if field value is returned to client: field can be viewed
+     * (see {@link DSRequest#canViewField}) and is one of {@link DSRequest#outputs}.
+     *
+     * @param {string} fieldName - Field name
+     * @return {boolean}
+     */
+    isOutputField(fieldName) {
+        if (!this.canViewField(fieldName)) {
+            return false;
+        }
+        const outputs = this.outputs;
+        return !outputs || outputs.indexOf(fieldName) >= 0;
+    }
+
+    /**
+     * Internal method finding field which can not be viewed by client (see {@link DSRequest#canViewField})
+     * but is referenced by request criteria (including advanced criteria), sort by or export group by.
+     * Filtering, sorting and grouping by such field would disclose its values.
+     *
+     * @return {string|null} Name of field or <code>null</code> if request does not reference such fields
+     */
+    _getNonViewableReference() {
+        if (this._deniedFields.view.length === 0) {
+            return null;
+        }
+        const fieldNames = getCriteriaFieldNames(this.criteria, []);
+        let sortBy = this.data[Const.SORT_BY] || (this.operationConfig ? this.operationConfig[Const.SORT_BY] : null);
+        if (sortBy) {
+            sortBy = Array.isArray(sortBy) ? sortBy : [sortBy];
+            for (let i = 0, l = sortBy.length; i < l; i++) {
+                fieldNames.push(String(sortBy[i]).replace(/^-/, ""));
+            }
+        }
+        if (this.exportGroupBy) {
+            fieldNames.push(this.exportGroupBy);
+        }
+        for (let i = 0, l = fieldNames.length; i < l; i++) {
+            if (!this.canViewField(fieldNames[i])) {
+                return fieldNames[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Internal method removing values of fields which can not be edited by client from add and update requests.
+     * Such values are silently ignored.
+     */
+    _removeNonEditableValues() {
+        const values = this.values;
+        if ((this.operationType !== Const.OPERATION_TYPE_ADD && this.operationType !== Const.OPERATION_TYPE_UPDATE)
+                || typeof values !== "object" || values === null) {
+            return;
+        }
+        const fieldNames = this._deniedFields.edit;
+        for (let i = 0, l = fieldNames.length; i < l; i++) {
+            // Primary key identifies updated record - it is not changed
+            if (fieldNames[i] in values && !(this.operationType === Const.OPERATION_TYPE_UPDATE
+                    && this.dataSource.pkFieldNames.indexOf(fieldNames[i]) >= 0)) {
+                this.log.debug("Value of field '" + fieldNames[i] + "' is ignored - field can not be edited");
+                delete values[fieldNames[i]];
+            }
+        }
+    }
+
+    /**
+     * Internal method converting criteria, values and old values received from client to types of
+     * data source fields (see {@link DataSource#coerceValue}).
+     */
+    _coerceData() {
+        const dataSource = this.dataSource;
+        dataSource.coerceCriteria(this.criteria);
+        dataSource.coerceValues(this.values);
+        dataSource.coerceValues(this.oldValues);
+    }
+
+    /**
+     * Internal method converting values of response records to format of field types
+     * (see {@link DataSource#serializeValue}), e.g. records returned by server object.
+     *
+     * @param {DSResponse} response - Response
+     */
+    _serializeValues(response) {
+        const dataSource = this.dataSource;
+        if (!dataSource || !response || response.data === null || typeof response.data !== "object"
+                || Buffer.isBuffer(response.data) || response.data instanceof Error) {
+            return;
+        }
+        const records = Array.isArray(response.data) ? response.data : [response.data];
+        for (let ri = 0, rl = records.length; ri < rl; ri++) {
+            if (typeof records[ri] !== "object" || records[ri] === null) {
+                continue;
+            }
+            for (let key in records[ri]) {
+                const field = dataSource.getField(key);
+                if (field) {
+                    records[ri][key] = dataSource.serializeValue(field, records[ri][key]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Internal method removing values of fields which are not returned to client from response records
+     * (see {@link DSRequest#isOutputField}).
+     *
+     * @param {DSResponse} response - Response
+     */
+    _removeNonOutputValues(response) {
+        const fieldNames = this._deniedFields.view;
+        const outputs = this.outputs;
+        if ((fieldNames.length === 0 && !outputs) || !response || response.data === null
+                || typeof response.data !== "object" || Buffer.isBuffer(response.data)) {
+            return;
+        }
+        const records = Array.isArray(response.data) ? response.data : [response.data];
+        for (let ri = 0, rl = records.length; ri < rl; ri++) {
+            if (typeof records[ri] !== "object" || records[ri] === null) {
+                continue;
+            }
+            for (let i = 0, l = fieldNames.length; i < l; i++) {
+                delete records[ri][fieldNames[i]];
+            }
+            if (outputs) {
+                for (let key in records[ri]) {
+                    if (outputs.indexOf(key) < 0) {
+                        delete records[ri][key];
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Broadcasts committed changes of this request to messaging channel of data source
+     * (see {@link DataSource#broadcastChanges}) so that clients can update their caches.
+     * Message data is object with <code>dataSource</code> (data source ID), <code>operationType</code>
+     * and <code>data</code> (array of changed records without fields having <code>viewRequires</code>) properties.
+     * Message is not delivered to session which made the change.
+     * Does nothing if data source does not broadcast changes, request is not add, update or remove
+     * or response is not successful.
+     *
+     * @param {DSResponse} response - Response of this request
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    broadcastChanges(response, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DSRequest.prototype.broadcastChanges, this, response);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        const operationType = this.operationType;
+        if (!this.dataSource || !this.dataSource.broadcastChanges || !response || response.status < 0
+                || (operationType !== Const.OPERATION_TYPE_ADD && operationType !== Const.OPERATION_TYPE_UPDATE
+                    && operationType !== Const.OPERATION_TYPE_REMOVE)) {
+            return callback();
+        }
+        let records = response.data;
+        if (records === undefined || records === null) {
+            records = [];
+        } else if (!Array.isArray(records)) {
+            records = [records];
+        }
+        // Receivers may have less rights than sender - values of fields with view requirements are not broadcast
+        const restricted = [];
+        const fields = this.dataSource.fields;
+        for (let i = 0, l = fields.length; i < l; i++) {
+            if (fields[i] && fields[i].name && Security.getFieldSettings(fields[i][Const.VIEW_REQUIRES])) {
+                restricted.push(fields[i].name);
+            }
+        }
+        if (restricted.length > 0) {
+            records = records.map(function(record) {
+                if (typeof record !== "object" || record === null) {
+                    return record;
+                }
+                const copy = Object.assign({}, record);
+                for (let i = 0, l = restricted.length; i < l; i++) {
+                    delete copy[restricted[i]];
+                }
+                return copy;
+            });
+        }
+        const req = this.rpcManager ? this.rpcManager.req : null;
+        Messaging.send(this.dataSource.changesChannel, {
+            dataSource: this.dataSource.ID,
+            operationType: operationType,
+            data: records
+        }, {
+            excludeSessionID: (req && typeof req.sessionID === "string") ? req.sessionID : null
+        }, callback);
+    }
+
     /**
      * Calls {@link DataSource.commit}
-     * TODO: implement transaction handling at RPCManager level
+     * Does nothing if request is in queue transaction.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     commit(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DSRequest.prototype.commit, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        if (this.inTransaction) {
+            // Queue transaction is committed by RPCManager
+            return callback();
+        }
         if (this.dataSource) {
-            return this.dataSource.commit(callback);
+            return AsyncUtil.invoke(this.dataSource.commit, this.dataSource, [], callback);
         } else {
             return callback(new Exception("Data source is not initialized"));
         }
@@ -472,14 +1527,21 @@ class DSRequest extends BaseRequest {
 
     /**
      * Calls {@link DataSource.rollback}
-     * TODO: implement transaction handling at RPCManager level
+     * Does nothing if request is in queue transaction.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     rollback(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DSRequest.prototype.rollback, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        if (this.inTransaction) {
+            // Queue transaction is rolled back by RPCManager
+            return callback();
+        }
         if (this.dataSource) {
-            return this.dataSource.rollback(callback);
+            return AsyncUtil.invoke(this.dataSource.rollback, this.dataSource, [], callback);
         } else {
             return callback(new Exception("Data source is not initialized"));
         }
@@ -487,17 +1549,37 @@ class DSRequest extends BaseRequest {
 
     /**
      * Frees resources of DS request.
+     * If server object of request scope was used (see {@link DSRequest#executeServerObject}) and
+     * has function 'freeResources' - it is called with this request.
      * This method will be called from {@link RPCManager}.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     freeResources(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DSRequest.prototype.freeResources, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
-        if (this.dataSource) {
-            return DataSourcePool.release(this.dataSource.ID, this.dataSource, callback);
-        } else {
-            return callback();
+        const self = this;
+        const release = function() {
+            if (self.dataSource) {
+                return DataSourcePool.release(self.dataSource.ID, self.dataSource, callback);
+            } else {
+                return callback();
+            }
+        };
+        const serverObject = this._serverObject;
+        this._serverObject = null;
+        if (serverObject && typeof serverObject.freeResources === "function") {
+            return AsyncUtil.invoke(serverObject.freeResources, serverObject, [this], function(err) {
+                if (err) {
+                    // Failed to free resources - log it and continue
+                    self.log.error({err: new Exception("Failed to free resources of server object", err)});
+                }
+                return release();
+            });
         }
+        return release();
     }
 
     /**
@@ -522,6 +1604,96 @@ class DSRequest extends BaseRequest {
 
 }
 
+/**
+ * Converts configuration value to boolean.
+ * Returns <code>null</code> if value is not set or can not be converted.
+ *
+ * @param {*} value - Value to convert
+ * @return {boolean|null}
+ */
+const toBoolean = function(value) {
+    if (typeof value === "boolean") {
+        return value;
+    }
+    if (typeof value === "string") {
+        if (/^\s*true\s*$/i.test(value)) {
+            return true;
+        }
+        if (/^\s*false\s*$/i.test(value)) {
+            return false;
+        }
+    }
+    return null;
+};
+
+/**
+ * Checks if operation is add or update operation of data source.
+ *
+ * @param {BaseRequest} operation - Operation
+ * @return {boolean} <code>true</code> for add and update
+ */
+const isModification = function(operation) {
+    return operation instanceof DSRequest && (operation.operationType === Const.OPERATION_TYPE_ADD
+        || operation.operationType === Const.OPERATION_TYPE_UPDATE);
+};
+
+/**
+ * Returns add and update operations of RPC manager queue which operation belongs to.
+ * Empty array if operation is not add or update of queue serving HTTP request.
+ *
+ * @param {DSRequest} dsRequest - Operation
+ * @return {DSRequest[]} Add and update operations of queue
+ */
+const getQueueModifications = function(dsRequest) {
+    if (!dsRequest.rpcManager || !dsRequest.rpcManager.req || !isModification(dsRequest)
+            || dsRequest.rpcManager.operations.indexOf(dsRequest) < 0) {
+        return [];
+    }
+    return dsRequest.rpcManager.operations.filter(isModification);
+};
+
+/**
+ * Checks if operation submitted files of multipart HTTP request: it is the only add or update operation
+ * of its RPC manager queue.
+ *
+ * @param {DSRequest} dsRequest - Operation
+ * @return {boolean} <code>true</code> if files of HTTP request belong to operation
+ */
+const isUploadOperation = function(dsRequest) {
+    const modifications = getQueueModifications(dsRequest);
+    return modifications.length === 1 && modifications[0] === dsRequest;
+};
+
+/**
+ * Collects names of fields referenced by simple or advanced criteria: keys of simple criteria,
+ * <code>fieldName</code> of advanced criteria and <code>value</code> of operators comparing fields
+ * (e.g. <code>equalsField</code>).
+ *
+ * @param {*} criteria - Criteria
+ * @param {string[]} fieldNames - Array where field names are added
+ * @return {string[]} Field names
+ */
+const getCriteriaFieldNames = function(criteria, fieldNames) {
+    if (!criteria || typeof criteria !== "object" || Array.isArray(criteria)) {
+        return fieldNames;
+    }
+    if (criteria._constructor !== Const.ADVANCED_CRITERIA && criteria.operator === undefined) {
+        return fieldNames.concat(Object.keys(criteria));
+    }
+    if (Array.isArray(criteria.criteria)) {
+        for (let i = 0, l = criteria.criteria.length; i < l; i++) {
+            fieldNames = getCriteriaFieldNames(criteria.criteria[i], fieldNames);
+        }
+    }
+    if (typeof criteria.fieldName === "string") {
+        fieldNames.push(criteria.fieldName);
+    }
+    if (/Field$/i.test(String(criteria.operator)) && typeof criteria.value === "string") {
+        fieldNames.push(criteria.value);
+    }
+    return fieldNames;
+};
+
 /**
  * Ensures that dependencies are loaded correctly.
  * Solves cyclic references loading problem.
@@ -31,6 +31,7 @@ const assert = require("assert");
 
 const BaseResponse = require("../BaseResponse");
 const Const = require("../Const");
+const FileDownload = require("../FileDownload");
 
 /**
  * Response object to be populated by server-side code responding to a DSRequest.
@@ -56,6 +57,7 @@ class DSResponse extends BaseResponse {
         this.endRow = -1;
         this.totalRows = -1;
         this.setParameter(Const.ERRORS, {});
+        this._file = null;
     }
 
     /**
@@ -184,6 +186,33 @@ class DSResponse extends BaseResponse {
         this.setParameter(Const.TOTAL_ROWS, totalRows);
     }
 
+    /**
+     * <code>true</code> if response is fetched in progressive loading mode: total rows is not exact,
+     * but shows that at least <code>totalRows - endRow</code> more rows can be fetched.
+     *
+     * @type {boolean}
+     */
+    get progressiveLoading() {
+        return this.getParameter(Const.PROGRESSIVE_LOADING) === true;
+    }
+    set progressiveLoading(progressiveLoading) {
+        this.setParameter(Const.PROGRESSIVE_LOADING, progressiveLoading === true ? true : null);
+    }
+
+    /**
+     * File sent to client instead of response data (download/view file operations).
+     * File is not part of response object representation.
+     *
+     * @type {FileDownload|null}
+     */
+    get file() {
+        return this._file;
+    }
+    set file(file) {
+        assert.equal(file === null || file instanceof FileDownload, true, "argument 'file' must be instance of FileDownload");
+        this._file = file;
+    }
+
     /**
      * List of validation errors.
      *
@@ -32,8 +32,12 @@ const path = require("path");
 
 const Exception = require("srv-core").Exception;
 const Config = require("srv-config").Config;
+const Util = require("srv-util").Util;
 
+const AsyncUtil = require("../AsyncUtil");
 const Const = require("../Const");
+const DateUtil = require("../DateUtil");
+const FileDownload = require("../FileDownload");
 
 let DSRequest;
 
@@ -55,6 +59,7 @@ class DataSource {
             this.config = {};
         }
         this._dsRequest = null;
+        this._transaction = null;
     }
 
     /**
@@ -86,6 +91,16 @@ class DataSource {
         this._dsRequest = dsRequest;
     }
 
+    /**
+     * Queue transaction joined by this data source.
+     * <code>null</code> if data source manages transactions by itself.
+     *
+     * @type {Object|null}
+     */
+    get transaction() {
+        return this._transaction;
+    }
+
     /**
      * Data source ID (same as name).
      * @type {string}
@@ -109,6 +124,77 @@ class DataSource {
         this.ID = name;
     }
 
+    /**
+     * Operation bindings defined in data source.
+     *
+     * @type {Object[]}
+     */
+    get operationBindings() {
+        if (Array.isArray(this.config[Const.OPERATION_BINDINGS])) {
+            return this.config[Const.OPERATION_BINDINGS];
+        }
+        return [];
+    }
+
+    /**
+     * Returns operation binding for operation.
+     * If operation ID is provided - binding with the same operation type and ID is searched first.
+     * Otherwise (or if it is not found) binding with the same operation type and without operation ID is used.
+     *
+     * @param {string} operationType - Operation type
+     * @param {string|null} [operationId] - Operation ID
+     * @return {Object|null} Operation binding or <code>null</code> if it is not defined
+     */
+    getOperationBinding(operationType, operationId) {
+        const bindings = this.operationBindings;
+        let defaultBinding = null;
+        for (let i = 0, l = bindings.length; i < l; i++) {
+            const binding = bindings[i];
+            if (!binding || binding[Const.OPERATION_TYPE] !== operationType) {
+                continue;
+            }
+            const bindingId = binding[Const.OPERATION_ID];
+            if (operationId && bindingId === operationId) {
+                return binding;
+            }
+            if (!bindingId && !defaultBinding) {
+                defaultBinding = binding;
+            }
+        }
+        return defaultBinding;
+    }
+
+    /**
+     * <code>true</code> if changes (add, update, remove) made through this data source are broadcast
+     * to {@link DataSource#changesChannel} (<code>broadcastChanges</code> configuration property).
+     *
+     * @type {boolean}
+     */
+    get broadcastChanges() {
+        return String(this.config[Const.BROADCAST_CHANGES]) === "true";
+    }
+
+    /**
+     * Messaging channel where changes of this data source are broadcast.
+     *
+     * @type {string}
+     */
+    get changesChannel() {
+        return Const.CHANGES_CHANNEL_PREFIX + this.ID;
+    }
+
+    /**
+     * <code>true</code> if fetch of this data source applies criteria of operation binding
+     * (see {@link DSRequest#operationCriteria}). Fetch with such criteria is rejected by data sources
+     * which do not apply them, so records are never returned unfiltered.
+     * Data source implementing fetch should override it (see {@link DataSource#matchesOperationCriteria}).
+     *
+     * @type {boolean}
+     */
+    get supportsOperationCriteria() {
+        return false;
+    }
+
     /**
      * Fields defined in data source.
      *
@@ -173,6 +259,52 @@ class DataSource {
         return nonPK;
     }
 
+    /**
+     * Returns <code>true</code> if field holds binary data (file).
+     *
+     * @param {Object} field - Field definition
+     * @return {boolean} <code>true</code> if field type is <code>binary</code> or <code>imageFile</code>
+     */
+    isBinaryField(field) {
+        return !!field && (field.type === Const.FIELD_TYPE_BINARY || field.type === Const.FIELD_TYPE_IMAGE_FILE);
+    }
+
+    /**
+     * Checks if value can be written to field.
+     * Binary fields accept only <code>null</code>, <code>Buffer</code> or value of file uploaded with request
+     * (see {@link DataSource#storeUploadedFiles}). Other values sent by client for binary fields
+     * (e.g. file name) are ignored.
+     *
+     * @param {Object} field - Field definition
+     * @param {*} value - Value to write
+     * @return {boolean} <code>true</code> if value can be written
+     */
+    isWritableValue(field, value) {
+        if (!this.isBinaryField(field)) {
+            return true;
+        }
+        if (value === null || Buffer.isBuffer(value)) {
+            return true;
+        }
+        return !!(this.dsRequest && this.dsRequest.getUploadedFile(field.name));
+    }
+
+    /**
+     * Array of binary fields defined in this data source.
+     *
+     * @type {Object[]}
+     */
+    get binaryFields() {
+        const binary = [];
+        const fields = this.fields;
+        for (let i = 0, l = fields.length; i < l; i++) {
+            if (this.isBinaryField(fields[i])) {
+                binary.push(fields[i]);
+            }
+        }
+        return binary;
+    }
+
     /**
      * Array of field names defined in this data source.
      *
@@ -268,6 +400,8 @@ class DataSource {
      * Creates records with DS fields values from provided object.
      * If passed single object - single record is returned.
      * If passed array of objects - array of records is returned.
+     * Fields which can not be viewed by client of current request (see {@link DSRequest#canViewField})
+     * are not included. Values are converted to format of field type (see {@link DataSource#serializeValue}).
      *
      * @param {Object[]|Object|null} records - Records data
      * @return {Object[]|Object|null}
@@ -284,13 +418,16 @@ class DataSource {
             recordList.push(records);
         }
         const ret = [];
-        const fieldNames = this.fieldNames;
+        const dsRequest = this.dsRequest;
+        const fieldNames = this.fieldNames.filter(function(fieldName) {
+            return !dsRequest || dsRequest.canViewField(fieldName);
+        });
         for (let ri = 0, rl = recordList.length; ri < rl; ri++) {
             const record = {};
             for (let i = 0, l = fieldNames.length; i < l; i++) {
                 const fieldName = fieldNames[i];
                 if (recordList[ri] && fieldName in recordList[ri]) {
-                    record[fieldName] = recordList[ri][fieldName];
+                    record[fieldName] = this.serializeValue(this.getField(fieldName), recordList[ri][fieldName]);
                 } else {
                     record[fieldName] = null;
                 }
@@ -304,14 +441,192 @@ class DataSource {
         }
     }
 
+    /**
+     * Converts value received from client to type of field.
+     * Values which can not be converted (e.g. not a number for integer field) are returned as is
+     * and are reported by validation (see {@link Validator}).
+     * <ul>
+     * <li><code>integer</code>, <code>sequence</code> - number</li>
+     * <li><code>float</code> - number</li>
+     * <li><code>decimal</code> - string (e.g. <code>"12.50"</code>), so value is never rounded to
+     *      floating point number</li>
+     * <li><code>boolean</code> - <code>true</code> or <code>false</code></li>
+     * <li><code>date</code> - string <code>YYYY-MM-DD</code> (logical date, see {@link DateUtil.parseDate})</li>
+     * <li><code>datetime</code> - <code>Date</code> (value without time zone is in server time zone,
+     *      see {@link DateUtil.parseDateTime})</li>
+     * <li><code>time</code> - string <code>HH:MM:SS</code> (logical time, see {@link DateUtil.parseTime})</li>
+     * <li><code>text</code> - string</li>
+     * </ul>
+     * Empty string is converted to <code>null</code> for non-text fields. Arrays are converted item by item.
+     *
+     * @param {Object} field - Field definition
+     * @param {*} value - Value
+     * @return {*} Converted value
+     */
+    coerceValue(field, value) {
+        if (Array.isArray(value)) {
+            const self = this;
+            return value.map(function(item) {
+                return self.coerceValue(field, item);
+            });
+        }
+        if (value === undefined || value === null || !field) {
+            return value;
+        }
+        switch (field.type) {
+            case Const.FIELD_TYPE_INTEGER:
+            case Const.FIELD_TYPE_SEQUENCE:
+                if (typeof value === "string") {
+                    return value.trim() === "" ? null : (/^\s*[+-]?\d+\s*$/.test(value) ? toNumber(value) : value);
+                }
+                return value;
+            case Const.FIELD_TYPE_FLOAT:
+                if (typeof value === "string") {
+                    return value.trim() === "" ? null : (isNaN(Number(value)) ? value : Number(value));
+                }
+                return value;
+            case Const.FIELD_TYPE_DECIMAL:
+                if (typeof value === "string" && value.trim() === "") {
+                    return null;
+                }
+                return toDecimal(value);
+            case Const.FIELD_TYPE_BOOLEAN:
+                if (value === "") {
+                    return null;
+                }
+                return toBoolean(value);
+            case Const.FIELD_TYPE_DATE:
+                if (value === "") {
+                    return null;
+                }
+                return orValue(DateUtil.parseDate(value), value);
+            case Const.FIELD_TYPE_DATETIME:
+                if (value === "") {
+                    return null;
+                }
+                return orValue(DateUtil.parseDateTime(value), value);
+            case Const.FIELD_TYPE_TIME:
+                if (value === "") {
+                    return null;
+                }
+                return orValue(DateUtil.parseTime(value), value);
+            case Const.FIELD_TYPE_TEXT:
+                return (typeof value === "number" || typeof value === "boolean") ? String(value) : value;
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Converts values received from client to types of fields (see {@link DataSource#coerceValue}).
+     * Values of unknown fields are not changed.
+     *
+     * @param {Object} values - Values
+     * @return {Object} Converted values (the same object)
+     */
+    coerceValues(values) {
+        if (!values || typeof values !== "object" || Array.isArray(values)) {
+            return values;
+        }
+        for (let key in values) {
+            const field = this.getField(key);
+            if (field && !this.isBinaryField(field)) {
+                values[key] = this.coerceValue(field, values[key]);
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Converts criteria values received from client to types of fields (see {@link DataSource#coerceValue}).
+     * Values of advanced criteria are converted unless operator compares fields or uses pattern.
+     *
+     * @param {Object} criteria - Simple or advanced criteria
+     * @return {Object} Converted criteria (the same object)
+     */
+    coerceCriteria(criteria) {
+        if (!criteria || typeof criteria !== "object" || Array.isArray(criteria)) {
+            return criteria;
+        }
+        if (criteria._constructor !== Const.ADVANCED_CRITERIA && criteria.operator === undefined) {
+            return this.coerceValues(criteria);
+        }
+        if (Array.isArray(criteria.criteria)) {
+            for (let i = 0, l = criteria.criteria.length; i < l; i++) {
+                this.coerceCriteria(criteria.criteria[i]);
+            }
+        }
+        const field = typeof criteria.fieldName === "string" ? this.getField(criteria.fieldName) : null;
+        if (field && !this.isBinaryField(field) && !/(Field|Pattern|regexp)$/i.test(String(criteria.operator))) {
+            const keys = ["value", "start", "end"];
+            for (let i = 0; i < keys.length; i++) {
+                if (keys[i] in criteria) {
+                    criteria[keys[i]] = this.coerceValue(field, criteria[keys[i]]);
+                }
+            }
+        }
+        return criteria;
+    }
+
+    /**
+     * Converts value of field returned by data source (e.g. read from data base) to format
+     * parsed by client for field type:
+     * <ul>
+     * <li><code>integer</code>, <code>sequence</code>, <code>float</code> - number
+     *      (integers outside of safe range are returned as strings)</li>
+     * <li><code>decimal</code> - string (e.g. <code>"12.50"</code>), so value is never rounded to
+     *      floating point number</li>
+     * <li><code>boolean</code> - <code>true</code> or <code>false</code></li>
+     * <li><code>date</code> - string <code>YYYY-MM-DD</code></li>
+     * <li><code>datetime</code> - ISO 8601 string <code>YYYY-MM-DDTHH:MM:SS.sssZ</code></li>
+     * <li><code>time</code> - string <code>HH:MM:SS</code></li>
+     * <li><code>text</code> - string</li>
+     * </ul>
+     * Values which can not be converted are returned as is.
+     *
+     * @param {Object} field - Field definition
+     * @param {*} value - Value
+     * @return {*} Serialized value
+     */
+    serializeValue(field, value) {
+        if (value === undefined || value === null || !field) {
+            return value;
+        }
+        switch (field.type) {
+            case Const.FIELD_TYPE_INTEGER:
+            case Const.FIELD_TYPE_SEQUENCE:
+            case Const.FIELD_TYPE_FLOAT:
+                return typeof value === "string" && value.trim() !== "" ? toNumber(value) : value;
+            case Const.FIELD_TYPE_DECIMAL:
+                return toDecimal(value);
+            case Const.FIELD_TYPE_BOOLEAN:
+                return toBoolean(value);
+            case Const.FIELD_TYPE_DATE:
+                return orValue(DateUtil.parseDate(value), value);
+            case Const.FIELD_TYPE_DATETIME: {
+                const date = DateUtil.parseDateTime(value);
+                return date ? date.toISOString() : value;
+            }
+            case Const.FIELD_TYPE_TIME:
+                return orValue(DateUtil.parseTime(value), value);
+            case Const.FIELD_TYPE_TEXT:
+                return (typeof value === "number" || typeof value === "boolean") ? String(value) : value;
+            default:
+                return value;
+        }
+    }
+
     /**
      * Initializes data source with provided DS request.
      * <code>dsRequest</code> parameter value should be saved to <code>this.dsRequest</code>.
      *
      * @param {DSRequest} dsRequest - Data source request
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     init(dsRequest, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DataSource.prototype.init, this, dsRequest);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
         this.dsRequest = dsRequest;
         return callback();
@@ -320,9 +635,12 @@ class DataSource {
     /**
      * Starts transaction. Should be overridden if data source uses transactions.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     startTransaction(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DataSource.prototype.startTransaction, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
         return callback();
     }
@@ -331,36 +649,164 @@ class DataSource {
      * Executes DS request. This method acts as a dispatcher and calls appropriate operation method.
      * Can be overridden with caution - only this method is executed by {@link DSRequest}.
      * Operation methods (executeFetch, executeAdd etc.) are exectuted from this method only.
+     * Operation methods can call provided callback or return Promise (be implemented as async functions).
+     * Before add and update operations uploaded files are stored (see {@link DataSource#storeUploadedFiles}).
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     execute(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DataSource.prototype.execute, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
         if (!this.dsRequest.operationType) {
-            callback(new Exception("Opertaion type is not specified"));
+            return callback(new Exception("Opertaion type is not specified"));
+        }
+        if (Const.OPERATION_TYPE_FETCH === this.dsRequest.operationType && this.dsRequest.operationCriteria
+                && !this.supportsOperationCriteria) {
+            return callback(new Exception("Data source '" + this.ID + "' does not support criteria of operation binding"));
+        }
+        if (Const.OPERATION_TYPE_ADD === this.dsRequest.operationType
+                || Const.OPERATION_TYPE_UPDATE === this.dsRequest.operationType) {
+            const self = this;
+            return this.storeUploadedFiles(function(err) {
+                if (err) {
+                    return callback(err);
+                }
+                return self._dispatch(callback);
+            });
+        }
+        return this._dispatch(callback);
+    }
+
+    /**
+     * Checks if record matches criteria of operation binding (see {@link DSRequest#operationCriteria}).
+     * Values are compared exactly after conversion to field type (see {@link DataSource#serializeValue}),
+     * <code>null</code> matches missing value. Records of fetch executed in memory should be filtered with it.
+     *
+     * @param {Object} record - Record
+     * @return {boolean} <code>true</code> if record matches or there are no operation criteria
+     */
+    matchesOperationCriteria(record) {
+        const operationCriteria = this.dsRequest ? this.dsRequest.operationCriteria : null;
+        for (let key in operationCriteria) {
+            const field = this.getField(key);
+            const expected = this.serializeValue(field, operationCriteria[key]);
+            const actual = this.serializeValue(field, record ? record[key] : undefined);
+            if (expected === undefined || expected === null) {
+                if (actual !== undefined && actual !== null) {
+                    return false;
+                }
+            } else if (actual === undefined || actual === null || String(actual) !== String(expected)) {
+                return false;
+            }
         }
+        return true;
+    }
+
+    /**
+     * Internal method calling operation method for request operation type.
+     *
+     * @param {function} callback - Callback executed when finished
+     */
+    _dispatch(callback) {
+        // Operation methods can be implemented either with callback or as async functions
         if (Const.OPERATION_TYPE_FETCH === this.dsRequest.operationType) {
-            this.executeFetch(callback);
+            AsyncUtil.invoke(this.executeFetch, this, [], callback);
         } else if (Const.OPERATION_TYPE_ADD === this.dsRequest.operationType) {
-            this.executeAdd(callback);
+            AsyncUtil.invoke(this.executeAdd, this, [], callback);
         } else if (Const.OPERATION_TYPE_REMOVE === this.dsRequest.operationType) {
-            this.executeRemove(callback);
+            AsyncUtil.invoke(this.executeRemove, this, [], callback);
         } else if (Const.OPERATION_TYPE_UPDATE === this.dsRequest.operationType) {
-            this.executeUpdate(callback);
+            AsyncUtil.invoke(this.executeUpdate, this, [], callback);
         } else if (Const.OPERATION_TYPE_CUSTOM === this.dsRequest.operationType) {
-            this.executeCustom(callback);
+            AsyncUtil.invoke(this.executeCustom, this, [], callback);
+        } else if (this.dsRequest.isDownload) {
+            AsyncUtil.invoke(this.executeDownload, this, [], callback);
         } else {
             callback(new Exception("Opertaion type '" + this.dsRequest.operationType + "' is not supported"));
         }
     }
 
+    /**
+     * Stores files uploaded for binary fields of add/update request.
+     * For each binary field with uploaded file (see {@link DSRequest#getUploadedFile}) sets request values:
+     * field value (returned by {@link DataSource#storeUploadedFile}) and companion fields
+     * <code>&lt;field&gt;_filename</code>, <code>&lt;field&gt;_filesize</code>, <code>&lt;field&gt;_mimetype</code> and
+     * <code>&lt;field&gt;_date_created</code>. Companion values are stored only if such fields are defined in data source.
+     * This method is called from {@link DataSource#execute} before operation method.
+     *
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    storeUploadedFiles(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DataSource.prototype.storeUploadedFiles, this);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        const self = this;
+        const uploads = [];
+        const binaryFields = this.binaryFields;
+        for (let i = 0, l = binaryFields.length; i < l; i++) {
+            const file = this.dsRequest.getUploadedFile(binaryFields[i].name);
+            if (file) {
+                uploads.push({field: binaryFields[i], file: file});
+            }
+        }
+        if (uploads.length < 1) {
+            return callback();
+        }
+        if (typeof this.dsRequest.values !== "object" || this.dsRequest.values === null) {
+            this.dsRequest.values = {};
+        }
+        const values = this.dsRequest.values;
+        Util.arrayExecutor(uploads, true, function(index, upload, cb) {
+            AsyncUtil.invoke(self.storeUploadedFile, self, [upload.field, upload.file], function(err, value) {
+                if (err) {
+                    return cb(err);
+                }
+                const name = upload.field.name;
+                values[name] = value;
+                values[name + Const.FILE_NAME_SUFFIX] = upload.file.fileName;
+                values[name + Const.FILE_SIZE_SUFFIX] = upload.file.size;
+                values[name + Const.FILE_MIME_TYPE_SUFFIX] = upload.file.mimeType || FileDownload.getMimeType(upload.file.fileName);
+                values[name + Const.FILE_DATE_CREATED_SUFFIX] = new Date();
+                return cb();
+            });
+        }, function(err) {
+            if (err) {
+                return callback(new Exception("Failed to store uploaded files", err));
+            }
+            return callback();
+        });
+    }
+
+    /**
+     * Stores uploaded file for binary field.
+     * Callback receives value which should be saved to field.
+     * Default implementation returns file content (<code>Buffer</code>).
+     *
+     * @param {Object} field - Binary field definition
+     * @param {UploadedFile} file - Uploaded file
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    storeUploadedFile(field, file, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DataSource.prototype.storeUploadedFile, this, field, file);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        return file.getContent(callback);
+    }
+
     /**
      * Executes DS request fetch.
      * Should fetch and return records from underlying source.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     executeFetch(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DataSource.prototype.executeFetch, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
         return callback(new Exception("Opertaion type '" + this.dsRequest.operationType + "' is not implemented"));
     }
@@ -369,9 +815,12 @@ class DataSource {
      * Executes DS request add.
      * Should add specified records to underlying source.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     executeAdd(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DataSource.prototype.executeAdd, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
         return callback(new Exception("Opertaion type '" + this.dsRequest.operationType + "' is not implemented"));
     }
@@ -380,9 +829,12 @@ class DataSource {
      * Executes DS request remove.
      * Should remove specified records from underlying source.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     executeRemove(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DataSource.prototype.executeRemove, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
         return callback(new Exception("Opertaion type '" + this.dsRequest.operationType + "' is not implemented"));
     }
@@ -391,9 +843,12 @@ class DataSource {
      * Executes DS request update.
      * Should update specified records in underlying source.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     executeUpdate(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DataSource.prototype.executeUpdate, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
         return callback(new Exception("Opertaion type '" + this.dsRequest.operationType + "' is not implemented"));
     }
@@ -402,19 +857,94 @@ class DataSource {
      * Executes DS request custom.
      * Custom functionality.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     executeCustom(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DataSource.prototype.executeCustom, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
         return callback(new Exception("Opertaion type '" + this.dsRequest.operationType + "' is not implemented"));
     }
 
+    /**
+     * Executes DS request download file or view file.
+     * Should find record by primary key in criteria and return response with record as data and
+     * binary field content in {@link DSResponse#file} (see {@link DataSource#getDownloadField}).
+     *
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    executeDownload(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DataSource.prototype.executeDownload, this);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        return callback(new Exception("Opertaion type '" + this.dsRequest.operationType + "' is not implemented"));
+    }
+
+    /**
+     * Returns binary field which content is downloaded by download/view file request.
+     * Field is specified by {@link DSRequest#downloadFieldName}, first binary field is used if not specified.
+     *
+     * @return {Object} Binary field definition
+     * @throws {Exception} When field is not found or is not binary
+     */
+    getDownloadField() {
+        const fieldName = this.dsRequest.downloadFieldName;
+        let field;
+        if (fieldName) {
+            field = this.getField(fieldName);
+        } else {
+            field = this.binaryFields[0];
+        }
+        if (!this.isBinaryField(field)) {
+            throw new Exception("Binary field " + (fieldName ? "'" + fieldName + "' " : "") +
+                "is not defined in data source '" + this.ID + "'");
+        }
+        return field;
+    }
+
+    /**
+     * Returns download file name of binary field value stored in record.
+     * File name is taken from companion field <code>&lt;field&gt;_filename</code>, field name is used if it is empty.
+     *
+     * @param {Object} record - Record
+     * @param {Object} field - Binary field definition
+     * @return {string} File name
+     */
+    getDownloadFileName(record, field) {
+        const fileName = record ? record[field.name + Const.FILE_NAME_SUFFIX] : null;
+        if (typeof fileName === "string" && fileName !== "") {
+            return fileName;
+        }
+        return field.name;
+    }
+
+    /**
+     * Returns download MIME type of binary field value stored in record.
+     * MIME type is taken from companion field <code>&lt;field&gt;_mimetype</code> saved when file was uploaded.
+     *
+     * @param {Object} record - Record
+     * @param {Object} field - Binary field definition
+     * @return {string|null} MIME type or <code>null</code> if it is not stored (detected from file name then)
+     */
+    getDownloadMimeType(record, field) {
+        const mimeType = record ? record[field.name + Const.FILE_MIME_TYPE_SUFFIX] : null;
+        if (typeof mimeType === "string" && mimeType !== "") {
+            return mimeType;
+        }
+        return null;
+    }
+
     /**
      * Commits transaction. Should be overridden if data source uses transactions.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     commit(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DataSource.prototype.commit, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
         return callback();
     }
@@ -422,9 +952,12 @@ class DataSource {
     /**
      * Rolls back transaction. Should be overridden if data source uses transactions.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     rollback(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DataSource.prototype.rollback, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
         return callback();
     }
@@ -432,15 +965,82 @@ class DataSource {
     /**
      * Frees resources tied up by this data source.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     freeResources(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DataSource.prototype.freeResources, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
         return callback();
     }
 
 }
 
+/**
+ * Converts numeric string to number.
+ * Integers outside of safe range are returned as strings to keep precision.
+ *
+ * @param {string} value - Value
+ * @return {number|string} Number or original value if it is not a number
+ */
+const toNumber = function(value) {
+    const number = Number(value);
+    if (isNaN(number) || (Number.isInteger(number) && !Number.isSafeInteger(number))) {
+        return value;
+    }
+    return number;
+};
+
+/**
+ * Converts decimal value to string, so all values of decimal field have the same type and keep
+ * their precision (e.g. <code>12345678901234567.89</code>).
+ *
+ * @param {*} value - Value
+ * @return {*} Decimal string or original value if it is not a number
+ */
+const toDecimal = function(value) {
+    if (typeof value === "number") {
+        return isFinite(value) ? String(value) : value;
+    }
+    if (typeof value === "string" && /^\s*[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?\s*$/.test(value)) {
+        return value.trim();
+    }
+    return value;
+};
+
+/**
+ * Converts boolean representation (<code>"true"</code>, <code>"false"</code>, <code>1</code>, <code>0</code>,
+ * <code>"t"</code>, <code>"f"</code>...) to boolean.
+ *
+ * @param {*} value - Value
+ * @return {boolean|*} Boolean or original value if it is not recognized
+ */
+const toBoolean = function(value) {
+    if (typeof value === "boolean") {
+        return value;
+    }
+    const text = String(value).trim().toLowerCase();
+    if (["true", "t", "1", "yes", "y"].indexOf(text) >= 0) {
+        return true;
+    }
+    if (["false", "f", "0", "no", "n"].indexOf(text) >= 0) {
+        return false;
+    }
+    return value;
+};
+
+/**
+ * Returns converted value or original value if it could not be converted.
+ *
+ * @param {*} converted - Converted value or <code>null</code>
+ * @param {*} value - Original value
+ * @return {*} Value
+ */
+const orValue = function(converted, value) {
+    return converted === null ? value : converted;
+};
+
 /**
  * Ensures that dependencies are loaded correctly.
  * Solves cyclic references loading problem.
@@ -74,6 +74,33 @@ class DataSourceFactory extends ResourceFactory {
         return _log;
     }
 
+    /**
+     * Path of XML configuration file of data source.
+     *
+     * @type {string}
+     */
+    get xmlFileName() {
+        return path.join(process.cwd(), this._path, this._dsName + Const.XML_DATA_SOURCE_FILE_EXTENTION);
+    }
+
+    /**
+     * Path of JSON configuration file of data source.
+     *
+     * @type {string}
+     */
+    get jsFileName() {
+        return path.join(process.cwd(), this._path, this._dsName + Const.JS_DATA_SOURCE_FILE_EXTENTION);
+    }
+
+    /**
+     * <code>true</code> if configuration file of data source exists.
+     *
+     * @type {boolean}
+     */
+    get isConfigured() {
+        return fs.existsSync(this.xmlFileName) || fs.existsSync(this.jsFileName);
+    }
+
     /**
      * Returns <code>Promise</code> which resolves with newly created data source
      * or is rejected with data source creation error.
@@ -83,8 +110,8 @@ class DataSourceFactory extends ResourceFactory {
     create() {
         const self = this;
         return new Promise(function(resolve, reject) {
-            const xmlFileName = path.join(process.cwd(), self._path, self._dsName + Const.XML_DATA_SOURCE_FILE_EXTENTION);
-            const jsFileName = path.join(process.cwd(), self._path, self._dsName + Const.JS_DATA_SOURCE_FILE_EXTENTION);
+            const xmlFileName = self.xmlFileName;
+            const jsFileName = self.jsFileName;
             if (fs.existsSync(xmlFileName)) {
                 XMLUtil.readXMLFile(xmlFileName, function(err, config) {
                     if (err) {
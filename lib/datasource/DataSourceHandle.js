@@ -0,0 +1,414 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const assert = require("assert");
+
+const Exception = require("srv-core").Exception;
+const Log = require("srv-log").Log;
+
+const AsyncUtil = require("../AsyncUtil");
+const Const = require("../Const");
+
+let RPCManager;
+let DSRequest;
+let DSResponse;
+
+/**
+ * High level API for executing data source operations from server code.
+ * Each call creates {@link DSRequest}, initializes and executes it and frees its resources,
+ * so data source is acquired from and released to {@link DataSourcePool} automatically.
+ * <br/>
+ * Without {@link RPCManager} every operation is executed in its own transaction.
+ * If handle is created with {@link RPCManager} (e.g. from server object) operations join
+ * transaction of that RPCManager queue and their failure rolls back that transaction (see
+ * {@link RPCManager#setTransactionFailed}). Operations executed after queue transactions are finished
+ * (e.g. by interceptors after queue) are executed in their own transactions.
+ * <br/>
+ * All methods accept optional callback and return Promise if callback is not provided.
+ * Callback receives plain records (see each method) or {@link DSResponse} if option
+ * <code>returnResponse</code> is set. Response with failure status is returned as error
+ * unless option <code>returnResponse</code> is set.
+ *
+ * @example
+ * const orders = await DataSourcePool.get("orders").fetch({status: "open"}, {sortBy: ["-date"], startRow: 0, endRow: 50});
+ */
+class DataSourceHandle {
+
+    /**
+     * Creates data source handle. Use {@link DataSourcePool.get} instead of calling constructor directly.
+     *
+     * @param {string} dsName - Name of data source
+     * @param {RPCManager} [rpcManager] - RPC manager which transaction operations should join
+     */
+    constructor(dsName, rpcManager) {
+        ensureDependencies();
+        assert.equal(typeof dsName, "string", "argument 'dsName' must be string");
+        if (rpcManager) {
+            assert.equal(rpcManager instanceof RPCManager, true, "argument 'rpcManager' must be instance of RPCManager");
+        }
+        this._dataSourceName = dsName;
+        this._rpcManager = rpcManager || null;
+    }
+
+    // Class logger
+    get log() {
+        return _log;
+    }
+
+    /**
+     * Data source name.
+     *
+     * @type {string}
+     */
+    get dataSourceName() {
+        return this._dataSourceName;
+    }
+
+    /**
+     * RPC manager which transaction operations join or <code>null</code>.
+     *
+     * @type {RPCManager|null}
+     */
+    get rpcManager() {
+        return this._rpcManager;
+    }
+
+    /**
+     * Fetches records matching criteria.
+     * Callback receives array of records.
+     *
+     * @param {Object} [criteria] - Simple or advanced criteria
+     * @param {Object} [options] - Request options: <code>sortBy</code>, <code>startRow</code>,
+     *      <code>endRow</code>, <code>textMatchStyle</code> (defaults to <code>exact</code>),
+     *      <code>operationId</code>, <code>ignoreOperationBinding</code> (see {@link DSRequest#ignoreOperationBinding}),
+     *      <code>returnResponse</code>
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    fetch(criteria, options, callback) {
+        if (typeof criteria === "function") {
+            callback = criteria;
+            criteria = null;
+            options = null;
+        } else if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
+        if (!callback) {
+            return AsyncUtil.toPromise(DataSourceHandle.prototype.fetch, this, criteria || null, options || null);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        options = options || {};
+        const data = {};
+        data[Const.CRITERIA] = criteria || {};
+        if (options[Const.SORT_BY]) {
+            data[Const.SORT_BY] = Array.isArray(options[Const.SORT_BY]) ? options[Const.SORT_BY] : [options[Const.SORT_BY]];
+        }
+        if (typeof options[Const.START_ROW] === "number") {
+            data[Const.START_ROW] = options[Const.START_ROW];
+        }
+        if (typeof options[Const.END_ROW] === "number") {
+            data[Const.END_ROW] = options[Const.END_ROW];
+        }
+        return this._execute(Const.OPERATION_TYPE_FETCH, data, options, null, function(err, response) {
+            if (err || options.returnResponse) {
+                return callback(err, response);
+            }
+            return callback(null, toArray(response.data));
+        });
+    }
+
+    /**
+     * Fetches single record by primary key.
+     * Callback receives record or <code>null</code> if record is not found.
+     *
+     * @param {*} id - Primary key value or object with values of all primary key fields
+     * @param {Object} [options] - Request options: <code>operationId</code>, <code>returnResponse</code>
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    fetchById(id, options, callback) {
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
+        if (!callback) {
+            return AsyncUtil.toPromise(DataSourceHandle.prototype.fetchById, this, id, options || null);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        assert.equal(id !== undefined && id !== null, true, "argument 'id' must be specified");
+        options = options || {};
+        const data = {};
+        // Criteria is built when data source (and its primary key) is known
+        const prepare = function(request) {
+            request.criteria = toPKValue(request.dataSource, id);
+        };
+        return this._execute(Const.OPERATION_TYPE_FETCH, data, options, prepare, function(err, response) {
+            if (err || options.returnResponse) {
+                return callback(err, response);
+            }
+            const records = toArray(response.data);
+            return callback(null, records.length > 0 ? records[0] : null);
+        });
+    }
+
+    /**
+     * Adds record.
+     * Callback receives added record as stored in data source (with generated values).
+     *
+     * @param {Object} values - Record values
+     * @param {Object} [options] - Request options: <code>uploadedFiles</code> ({@link UploadedFile} array),
+     *      <code>operationId</code>, <code>returnResponse</code>
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    add(values, options, callback) {
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
+        if (!callback) {
+            return AsyncUtil.toPromise(DataSourceHandle.prototype.add, this, values, options || null);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        assert.equal(typeof values === "object" && values !== null, true, "argument 'values' must be object");
+        options = options || {};
+        const data = {};
+        data[Const.VALUES] = Object.assign({}, values);
+        return this._execute(Const.OPERATION_TYPE_ADD, data, options, null, function(err, response) {
+            if (err || options.returnResponse) {
+                return callback(err, response);
+            }
+            return callback(null, toRecord(response.data));
+        });
+    }
+
+    /**
+     * Updates record. Record is identified by primary key values in <code>values</code>.
+     * Callback receives updated record.
+     *
+     * @param {Object} values - Record values including primary key
+     * @param {Object} [options] - Request options: <code>oldValues</code>, <code>uploadedFiles</code>
+     *      ({@link UploadedFile} array), <code>operationId</code>, <code>returnResponse</code>
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    update(values, options, callback) {
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
+        if (!callback) {
+            return AsyncUtil.toPromise(DataSourceHandle.prototype.update, this, values, options || null);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        assert.equal(typeof values === "object" && values !== null, true, "argument 'values' must be object");
+        options = options || {};
+        const data = {};
+        data[Const.VALUES] = Object.assign({}, values);
+        if (options[Const.OLD_VALUES]) {
+            data[Const.OLD_VALUES] = options[Const.OLD_VALUES];
+        }
+        const prepare = function(request) {
+            request.criteria = toPKValue(request.dataSource, values);
+        };
+        return this._execute(Const.OPERATION_TYPE_UPDATE, data, options, prepare, function(err, response) {
+            if (err || options.returnResponse) {
+                return callback(err, response);
+            }
+            return callback(null, toRecord(response.data));
+        });
+    }
+
+    /**
+     * Removes record.
+     * Callback receives primary key of removed record.
+     *
+     * @param {*} id - Primary key value or object with values of all primary key fields (e.g. record)
+     * @param {Object} [options] - Request options: <code>operationId</code>, <code>returnResponse</code>
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    remove(id, options, callback) {
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
+        if (!callback) {
+            return AsyncUtil.toPromise(DataSourceHandle.prototype.remove, this, id, options || null);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        assert.equal(id !== undefined && id !== null, true, "argument 'id' must be specified");
+        options = options || {};
+        const data = {};
+        const prepare = function(request) {
+            request.criteria = toPKValue(request.dataSource, id);
+        };
+        return this._execute(Const.OPERATION_TYPE_REMOVE, data, options, prepare, function(err, response) {
+            if (err || options.returnResponse) {
+                return callback(err, response);
+            }
+            return callback(null, toRecord(response.data));
+        });
+    }
+
+    /**
+     * Internal method for executing operation.
+     * Acquires and initializes data source, executes request and frees its resources.
+     *
+     * @param {string} operationType - Operation type
+     * @param {Object} data - Request data without operation config
+     * @param {Object} options - Request options
+     * @param {function|null} prepare - Function called with initialized request before execution
+     * @param {function} callback - Callback executed when finished
+     */
+    _execute(operationType, data, options, prepare, callback) {
+        const self = this;
+        const operationConfig = {};
+        operationConfig[Const.DATA_SOURCE_NAME] = this.dataSourceName;
+        operationConfig[Const.OPERATION_TYPE] = operationType;
+        // Unlike client requests, server side requests match criteria exactly by default
+        operationConfig[Const.TEXT_MATCH_STYLE] = options[Const.TEXT_MATCH_STYLE] || Const.TEXT_MATCH_STYLE_EXACT;
+        data[Const.OPERATION_CONFIG] = operationConfig;
+        if (options[Const.OPERATION_ID]) {
+            data[Const.OPERATION_ID] = options[Const.OPERATION_ID];
+        }
+        const request = this.rpcManager ? new DSRequest(this.rpcManager, data) : new DSRequest(data);
+        // Server side requests are trusted - declarative security is not enforced
+        request.clientRequest = false;
+        request.ignoreOperationBinding = !!options.ignoreOperationBinding;
+        // Files uploaded with HTTP request belong to client operations only
+        request.uploadedFiles = Array.isArray(options.uploadedFiles) ? options.uploadedFiles : [];
+        if (this.rpcManager && this.rpcManager.transactionsEnded) {
+            request.joinTransaction = false;
+        }
+        this.log.debug("Executing '" + operationType + "' on data source '" + this.dataSourceName + "'");
+        const finish = function(err, response) {
+            const failed = !!err || (response instanceof DSResponse && response.status < 0);
+            if (failed && request.inTransaction) {
+                // Partial work of queue transaction must not be committed
+                self.rpcManager.setTransactionFailed();
+            }
+            request.freeResources(function(errFree) {
+                if (errFree) {
+                    // Failed to free resources - log it and continue
+                    self.log.error({err: new Exception("Failed to free resources", errFree)});
+                }
+                if (err) {
+                    return callback(err);
+                }
+                if (!(response instanceof DSResponse)) {
+                    response = new DSResponse(Const.STATUS_SUCCESS, response);
+                }
+                if (response.status < 0 && !options.returnResponse) {
+                    const message = "Failed to execute '" + operationType + "' on data source '" + self.dataSourceName + "'";
+                    if (response.data instanceof Error) {
+                        return callback(new Exception(message, response.data));
+                    }
+                    return callback(new Exception(message + (response.data ? ": " + response.data : "")));
+                }
+                return callback(null, response);
+            });
+        };
+        request.init(function(err) {
+            if (err) {
+                return finish(new Exception("Failed to initialize request to data source '" + self.dataSourceName + "'", err));
+            }
+            if (prepare) {
+                try {
+                    prepare(request);
+                } catch (err) {
+                    return finish(err);
+                }
+            }
+            return request.execute(finish);
+        });
+    }
+
+}
+
+/**
+ * Builds primary key criteria.
+ *
+ * @param {DataSource} dataSource - Data source
+ * @param {*} id - Primary key value or object with primary key values
+ * @return {Object} Primary key criteria
+ */
+const toPKValue = function(dataSource, id) {
+    if (typeof id === "object" && id !== null) {
+        return dataSource.getPKValue(id);
+    }
+    const pkFieldNames = dataSource.pkFieldNames;
+    if (pkFieldNames.length !== 1) {
+        throw new Exception("Data source '" + dataSource.ID + "' must have single primary key field to use plain primary key value");
+    }
+    const pkValue = {};
+    pkValue[pkFieldNames[0]] = id;
+    return pkValue;
+};
+
+/**
+ * Converts response data to records array.
+ *
+ * @param {*} data - Response data
+ * @return {Array} Records
+ */
+const toArray = function(data) {
+    if (data === undefined || data === null) {
+        return [];
+    }
+    return Array.isArray(data) ? data : [data];
+};
+
+/**
+ * Converts response data to single record.
+ *
+ * @param {*} data - Response data
+ * @return {Object|null} Record
+ */
+const toRecord = function(data) {
+    const records = toArray(data);
+    return records.length > 0 ? records[0] : null;
+};
+
+/**
+ * Ensures that dependencies are loaded correctly.
+ * Solves cyclic references loading problem.
+ */
+const ensureDependencies = function() {
+    if (typeof RPCManager !== "function") {
+        RPCManager = require("../RPCManager");
+    }
+    if (typeof DSRequest !== "function") {
+        DSRequest = require("./DSRequest");
+    }
+    if (typeof DSResponse !== "function") {
+        DSResponse = require("./DSResponse");
+    }
+};
+
+// Static value for DataSourceHandle.log
+const _log = new Log(DataSourceHandle);
+
+module.exports = DataSourceHandle;
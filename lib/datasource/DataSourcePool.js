@@ -35,8 +35,10 @@ const ResourceFactory = require("srv-core").ResourceFactory;
 const Config = require("srv-config").Config;
 const Log = require("srv-log").Log;
 
+const AsyncUtil = require("../AsyncUtil");
 const DataSourceFactory = require("./DataSourceFactory");
 const DataSource = require("./DataSource");
+const DataSourceHandle = require("./DataSourceHandle");
 
 // Holds static pools for data sources
 let pools = {};
@@ -65,13 +67,46 @@ class DataSourcePool {
         return dataSourceConfig;
     }
 
+    /**
+     * Returns handle for executing operations on data source from server code.
+     * Handle acquires and releases data sources from this pool automatically.
+     *
+     * @param {string} dsName - Name of data source
+     * @param {RPCManager} [rpcManager] - RPC manager which queue transaction operations should join
+     * @return {DataSourceHandle} Data source handle
+     */
+    static get(dsName, rpcManager) {
+        return new DataSourceHandle(dsName, rpcManager);
+    }
+
+    /**
+     * Returns <code>true</code> if data source is configured.
+     *
+     * @param {string} dsName - Name of data source
+     * @return {boolean}
+     */
+    static isDefined(dsName) {
+        assert.equal(typeof dsName, "string", "argument 'dsName' must be string");
+        if (pools[dsName]) {
+            return true;
+        }
+        try {
+            return new DataSourceFactory(dsName).isConfigured;
+        } catch (err) {
+            return false;
+        }
+    }
+
     /**
      * Acquires data source.
      *
      * @param {string} dsName - Name of data source to acquire
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     static acquire(dsName, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DataSourcePool.acquire, DataSourcePool, dsName);
+        }
         assert.equal(typeof dsName, "string", "argument 'dsName' must be string");
         assert.equal(typeof callback, "function", "argument 'callback' must be a function");
         DataSourcePool.log.debug("Acquiring data source '" + dsName + "'");
@@ -96,9 +131,12 @@ class DataSourcePool {
      *
      * @param {string} dbName - Name of data source to be released
      * @param {*} dataSource - Data source beeing released
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     static release(dsName, dataSource, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(DataSourcePool.release, DataSourcePool, dsName, dataSource);
+        }
         assert.equal(typeof dsName, "string", "argument 'dsName' must be string");
         assert(dataSource instanceof DataSource, true, "argument 'dataSource' should be an instance of DataSource");
         assert.equal(typeof callback, "function", "argument 'callback' must be a function");
@@ -107,7 +145,7 @@ class DataSourcePool {
         if (!pool) {
             return callback(new Exception("Pool for '" + dsName + "' is not initialized"));
         }
-        return dataSource.freeResources(function(err) {
+        return AsyncUtil.invoke(dataSource.freeResources, dataSource, [], function(err) {
             pool.release(dataSource).then(function() {
                 return callback(err);
             }, function(e) {
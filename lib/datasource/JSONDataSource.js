@@ -28,6 +28,7 @@
 "use strict";
 
 const assert = require("assert");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 
@@ -36,8 +37,10 @@ const Config = require("srv-config").Config;
 const Log = require("srv-log").Log;
 const Util = require("srv-util").Util;
 
+const AsyncUtil = require("../AsyncUtil");
 const DataSource = require("./DataSource");
 const Const = require("../Const");
+const FileDownload = require("../FileDownload");
 
 let BaseRequest;
 let DSRequest;
@@ -47,6 +50,8 @@ let DSResponse;
  * Data source for accessing data in JSON file.
  * Saves data in JSON file.
  * Does not support paging, sorting, filteing.
+ * Files uploaded for binary fields are stored in directory next to data file
+ * (data file name without extension followed by <code>_files</code>), field holds name of stored file.
  */
 class JSONDataSource extends DataSource {
 
@@ -92,19 +97,38 @@ class JSONDataSource extends DataSource {
         this._config.fileName = fileName;
     }
 
+    /**
+     * Criteria of operation binding are applied by {@link JSONDataSource#executeFetch}.
+     *
+     * @type {boolean}
+     */
+    get supportsOperationCriteria() {
+        return true;
+    }
+
     /**
      * Executes DS request fetch.
-     * Always returns all data.
+     * Always returns all data matching criteria of operation binding (request criteria are not applied).
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     executeFetch(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(JSONDataSource.prototype.executeFetch, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
         const self = this;
         this._readFile(function(err, data) {
             if (err) {
                 return callback(err);
             }
+            data = data.filter(function(record) {
+                return self.matchesOperationCriteria(record);
+            });
+            if (self.dsRequest.isExport && self.dsRequest.endRow !== null) {
+                // Export is limited (see DSRequest#maxExportRows) - records after limit are not converted
+                data = data.slice(0, self.dsRequest.endRow);
+            }
             const response = new DSResponse(Const.STATUS_SUCCESS, self.toRecords(data));
             response.startRow = 0;
             response.endRow = data.length;
@@ -116,16 +140,25 @@ class JSONDataSource extends DataSource {
     /**
      * Executes DS request add.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     executeAdd(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(JSONDataSource.prototype.executeAdd, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
         const self = this;
         this._readFile(function(err, data) {
             if (err) {
                 return callback(err);
             }
-            data.push(self.toRecords(self.dsRequest.values));
+            const values = Object.assign({}, self.dsRequest.values);
+            for (let key in values) {
+                if (!self.isWritableValue(self.getField(key), values[key])) {
+                    delete values[key];
+                }
+            }
+            data.push(self.toRecords(values));
             self._writeFile(data, function(err) {
                 if (err) {
                     return callback(err);
@@ -139,9 +172,12 @@ class JSONDataSource extends DataSource {
     /**
      * Executes DS request remove.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     executeRemove(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(JSONDataSource.prototype.executeRemove, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
         const self = this;
         this._readFile(function(err, data) {
@@ -160,11 +196,12 @@ class JSONDataSource extends DataSource {
             if (foundRow < 0) {
                 return callback(new Error("Remove failed. Row does not exists. PK=" + JSON.stringify(pkValue)));
             }
-            data.splice(foundRow, 1);
+            const removed = data.splice(foundRow, 1)[0];
             self._writeFile(data, function(err) {
                 if (err) {
                     return callback(err);
                 }
+                self._removeStoredFiles(removed, self.binaryFields);
                 const response = new DSResponse(Const.STATUS_SUCCESS, pkValue);
                 return callback(null, response);
             });
@@ -174,9 +211,12 @@ class JSONDataSource extends DataSource {
     /**
      * Executes DS request update.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     executeUpdate(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(JSONDataSource.prototype.executeUpdate, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
         const self = this;
         this._readFile(function(err, data) {
@@ -196,21 +236,160 @@ class JSONDataSource extends DataSource {
                 return callback(new Error("Update failed. Row does not exists. PK=" + JSON.stringify(pkValue)));
             }
             let updateValue = self.getNonPKValue(self.dsRequest.values);
+            const oldRecord = Object.assign({}, data[foundRow]);
+            const replacedFields = [];
             const keys = Object.keys(updateValue);
             for (let i = 0, l = keys.length; i < l; i++) {
                 const key = keys[i];
-                data[foundRow][key] = updateValue[key];
+                const field = self.getField(key);
+                if (!self.isWritableValue(field, updateValue[key])) {
+                    continue;
+                }
+                if (self.isBinaryField(field) && oldRecord[key] !== updateValue[key]) {
+                    replacedFields.push(field);
+                }
+                data[foundRow][key] = self.serializeValue(field, updateValue[key]);
             }
             self._writeFile(data, function(err) {
                 if (err) {
                     return callback(err);
                 }
+                self._removeStoredFiles(oldRecord, replacedFields);
                 const response = new DSResponse(Const.STATUS_SUCCESS, self.toRecords(data[foundRow]));
                 return callback(null, response);
             });
         });
     }
 
+    /**
+     * Executes DS request download file or view file.
+     * Streams stored file of record found by primary key.
+     *
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    executeDownload(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(JSONDataSource.prototype.executeDownload, this);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        let field;
+        let pkValue;
+        try {
+            field = this.getDownloadField();
+            pkValue = this.getPKValue(this.dsRequest.criteria || {});
+        } catch (err) {
+            return callback(err);
+        }
+        const self = this;
+        this._readFile(function(err, data) {
+            if (err) {
+                return callback(err);
+            }
+            let record = null;
+            for (let i = 0, l = data.length; i < l; i++) {
+                try {
+                    assert.deepEqual(pkValue, self.getPKValue(data[i]));
+                    record = data[i];
+                    break;
+                } catch (ignored) {}
+            }
+            if (!record) {
+                return callback(new Error("Download failed. Row does not exists. PK=" + JSON.stringify(pkValue)));
+            }
+            const storedName = record[field.name];
+            if (typeof storedName !== "string" || storedName === "") {
+                return callback(new Error("Download failed. Field '" + field.name + "' is empty. PK=" + JSON.stringify(pkValue)));
+            }
+            const fileName = self.getDownloadFileName(record, field);
+            const mimeType = self.getDownloadMimeType(record, field);
+            FileDownload.fromFile(self.getStoredFilePath(storedName), fileName, mimeType, function(err, file) {
+                if (err) {
+                    return callback(err);
+                }
+                const response = new DSResponse(Const.STATUS_SUCCESS, self.toRecords(record));
+                response.file = file;
+                return callback(null, response);
+            });
+        });
+    }
+
+    /**
+     * Directory where uploaded files are stored.
+     * Located next to data file, named after data file (without extension) with <code>_files</code> suffix.
+     *
+     * @type {string}
+     */
+    get filesDirectory() {
+        const fileName = path.join(process.cwd(), this._path, this.fileName);
+        return path.join(path.dirname(fileName), path.basename(fileName, path.extname(fileName)) + Const.UPLOADED_FILES_DIRECTORY_SUFFIX);
+    }
+
+    /**
+     * Returns full path of stored file.
+     *
+     * @param {string} storedName - Stored file name (value of binary field)
+     * @return {string} Full path of stored file
+     */
+    getStoredFilePath(storedName) {
+        assert.equal(typeof storedName, "string", "argument 'storedName' must be string");
+        // Stored names never contain directories
+        return path.join(this.filesDirectory, path.basename(storedName));
+    }
+
+    /**
+     * Stores uploaded file in files directory (see {@link JSONDataSource#filesDirectory}).
+     * Callback receives stored file name which is saved to field.
+     *
+     * @param {Object} field - Binary field definition
+     * @param {UploadedFile} file - Uploaded file
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    storeUploadedFile(field, file, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(JSONDataSource.prototype.storeUploadedFile, this, field, file);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        const directory = this.filesDirectory;
+        // Random prefix keeps files with the same name apart
+        const storedName = crypto.randomBytes(8).toString("hex") + "_" +
+            path.basename(Util.concatenate(file.fileName)).replace(/[^A-Za-z0-9_.\-]/g, "_");
+        const self = this;
+        fs.mkdir(directory, {recursive: true}, function(err) {
+            if (err) {
+                return callback(new Exception("Error creating directory '" + directory + "'", err));
+            }
+            file.saveAs(self.getStoredFilePath(storedName), function(err) {
+                if (err) {
+                    return callback(err);
+                }
+                return callback(null, storedName);
+            });
+        });
+    }
+
+    /**
+     * Removes stored files of specified record fields.
+     * Failures are logged only - record change is already saved.
+     *
+     * @param {Object} record - Record which files should be removed
+     * @param {Object[]} fields - Binary fields
+     */
+    _removeStoredFiles(record, fields) {
+        const self = this;
+        for (let i = 0, l = fields.length; i < l; i++) {
+            const storedName = record ? record[fields[i].name] : null;
+            if (typeof storedName !== "string" || storedName === "") {
+                continue;
+            }
+            const fileName = this.getStoredFilePath(storedName);
+            fs.unlink(fileName, function(err) {
+                if (err && err.code !== "ENOENT") {
+                    self.log.warn({err: err}, "Failed to remove stored file '" + fileName + "'");
+                }
+            });
+        }
+    }
+
     /**
      * Reads data file, parses it and returns array of objects to callback.
      *
@@ -33,6 +33,7 @@ const Exception = require("srv-core").Exception;
 const Config = require("srv-config").Config;
 const Log = require("srv-log").Log;
 
+const AsyncUtil = require("../AsyncUtil");
 const DSRequest = require("./DSRequest");
 const DataSourcePool = require("./DataSourcePool");
 const Const = require("../Const");
@@ -105,9 +106,12 @@ class RESTDSRequest extends DSRequest {
      * Loads, instantiates and initializes data source.
      * This method will be called from {@link RPCManager}.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     init(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(RESTDSRequest.prototype.init, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be function");
         if (this.dataSourceName) {
             const self = this;
@@ -116,7 +120,7 @@ class RESTDSRequest extends DSRequest {
                     return callback(err);
                 }
                 self.dataSource = dataSource;
-                if (self.operationType === Const.OPERATION_TYPE_FETCH) {
+                if (self.operationType === Const.OPERATION_TYPE_FETCH || self.isDownload) {
                     self.criteria = self.data.data;
                     if (self.operationConfig._rawPk) {
                         if (dataSource.pkFieldNames.length > 0) {
@@ -145,7 +149,7 @@ class RESTDSRequest extends DSRequest {
                         }
                     }
                 }
-                return self.dataSource.init(self, callback);
+                return AsyncUtil.invoke(self.dataSource.init, self.dataSource, [self], callback);
             });
         } else {
             return callback(new Exception("Data source name is not set"));
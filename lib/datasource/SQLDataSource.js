@@ -35,9 +35,14 @@ const Config = require("srv-config").Config;
 const Log = require("srv-log").Log;
 const Util = require("srv-util").Util;
 
+const AsyncUtil = require("../AsyncUtil");
 const DataSource = require("./DataSource");
 const Const = require("../Const");
+const DateUtil = require("../DateUtil");
+const FileDownload = require("../FileDownload");
+const Security = require("../Security");
 const ConnectionPool = require("../db/ConnectionPool");
+const SQLTemplate = require("./SQLTemplate");
 
 let BaseRequest;
 let DSRequest;
@@ -139,6 +144,35 @@ class SQLDataSource extends DataSource {
         return columns;
     }
 
+    /**
+     * Fields selected by fetch operation and returned after add/update.
+     * Binary fields content is not selected - companion fields (file name, size, date) describe it.
+     * If operation binding defines outputs (see {@link DSRequest#outputs}) - only output fields are selected.
+     *
+     * @type {Object[]}
+     */
+    get selectFields() {
+        const fields = [];
+        const allFields = this.fields;
+        const outputs = this.dsRequest && !this.dsRequest.isDownload ? this.dsRequest.outputs : null;
+        for (let i = 0, l = allFields.length; i < l; i++) {
+            if (!this.isBinaryField(allFields[i]) && (!outputs || outputs.indexOf(allFields[i].name) >= 0)) {
+                fields.push(allFields[i]);
+            }
+        }
+        return fields;
+    }
+
+    /**
+     * Criteria of operation binding are added to fetch query, also when operation binding defines
+     * custom where clause.
+     *
+     * @type {boolean}
+     */
+    get supportsOperationCriteria() {
+        return true;
+    }
+
     /**
      * Returns object with SQL columns as properties instead of data source field names.
      *
@@ -151,12 +185,49 @@ class SQLDataSource extends DataSource {
         for (let key in value) {
             const column = this.getSQLColumn(key);
             if (column) {
-                sqlValue[column] = value[key];
+                sqlValue[column] = this.toSQLValue(this.getField(key), value[key]);
             }
         }
         return sqlValue;
     }
 
+    /**
+     * Converts field value to value bound to SQL statement.
+     * Instants of <code>datetime</code> fields are bound as date and time in server time zone
+     * with offset (see {@link DateUtil.formatDateTime}) so that they are stored correctly both in columns
+     * with and without time zone regardless of time zone of process and data base session.
+     *
+     * @param {Object} field - Field definition
+     * @param {*} value - Value
+     * @return {*} SQL value
+     */
+    toSQLValue(field, value) {
+        if (Array.isArray(value)) {
+            const self = this;
+            return value.map(function(item) {
+                return self.toSQLValue(field, item);
+            });
+        }
+        if (field && field.type === Const.FIELD_TYPE_DATETIME && value instanceof Date && !isNaN(value.getTime())) {
+            return DateUtil.formatDateTime(value);
+        }
+        return value;
+    }
+
+    /**
+     * Internal method converting values by field name to values bound to SQL statement (see {@link SQLDataSource#toSQLValue}).
+     *
+     * @param {Object} values - Values by field name
+     * @return {Object} Converted values
+     */
+    _toSQLValues(values) {
+        const sqlValues = {};
+        for (let key in values) {
+            sqlValues[key] = this.toSQLValue(this.getField(key), values[key]);
+        }
+        return sqlValues;
+    }
+
     /**
      * Escapes SQL wild card characters ('_' and '%') with specified character in provided value.
      *
@@ -356,15 +427,15 @@ class SQLDataSource extends DataSource {
                 return "";
             }
             const column = this.getSQLColumn(fieldName);
-            let value = criteria.value;
+            let value = this.toSQLValue(field, criteria.value);
             if (value === undefined) {
                 value = null;
             }
-            let start = criteria.start;
+            let start = this.toSQLValue(field, criteria.start);
             if (start === undefined) {
                 start = null;
             }
-            let end = criteria.end;
+            let end = this.toSQLValue(field, criteria.end);
             if (end === undefined) {
                 end = null;
             }
@@ -1143,11 +1214,16 @@ class SQLDataSource extends DataSource {
 
     /**
      * Initializes data source with provided DS request.
+     * If request joins queue transaction - connection of that transaction is used.
+     * Otherwise connection is acquired from {@link ConnectionPool}.
      *
      * @param {DSRequest} dsRequest - Data source request
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     init(dsRequest, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(SQLDataSource.prototype.init, this, dsRequest);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be a function");
         this.dsRequest = dsRequest;
         try {
@@ -1156,6 +1232,16 @@ class SQLDataSource extends DataSource {
             return callback(new Exception("Data base type is not specifed", err));
         }
         const self = this;
+        if (dsRequest.joinTransaction) {
+            return dsRequest.rpcManager.getTransaction(this.dbName, function(err, transaction) {
+                if (err) {
+                    return callback(new Exception("Failed to join queue transaction", err));
+                }
+                self._transaction = transaction;
+                self.connection = transaction.connection;
+                return callback();
+            });
+        }
         ConnectionPool.acquire(this.dbName, function(err, connection) {
             if (err) {
                 return callback(new Exception("Failed to acquire data base connection", err));
@@ -1168,9 +1254,12 @@ class SQLDataSource extends DataSource {
     /**
      * Starts data base transaction.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     startTransaction(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(SQLDataSource.prototype.startTransaction, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be a function");
         this._queryBuilder.client.query(this.connection, "begin").then(function(result) {
             return callback();
@@ -1180,14 +1269,12 @@ class SQLDataSource extends DataSource {
     }
 
     /**
-     * Executes DS request fetch.
+     * Internal method adding request criteria and criteria of operation binding to query.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {Object} q - Query builder
      */
-    executeFetch(callback) {
-        assert.equal(typeof callback, "function", "argument 'callback' must be a function");
+    _applyCriteria(q) {
         const self = this;
-        const q = this._queryBuilder(this.tableName).select(this.getSQLColumns(this.fields));
         if (this.dsRequest.isAdvancedCriteria) {
             if (this.dsRequest.strictSQLFiltering === undefined) {
                 this.dsRequest.strictSQLFiltering = Config.getValue("dataSource.strictSQLFiltering");
@@ -1202,7 +1289,7 @@ class SQLDataSource extends DataSource {
                 const field = this.getField(key);
                 if (field) {
                     const column = this.getSQLColumn(key);
-                    const value = this.dsRequest.criteria[key];
+                    const value = this.toSQLValue(field, this.dsRequest.criteria[key]);
                     if (value === undefined || value === null) {
                         q.whereNull(column);
                     } else if (Array.isArray(value)) {
@@ -1241,6 +1328,37 @@ class SQLDataSource extends DataSource {
                 }
             }
         }
+        this._applyOperationCriteria(q);
+    }
+
+    /**
+     * Internal method adding criteria of operation binding (see {@link DSRequest#operationCriteria}) to query.
+     *
+     * @param {Object} q - Query builder
+     */
+    _applyOperationCriteria(q) {
+        const operationCriteria = this.dsRequest.operationCriteria;
+        for (let key in operationCriteria) {
+            const field = this.getField(key);
+            if (field) {
+                const value = operationCriteria[key];
+                if (value === undefined || value === null) {
+                    q.whereNull(this.getSQLColumn(key));
+                } else {
+                    q.where(this.getSQLColumn(key), value);
+                }
+            } else {
+                this.log.warn("Field '" + key + "' of operation binding criteria is not defined in data source. Skipping.");
+            }
+        }
+    }
+
+    /**
+     * Internal method adding request sorting to query.
+     *
+     * @param {Object} q - Query builder
+     */
+    _applySortBy(q) {
         if (this.dsRequest.sortBy) {
             if (!Array.isArray(this.dsRequest.sortBy)) {
                 const a = [];
@@ -1255,54 +1373,354 @@ class SQLDataSource extends DataSource {
                 }
             }
         }
-        let startRow = parseInt(this.dsRequest.startRow);
-        if (!isNaN(startRow)) {
+    }
+
+    /**
+     * Internal method building fetch query.
+     * If operation binding defines custom clauses (<code>customSelectClause</code>, <code>customFromClause</code>,
+     * <code>customWhereClause</code>, <code>customOrderClause</code>) - they are rendered as templates
+     * (see {@link SQLDataSource#getTemplateContext}) and used instead of generated ones.
+     *
+     * @return {Object} Query builder
+     * @throws {Exception} if custom clause template is not valid
+     */
+    _buildFetchQuery() {
+        const operationBinding = this.dsRequest.operationBinding || {};
+        const clauses = [Const.CUSTOM_SELECT_CLAUSE, Const.CUSTOM_FROM_CLAUSE, Const.CUSTOM_WHERE_CLAUSE, Const.CUSTOM_ORDER_CLAUSE];
+        const isCustom = clauses.some(function(clause) {
+            return typeof operationBinding[clause] === "string" && operationBinding[clause].trim() !== "";
+        });
+        if (!isCustom) {
+            const q = this._queryBuilder(this.tableName).select(this.getSQLColumns(this.selectFields));
+            this._applyCriteria(q);
+            this._applySortBy(q);
+            return q;
+        }
+        const self = this;
+        const context = this.getTemplateContext();
+        const getClause = function(clause, defaultClause) {
+            if (typeof operationBinding[clause] === "string" && operationBinding[clause].trim() !== "") {
+                return self._renderTemplate(operationBinding[clause], context);
+            }
+            return context[defaultClause];
+        };
+        const select = getClause(Const.CUSTOM_SELECT_CLAUSE, Const.DEFAULT_SELECT_CLAUSE);
+        const from = getClause(Const.CUSTOM_FROM_CLAUSE, Const.DEFAULT_FROM_CLAUSE);
+        const where = getClause(Const.CUSTOM_WHERE_CLAUSE, Const.DEFAULT_WHERE_CLAUSE);
+        const order = getClause(Const.CUSTOM_ORDER_CLAUSE, Const.DEFAULT_ORDER_CLAUSE);
+        const q = this._queryBuilder.select(this._queryBuilder.raw(select.sql, select.bindings))
+            .from(this._queryBuilder.raw(from.sql, from.bindings));
+        if (where.sql.trim() !== "") {
+            q.whereRaw(where.sql, where.bindings);
+        }
+        if (typeof operationBinding[Const.CUSTOM_WHERE_CLAUSE] === "string"
+                && operationBinding[Const.CUSTOM_WHERE_CLAUSE].trim() !== "") {
+            // Custom where clause can omit $defaultWhereClause - operation criteria are always applied
+            this._applyOperationCriteria(q);
+        }
+        if (order.sql.trim() !== "") {
+            q.orderByRaw(order.sql, order.bindings);
+        }
+        return q;
+    }
+
+    /**
+     * Returns values which can be referenced by custom SQL and custom clauses of operation binding
+     * (see {@link SQLTemplate}):
+     * <ul>
+     * <li><code>criteria</code> - request criteria (for advanced criteria - values by field name)</li>
+     * <li><code>values</code>, <code>oldValues</code> - request values and old values</li>
+     * <li><code>user</code> - current user (see {@link Security.getUser})</li>
+     * <li><code>dsRequest</code> - data source request</li>
+     * <li><code>defaultSelectClause</code>, <code>defaultFromClause</code>, <code>defaultWhereClause</code>,
+     *      <code>defaultOrderClause</code> - generated SQL clauses</li>
+     * </ul>
+     * Can be overridden to provide additional values.
+     *
+     * @return {Object} Template context
+     */
+    getTemplateContext() {
+        const req = this.dsRequest.rpcManager ? this.dsRequest.rpcManager.req : null;
+        const context = {
+            criteria: this._toSQLValues(this._getCriteriaValues(this.dsRequest.criteria)),
+            values: this._toSQLValues(this.dsRequest.values || {}),
+            oldValues: this._toSQLValues(this.dsRequest.oldValues || {}),
+            user: Security.getUser(req),
+            dsRequest: this.dsRequest
+        };
+        context[Const.DEFAULT_SELECT_CLAUSE] = this._compileClause(
+            this._queryBuilder.select(this.getSQLColumns(this.selectFields)), "select ");
+        const from = this._queryBuilder.raw("??", [this.tableName]).toSQL();
+        context[Const.DEFAULT_FROM_CLAUSE] = SQLTemplate.fragment(from.sql, from.bindings);
+        const where = this._queryBuilder.select(this._queryBuilder.raw("1"));
+        this._applyCriteria(where);
+        context[Const.DEFAULT_WHERE_CLAUSE] = this._compileClause(where, "select 1 where ");
+        if (context[Const.DEFAULT_WHERE_CLAUSE].sql.trim() === "") {
+            context[Const.DEFAULT_WHERE_CLAUSE] = SQLTemplate.fragment("1=1");
+        }
+        const order = this._queryBuilder.select(this._queryBuilder.raw("1"));
+        this._applySortBy(order);
+        context[Const.DEFAULT_ORDER_CLAUSE] = this._compileClause(order, "select 1 order by ");
+        return context;
+    }
+
+    /**
+     * Internal method returning criteria values by field name.
+     * Values of advanced criteria are collected from all its criterions (first value of field is used).
+     *
+     * @param {Object} criteria - Request criteria
+     * @return {Object} Criteria values
+     */
+    _getCriteriaValues(criteria) {
+        if (typeof criteria !== "object" || criteria === null) {
+            return {};
+        }
+        if (criteria._constructor !== Const.ADVANCED_CRITERIA && typeof criteria.operator !== "string") {
+            return criteria;
+        }
+        const values = {};
+        const collect = function(criterion) {
+            if (typeof criterion !== "object" || criterion === null) {
+                return;
+            }
+            if (Array.isArray(criterion.criteria)) {
+                criterion.criteria.forEach(collect);
+            } else if (typeof criterion.fieldName === "string" && !(criterion.fieldName in values)) {
+                values[criterion.fieldName] = criterion.value;
+            }
+        };
+        collect(criteria);
+        return values;
+    }
+
+    /**
+     * Internal method returning SQL clause of query without prefix as SQL fragment.
+     *
+     * @param {Object} q - Query builder
+     * @param {string} prefix - Generated SQL prefix preceding clause
+     * @return {Object} SQL fragment (see {@link SQLTemplate.fragment})
+     */
+    _compileClause(q, prefix) {
+        const compiled = q.toSQL();
+        if (compiled.sql.indexOf(prefix) !== 0) {
+            return SQLTemplate.fragment("");
+        }
+        return SQLTemplate.fragment(compiled.sql.slice(prefix.length), compiled.bindings);
+    }
+
+    /**
+     * Internal method rendering SQL template with provided context.
+     *
+     * @param {string} template - SQL template
+     * @param {Object} context - Template context (see {@link SQLDataSource#getTemplateContext})
+     * @return {Object} SQL fragment (see {@link SQLTemplate.fragment})
+     * @throws {Exception} if template is not valid
+     */
+    _renderTemplate(template, context) {
+        const rendered = new SQLTemplate(template).render(context);
+        return SQLTemplate.fragment(rendered.sql, rendered.bindings);
+    }
+
+    /**
+     * <code>true</code> if paged fetch uses progressive loading: rows matching criteria are not counted,
+     * total rows of response shows only that more rows can be fetched (see {@link DSResponse#progressiveLoading}).
+     * Useful for huge tables where counting is expensive.
+     * Enabled by <code>progressiveLoading</code> property of request, operation binding or data source
+     * (or <code>dataSource.progressiveLoading</code> configuration parameter).
+     *
+     * @type {boolean}
+     */
+    get progressiveLoading() {
+        return String(this._getFetchOption(Const.PROGRESSIVE_LOADING, true)) === "true";
+    }
+
+    /**
+     * Number of rows fetched after requested page in progressive loading mode
+     * (<code>progressiveLoadingLookahead</code> property of operation binding or data source,
+     * 1 by default).
+     *
+     * @type {number}
+     */
+    get progressiveLoadingLookahead() {
+        const lookahead = parseInt(this._getFetchOption(Const.PROGRESSIVE_LOADING_LOOKAHEAD, false), 10);
+        return !isNaN(lookahead) && lookahead > 0 ? lookahead : Const.DEFAULT_PROGRESSIVE_LOADING_LOOKAHEAD;
+    }
+
+    /**
+     * <code>true</code> if total rows of paged fetch are counted by window function (<code>count(*) over ()</code>)
+     * in fetch query instead of separate count query.
+     * Enabled by <code>useWindowFunctionCount</code> property of operation binding or data source
+     * (or <code>dataSource.useWindowFunctionCount</code> configuration parameter).
+     *
+     * @type {boolean}
+     */
+    get useWindowFunctionCount() {
+        return String(this._getFetchOption(Const.USE_WINDOW_FUNCTION_COUNT, false)) === "true";
+    }
+
+    /**
+     * Internal method returning fetch option from request (if allowed), operation binding,
+     * data source configuration or global configuration (<code>dataSource</code> section).
+     *
+     * @param {string} name - Option name
+     * @param {boolean} fromRequest - <code>true</code> if option can be set by request
+     * @return {*} Option value or <code>undefined</code>
+     */
+    _getFetchOption(name, fromRequest) {
+        if (fromRequest && this.dsRequest.data[name] !== undefined && this.dsRequest.data[name] !== null) {
+            return this.dsRequest.data[name];
+        }
+        const operationBinding = this.dsRequest.operationBinding;
+        if (operationBinding && operationBinding[name] !== undefined) {
+            return operationBinding[name];
+        }
+        if (this.config[name] !== undefined) {
+            return this.config[name];
+        }
+        return Config.getValue("dataSource." + name);
+    }
+
+    /**
+     * Executes DS request fetch.
+     * Requested page of records is fetched (see {@link SQLDataSource#executePagedFetch}).
+     *
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    executeFetch(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(SQLDataSource.prototype.executeFetch, this);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be a function");
+        let q;
+        try {
+            q = this._buildFetchQuery();
+        } catch (err) {
+            return callback(err);
+        }
+        return this.executePagedFetch(q, callback);
+    }
+
+    /**
+     * Executes fetch query limited to requested page (<code>startRow</code> - <code>endRow</code>).
+     * Total rows of paged fetch are counted:
+     * <ul>
+     * <li>by count query with the same criteria (default) - skipped if returned page is not full</li>
+     * <li>by window function in fetch query (see {@link SQLDataSource#useWindowFunctionCount})</li>
+     * <li>not counted in progressive loading mode (see {@link SQLDataSource#progressiveLoading}) - rows after
+     *      page are fetched and reported as total rows</li>
+     * </ul>
+     *
+     * @param {Object} q - Fetch query builder (modified by this method)
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    executePagedFetch(q, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(SQLDataSource.prototype.executePagedFetch, this, q);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be a function");
+        const self = this;
+        const startRow = this.dsRequest.startRow !== null && this.dsRequest.startRow > 0 ? this.dsRequest.startRow : 0;
+        const endRow = this.dsRequest.endRow;
+        const paged = endRow !== null;
+        const pageSize = paged ? Math.max(endRow - startRow, 0) : null;
+        const progressive = paged && this.progressiveLoading;
+        const windowCount = paged && !progressive && this.useWindowFunctionCount;
+        const countQ = paged && !progressive ? this._buildCountQuery(q) : null;
+        if (startRow > 0) {
             q.offset(startRow);
-        } else {
-            startRow = 0;
         }
-        let endRow = parseInt(this.dsRequest.endRow);
-        if (!isNaN(endRow)) {
-            q.limit(endRow);
+        if (paged) {
+            q.limit(progressive ? pageSize + this.progressiveLoadingLookahead : pageSize);
+        }
+        if (windowCount) {
+            q.select(this._queryBuilder.raw("count(*) over () as ??", [Const.TOTAL_ROWS_COLUMN]));
         }
         this.log.debug({sql: q.toString()}, "FETCH");
         this._queryBuilder.client.query(this.connection, q.toSQL()).then(function(result) {
             result = self._queryBuilder.client.processResponse(result);
-            const response = new DSResponse(Const.STATUS_SUCCESS, self.toRecords(result));
-            response.startRow = startRow;
-            response.endRow = startRow + result.length;
-            response.totalRows = result.length;
-            return callback(null, response);
+            const rows = Array.isArray(result) ? result : [];
+            const records = progressive ? rows.slice(0, pageSize) : rows;
+            const finish = function(totalRows) {
+                const response = new DSResponse(Const.STATUS_SUCCESS, self.toRecords(records));
+                response.startRow = startRow;
+                response.endRow = startRow + records.length;
+                response.totalRows = totalRows;
+                response.progressiveLoading = progressive;
+                return callback(null, response);
+            };
+            if (!paged || progressive || self.dsRequest.isExport) {
+                // Rows after page (if fetched) show that more rows are available, export is not counted
+                return finish(startRow + rows.length);
+            }
+            if (windowCount && rows.length > 0) {
+                return finish(parseInt(rows[0][Const.TOTAL_ROWS_COLUMN], 10));
+            }
+            if (rows.length < pageSize && (rows.length > 0 || startRow === 0)) {
+                // Last page - count is known
+                return finish(startRow + rows.length);
+            }
+            self.log.debug({sql: countQ.toString()}, "FETCH_COUNT");
+            self._queryBuilder.client.query(self.connection, countQ.toSQL()).then(function(result) {
+                result = self._queryBuilder.client.processResponse(result);
+                const count = Array.isArray(result) && result.length > 0 ? parseInt(result[0][Const.TOTAL_ROWS_COLUMN], 10) : NaN;
+                return finish(isNaN(count) ? startRow + rows.length : count);
+            }, function(err) {
+                return callback(new Exception("Failed to count rows in data base", err));
+            });
         }, function(err) {
             return callback(new Exception("Failed to retrieve data from data base", err));
         });
     }
 
+    /**
+     * Internal method building query counting rows of fetch query (with the same criteria).
+     *
+     * @param {Object} q - Fetch query builder
+     * @return {Object} Count query builder
+     */
+    _buildCountQuery(q) {
+        return this._queryBuilder.count({[Const.TOTAL_ROWS_COLUMN]: "*"}).from(q.clone().clearOrder().as("q"));
+    }
+
     /**
      * Executes DS request add.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     executeAdd(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(SQLDataSource.prototype.executeAdd, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be a function");
         const self = this;
         const insertParams = {};
         for (let i = 0, l = this.fields.length; i < l; i++) {
             const field = this.fields[i];
-            if (this.dsRequest.values.hasOwnProperty(field.name)) {
-                insertParams[this.getSQLColumn(field.name)] = this.dsRequest.values[field.name];
+            if (this.dsRequest.values.hasOwnProperty(field.name) && this.isWritableValue(field, this.dsRequest.values[field.name])) {
+                insertParams[this.getSQLColumn(field.name)] = this.toSQLValue(field, this.dsRequest.values[field.name]);
             }
         }
         const q = this._queryBuilder(this.tableName).insert(insertParams);
+        let sequenceField = null;
+        for (let i = 0, l = this.fields.length; i < l; i++) {
+            if (this.fields[i].type === Const.FIELD_TYPE_SEQUENCE) {
+                sequenceField = this.fields[i];
+                break;
+            }
+        }
+        if (sequenceField) {
+            // Return generated sequence value (ignored by data bases not supporting 'returning')
+            q.returning(this.getSQLColumn(sequenceField.name));
+        }
         this.log.debug({sql: q.toString()}, "ADD");
         this._queryBuilder.client.query(this.connection, q.toSQL()).then(function(result) {
             result = self._queryBuilder.client.processResponse(result);
-            for (let i = 0, l = self.fields.length; i < l; i++) {
-                const field = self.fields[i];
-                if (field.type === Const.FIELD_TYPE_SEQUENCE) {
-                    self.dsRequest.values[field.name] = result[0];
-                    break;
+            if (sequenceField && Array.isArray(result) && result.length > 0) {
+                let sequenceValue = result[0];
+                if (sequenceValue !== null && typeof sequenceValue === "object") {
+                    sequenceValue = sequenceValue[self.getSQLColumn(sequenceField.name)];
                 }
+                self.dsRequest.values[sequenceField.name] = sequenceValue;
             }
             let pkValue;
             let sqlPKValue;
@@ -1315,7 +1733,7 @@ class SQLDataSource extends DataSource {
             if (Object.keys(pkValue).length < 1) {
                 return callback(new Exception("Missing primary key"));
             }
-            const refreshQ = self._queryBuilder(self.tableName).select(self.getSQLColumns(self.fields)).where(sqlPKValue);
+            const refreshQ = self._queryBuilder(self.tableName).select(self.getSQLColumns(self.selectFields)).where(sqlPKValue);
             self.log.debug({sql: refreshQ.toString()}, "ADD_REFRESH");
             self._queryBuilder.client.query(self.connection, refreshQ.toSQL()).then(function(result) {
                 result = self._queryBuilder.client.processResponse(result);
@@ -1332,9 +1750,12 @@ class SQLDataSource extends DataSource {
     /**
      * Executes DS request remove.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     executeRemove(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(SQLDataSource.prototype.executeRemove, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be a function");
         const self = this;
         let pkValue;
@@ -1365,9 +1786,12 @@ class SQLDataSource extends DataSource {
     /**
      * Executes DS request update.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     executeUpdate(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(SQLDataSource.prototype.executeUpdate, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be a function");
         const self = this;
         let pkValue;
@@ -1382,6 +1806,11 @@ class SQLDataSource extends DataSource {
             return callback(new Exception("Missing primary key"));
         }
         let updateValue = this.getNonPKValue(this.dsRequest.values);
+        for (let key in updateValue) {
+            if (!this.isWritableValue(this.getField(key), updateValue[key])) {
+                delete updateValue[key];
+            }
+        }
         let sqlUpdateValue = this.getSQLValue(updateValue);
         const q = this._queryBuilder(this.tableName).where(sqlPKValue).update(sqlUpdateValue);
         this.log.debug({sql: q.toString()}, "UPDATE");
@@ -1390,7 +1819,7 @@ class SQLDataSource extends DataSource {
             if (result < 1) {
                 return callback(new Exception("Update failed. Row does not exists in data base. PK=" + JSON.stringify(pkValue)));
             }
-            const refreshQ = self._queryBuilder(self.tableName).select(self.getSQLColumns(self.fields)).where(sqlPKValue);
+            const refreshQ = self._queryBuilder(self.tableName).select(self.getSQLColumns(self.selectFields)).where(sqlPKValue);
             self.log.debug({sql: refreshQ.toString()}, "UPDATE_REFRESH");
             self._queryBuilder.client.query(self.connection, refreshQ.toSQL()).then(function(result) {
                 result = self._queryBuilder.client.processResponse(result);
@@ -1405,11 +1834,144 @@ class SQLDataSource extends DataSource {
     }
 
     /**
-     * Commits transaction. Should be overridden if data source uses transactions.
+     * Executes DS request download file or view file.
+     * Selects record by primary key with binary field content.
+     *
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    executeDownload(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(SQLDataSource.prototype.executeDownload, this);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be a function");
+        const self = this;
+        let field;
+        let pkValue;
+        let sqlPKValue;
+        try {
+            field = this.getDownloadField();
+            pkValue = this.getPKValue(this.dsRequest.criteria || {});
+            sqlPKValue = this.getSQLValue(pkValue);
+        } catch (err) {
+            return callback(err);
+        }
+        if (Object.keys(pkValue).length < 1) {
+            return callback(new Exception("Missing primary key"));
+        }
+        const q = this._queryBuilder(this.tableName).select(this.getSQLColumns(this.selectFields.concat([field]))).where(sqlPKValue);
+        this.log.debug({sql: q.toString()}, "DOWNLOAD");
+        this._queryBuilder.client.query(this.connection, q.toSQL()).then(function(result) {
+            result = self._queryBuilder.client.processResponse(result);
+            if (!Array.isArray(result) || result.length < 1) {
+                return callback(new Exception("Download failed. Row does not exists in data base. PK=" + JSON.stringify(pkValue)));
+            }
+            const content = result[0][field.name];
+            if (content === undefined || content === null) {
+                return callback(new Exception("Download failed. Field '" + field.name + "' is empty. PK=" + JSON.stringify(pkValue)));
+            }
+            const record = self.toRecords(result[0]);
+            record[field.name] = null;
+            const response = new DSResponse(Const.STATUS_SUCCESS, record);
+            response.file = FileDownload.fromBuffer(content, self.getDownloadFileName(record, field),
+                self.getDownloadMimeType(record, field));
+            return callback(null, response);
+        }, function(err) {
+            return callback(new Exception("Failed to retrieve data from data base", err));
+        });
+    }
+
+    /**
+     * Internal method calling operation method for request operation type.
+     * If operation binding defines custom SQL - it is executed instead (see {@link SQLDataSource#executeCustomSQL}).
+     * Custom SQL fetch can not apply criteria of operation binding, such binding is rejected.
      *
      * @param {function} callback - Callback executed when finished
      */
+    _dispatch(callback) {
+        const operationBinding = this.dsRequest.operationBinding;
+        if (operationBinding && typeof operationBinding[Const.CUSTOM_SQL] === "string" && operationBinding[Const.CUSTOM_SQL].trim()) {
+            if (this.dsRequest.operationType === Const.OPERATION_TYPE_FETCH && this.dsRequest.operationCriteria) {
+                return callback(new Exception("Criteria of operation binding can not be applied to custom SQL of data source '"
+                    + this.ID + "'"));
+            }
+            return this.executeCustomSQL(operationBinding[Const.CUSTOM_SQL], callback);
+        }
+        return super._dispatch(callback);
+    }
+
+    /**
+     * Executes custom SQL of operation binding.
+     * SQL is rendered as template (see {@link SQLTemplate}) with values of {@link SQLDataSource#getTemplateContext}.
+     * For fetch returned rows are response records, paged fetch wraps custom SQL in paged query
+     * (see {@link SQLDataSource#executePagedFetch}). For other operations response has no data,
+     * number of affected rows (if reported by data base) and invalidates client cache.
+     *
+     * @param {string} sql - SQL template
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    executeCustomSQL(sql, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(SQLDataSource.prototype.executeCustomSQL, this, sql);
+        }
+        assert.equal(typeof sql, "string", "argument 'sql' must be string");
+        assert.equal(typeof callback, "function", "argument 'callback' must be a function");
+        const self = this;
+        let rendered;
+        try {
+            rendered = this._renderTemplate(sql, this.getTemplateContext());
+        } catch (err) {
+            return callback(err);
+        }
+        const isFetch = this.dsRequest.operationType === Const.OPERATION_TYPE_FETCH;
+        let method;
+        if (isFetch) {
+            method = "select";
+        } else if (this.dsRequest.operationType === Const.OPERATION_TYPE_ADD) {
+            method = "insert";
+        } else if (this.dsRequest.operationType === Const.OPERATION_TYPE_REMOVE) {
+            method = "del";
+        } else {
+            method = "update";
+        }
+        if (isFetch && (this.dsRequest.endRow !== null || this.dsRequest.startRow > 0)) {
+            // Paged fetch of rows returned by custom SQL
+            const q = this._queryBuilder.select("*")
+                .from(this._queryBuilder.raw("(" + rendered.sql + ") as ??", rendered.bindings.concat(["q"])));
+            return this.executePagedFetch(q, callback);
+        }
+        const query = {sql: rendered.sql, bindings: rendered.bindings, method: method};
+        this.log.debug({sql: rendered.sql, bindings: rendered.bindings}, "CUSTOM_SQL");
+        this._queryBuilder.client.query(this.connection, query).then(function(result) {
+            result = self._queryBuilder.client.processResponse(result);
+            let response;
+            if (isFetch) {
+                const records = Array.isArray(result) ? result : [];
+                response = new DSResponse(Const.STATUS_SUCCESS, self.toRecords(records));
+                response.startRow = 0;
+                response.endRow = records.length;
+                response.totalRows = records.length;
+            } else {
+                response = new DSResponse(Const.STATUS_SUCCESS, null);
+                if (typeof result === "number") {
+                    response.affectedRows = result;
+                }
+                response.invalidateCache = true;
+            }
+            return callback(null, response);
+        }, function(err) {
+            return callback(new Exception("Failed to execute custom SQL", err));
+        });
+    }
+
+    /**
+     * Commits transaction. Should be overridden if data source uses transactions.
+     *
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
     commit(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(SQLDataSource.prototype.commit, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be a function");
         this._queryBuilder.client.query(this.connection, "commit").then(function(result) {
             return callback();
@@ -1421,9 +1983,12 @@ class SQLDataSource extends DataSource {
     /**
      * Rolls back transaction. Should be overridden if data source uses transactions.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     rollback(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(SQLDataSource.prototype.rollback, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be a function");
         this._queryBuilder.client.query(this.connection, "rollback").then(function(result) {
             return callback();
@@ -1434,11 +1999,21 @@ class SQLDataSource extends DataSource {
 
     /**
      * Frees resources tied up by this data source.
+     * Connection of queue transaction is not released - it is owned by {@link RPCManager}.
      *
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     freeResources(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(SQLDataSource.prototype.freeResources, this);
+        }
         assert.equal(typeof callback, "function", "argument 'callback' must be a function");
+        if (this.transaction) {
+            // Connection of queue transaction is released by RPCManager
+            this._transaction = null;
+            this.connection = null;
+            return callback();
+        }
         if (this.connection) {
             const self = this;
             ConnectionPool.release(this.dbName, this.connection, function(err) {
@@ -0,0 +1,262 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const assert = require("assert");
+
+const Exception = require("srv-core").Exception;
+const Util = require("srv-util").Util;
+
+// Reference path: name.path
+const PATH = "([A-Za-z_]\\w*(?:\\.[A-Za-z_]\\w*)*)";
+// Regular expression for reference: $name.path or ${name.path}
+const REFERENCE_REGEXP = new RegExp("\\$(?:\\{" + PATH + "\\}|" + PATH + ")", "y");
+// Regular expression for directive: #if($name.path), #if(!$name.path), #else, #end
+const DIRECTIVE_REGEXP = new RegExp("#(?:(if)\\(\\s*(!?)\\s*\\$(?:\\{" + PATH + "\\}|" + PATH + ")\\s*\\)|(else)\\b|(end)\\b)", "y");
+
+/**
+ * SQL fragment inserted into template as is (e.g. generated where clause) together with its bindings.
+ */
+class SQLFragment {
+
+    /**
+     * Creates SQL fragment.
+     *
+     * @param {string} sql - SQL with '?' placeholders
+     * @param {Array} [bindings] - Placeholder values
+     */
+    constructor(sql, bindings) {
+        assert.equal(typeof sql, "string", "argument 'sql' must be string");
+        this.sql = sql;
+        this.bindings = Array.isArray(bindings) ? bindings : [];
+    }
+
+}
+
+/**
+ * Template of custom SQL (or SQL clause) of operation binding.
+ * Template can contain:
+ * <ul>
+ * <li><code>$name.path</code> or <code>${name.path}</code> - reference to context value,
+ *      e.g. <code>$criteria.status</code> or <code>$values.name</code></li>
+ * <li><code>#if($name.path) ... #else ... #end</code> - conditional part, used if referenced value is set
+ *      (not <code>null</code>, <code>false</code>, empty string or empty array); <code>#if(!$name.path)</code>
+ *      negates condition, <code>#else</code> is optional</li>
+ * <li><code>\$</code> and <code>\#</code> - literal '$' and '#'</li>
+ * </ul>
+ * Referenced values are never inserted into SQL - they are replaced with '?' placeholder and
+ * added to bindings (array is replaced with comma separated placeholders, e.g. for <code>in ($criteria.ids)</code>).
+ * Only SQL fragments (see {@link SQLTemplate.fragment}) are inserted as is.
+ * References must not be quoted.
+ */
+class SQLTemplate {
+
+    /**
+     * Creates and parses SQL template.
+     *
+     * @param {string} template - Template
+     * @throws {Exception} if template is not valid
+     */
+    constructor(template) {
+        assert.equal(typeof template, "string", "argument 'template' must be string");
+        this._template = template;
+        this._nodes = parse(template);
+    }
+
+    /**
+     * Template source.
+     *
+     * @type {string}
+     */
+    get template() {
+        return this._template;
+    }
+
+    /**
+     * Renders template with provided context.
+     *
+     * @param {Object} context - Values referenced by template
+     * @return {Object} Object with <code>sql</code> (with '?' placeholders) and <code>bindings</code> properties
+     */
+    render(context) {
+        const result = {sql: "", bindings: []};
+        renderNodes(this._nodes, context || {}, result);
+        return result;
+    }
+
+    /**
+     * Creates SQL fragment which is inserted into rendered SQL as is.
+     *
+     * @param {string} sql - SQL with '?' placeholders
+     * @param {Array} [bindings] - Placeholder values
+     * @return {Object} SQL fragment
+     */
+    static fragment(sql, bindings) {
+        return new SQLFragment(sql, bindings);
+    }
+
+    /**
+     * Returns <code>true</code> if value is SQL fragment (see {@link SQLTemplate.fragment}).
+     *
+     * @param {*} value - Value to check
+     * @return {boolean}
+     */
+    static isFragment(value) {
+        return value instanceof SQLFragment;
+    }
+
+}
+
+/**
+ * Parses template to list of nodes: text, reference and condition.
+ *
+ * @param {string} template - Template
+ * @return {Object[]} Nodes
+ * @throws {Exception} if template is not valid
+ */
+const parse = function(template) {
+    const root = [];
+    // Open conditions with node lists containing them
+    const stack = [];
+    let nodes = root;
+    let text = "";
+    const flush = function() {
+        if (text) {
+            nodes.push({text: text});
+            text = "";
+        }
+    };
+    let i = 0;
+    while (i < template.length) {
+        const c = template.charAt(i);
+        if (c === "\\" && (template.charAt(i + 1) === "$" || template.charAt(i + 1) === "#")) {
+            text += template.charAt(i + 1);
+            i += 2;
+            continue;
+        }
+        let match = null;
+        if (c === "$") {
+            REFERENCE_REGEXP.lastIndex = i;
+            match = REFERENCE_REGEXP.exec(template);
+            if (match) {
+                flush();
+                nodes.push({reference: match[1] || match[2]});
+                i = REFERENCE_REGEXP.lastIndex;
+                continue;
+            }
+        } else if (c === "#") {
+            DIRECTIVE_REGEXP.lastIndex = i;
+            match = DIRECTIVE_REGEXP.exec(template);
+            if (match) {
+                flush();
+                if (match[1]) {
+                    const node = {condition: match[3] || match[4], negate: match[2] === "!", then: [], otherwise: []};
+                    nodes.push(node);
+                    stack.push({node: node, parent: nodes});
+                    nodes = node.then;
+                } else if (match[5]) {
+                    const frame = stack[stack.length - 1];
+                    if (!frame || nodes !== frame.node.then) {
+                        throw new Exception("Invalid SQL template: unexpected #else at position " + i);
+                    }
+                    nodes = frame.node.otherwise;
+                } else {
+                    const frame = stack.pop();
+                    if (!frame) {
+                        throw new Exception("Invalid SQL template: unexpected #end at position " + i);
+                    }
+                    nodes = frame.parent;
+                }
+                i = DIRECTIVE_REGEXP.lastIndex;
+                continue;
+            }
+        }
+        text += c;
+        i++;
+    }
+    flush();
+    if (stack.length > 0) {
+        throw new Exception("Invalid SQL template: #if without #end");
+    }
+    return root;
+};
+
+/**
+ * Renders nodes appending SQL and bindings to result.
+ *
+ * @param {Object[]} nodes - Nodes
+ * @param {Object} context - Values referenced by template
+ * @param {Object} result - Rendering result
+ */
+const renderNodes = function(nodes, context, result) {
+    for (let i = 0, l = nodes.length; i < l; i++) {
+        const node = nodes[i];
+        if (node.text !== undefined) {
+            result.sql += node.text;
+        } else if (node.reference !== undefined) {
+            const value = Util.getPathValue(context, node.reference);
+            if (value instanceof SQLFragment) {
+                result.sql += value.sql;
+                result.bindings.push.apply(result.bindings, value.bindings);
+            } else if (Array.isArray(value)) {
+                if (value.length > 0) {
+                    result.sql += value.map(function() {
+                        return "?";
+                    }).join(", ");
+                    result.bindings.push.apply(result.bindings, value);
+                } else {
+                    result.sql += "null";
+                }
+            } else {
+                result.sql += "?";
+                result.bindings.push(value === undefined ? null : value);
+            }
+        } else {
+            const isSet = isValueSet(Util.getPathValue(context, node.condition));
+            renderNodes(isSet !== node.negate ? node.then : node.otherwise, context, result);
+        }
+    }
+};
+
+/**
+ * Returns <code>true</code> if value satisfies condition of <code>#if</code>.
+ *
+ * @param {*} value - Referenced value
+ * @return {boolean}
+ */
+const isValueSet = function(value) {
+    if (value instanceof SQLFragment) {
+        return value.sql.trim() !== "";
+    }
+    if (Array.isArray(value)) {
+        return value.length > 0;
+    }
+    return value !== undefined && value !== null && value !== false && value !== "";
+};
+
+module.exports = SQLTemplate;
@@ -0,0 +1,218 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const stream = require("stream");
+
+const Exception = require("srv-core").Exception;
+
+const AsyncUtil = require("../AsyncUtil");
+
+/**
+ * File uploaded with multipart HTTP request.
+ * Wraps file object created by upload middleware (<code>multer</code> compatible):
+ * <code>fieldname</code>, <code>originalname</code>, <code>mimetype</code>, <code>size</code>
+ * and either <code>path</code> (disk storage) or <code>buffer</code> (memory storage).
+ */
+class UploadedFile {
+
+    /**
+     * Creates uploaded file.
+     *
+     * @param {Object} file - File object created by upload middleware
+     */
+    constructor(file) {
+        assert.equal(typeof file === "object" && file !== null, true, "argument 'file' must be object");
+        this._file = file;
+    }
+
+    /**
+     * Name of form field file was uploaded with (same as data source field name).
+     *
+     * @type {string}
+     */
+    get fieldName() {
+        return this._file.fieldname;
+    }
+
+    /**
+     * File name on client computer.
+     *
+     * @type {string}
+     */
+    get fileName() {
+        return this._file.originalname;
+    }
+
+    /**
+     * File MIME type.
+     *
+     * @type {string}
+     */
+    get mimeType() {
+        return this._file.mimetype;
+    }
+
+    /**
+     * File size in bytes.
+     *
+     * @type {number}
+     */
+    get size() {
+        if (typeof this._file.size === "number") {
+            return this._file.size;
+        }
+        if (Buffer.isBuffer(this._file.buffer)) {
+            return this._file.buffer.length;
+        }
+        return 0;
+    }
+
+    /**
+     * Path of file saved by upload middleware.
+     * <code>null</code> if file is kept in memory.
+     *
+     * @type {string|null}
+     */
+    get path() {
+        return this._file.path || null;
+    }
+
+    /**
+     * Creates readable stream of file content.
+     *
+     * @return {stream.Readable} File content stream
+     */
+    createReadStream() {
+        if (this.path) {
+            return fs.createReadStream(this.path);
+        }
+        const readable = new stream.PassThrough();
+        readable.end(Buffer.isBuffer(this._file.buffer) ? this._file.buffer : Buffer.alloc(0));
+        return readable;
+    }
+
+    /**
+     * Reads file content.
+     * Callback receives <code>Buffer</code> with file content.
+     *
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    getContent(callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(UploadedFile.prototype.getContent, this);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        if (!this.path) {
+            return callback(null, Buffer.isBuffer(this._file.buffer) ? this._file.buffer : Buffer.alloc(0));
+        }
+        const fileName = this.path;
+        fs.readFile(fileName, function(err, content) {
+            if (err) {
+                return callback(new Exception("Error reading uploaded file '" + fileName + "'", err));
+            }
+            return callback(null, content);
+        });
+    }
+
+    /**
+     * Saves copy of file content to specified path.
+     *
+     * @param {string} fileName - Path of file to write
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    saveAs(fileName, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(UploadedFile.prototype.saveAs, this, fileName);
+        }
+        assert.equal(typeof fileName, "string", "argument 'fileName' must be string");
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        const done = function(err) {
+            if (err) {
+                return callback(new Exception("Error writing uploaded file to '" + fileName + "'", err));
+            }
+            return callback();
+        };
+        if (this.path) {
+            return fs.copyFile(this.path, fileName, done);
+        }
+        return fs.writeFile(fileName, Buffer.isBuffer(this._file.buffer) ? this._file.buffer : Buffer.alloc(0), done);
+    }
+
+    /**
+     * Creates object representation of file (without content).
+     *
+     * @return {Object} File representation
+     */
+    toObject() {
+        return {
+            fieldName: this.fieldName,
+            fileName: this.fileName,
+            mimeType: this.mimeType,
+            size: this.size
+        };
+    }
+
+    /**
+     * Creates uploaded files from HTTP request processed by upload middleware.
+     * Supports <code>req.files</code> as array (<code>multer().any()</code>, <code>multer().array()</code>),
+     * as object of arrays by field name (<code>multer().fields()</code>) and <code>req.file</code>
+     * (<code>multer().single()</code>).
+     *
+     * @param {http.ClientRequest} req - HTTP request
+     * @return {UploadedFile[]} Uploaded files
+     */
+    static fromRequest(req) {
+        const files = [];
+        if (!req) {
+            return files;
+        }
+        let reqFiles = [];
+        if (Array.isArray(req.files)) {
+            reqFiles = req.files;
+        } else if (typeof req.files === "object" && req.files !== null) {
+            for (const fieldName in req.files) {
+                reqFiles = reqFiles.concat(req.files[fieldName]);
+            }
+        }
+        if (typeof req.file === "object" && req.file !== null && reqFiles.indexOf(req.file) < 0) {
+            reqFiles.push(req.file);
+        }
+        for (let i = 0, l = reqFiles.length; i < l; i++) {
+            if (typeof reqFiles[i] === "object" && reqFiles[i] !== null) {
+                files.push(new UploadedFile(reqFiles[i]));
+            }
+        }
+        return files;
+    }
+
+}
+
+module.exports = UploadedFile;
@@ -0,0 +1,488 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const assert = require("assert");
+
+const Exception = require("srv-core").Exception;
+const Log = require("srv-log").Log;
+const Util = require("srv-util").Util;
+
+const AsyncUtil = require("../AsyncUtil");
+const Const = require("../Const");
+const DateUtil = require("../DateUtil");
+
+let DataSourceHandle;
+
+// Validators registered from code by type
+const _registered = {};
+
+/**
+ * Server side validation of data source field values.
+ * Validators of field are declared with <code>validators</code> property (array of objects with
+ * <code>type</code> and type specific properties, optional <code>errorMessage</code> overrides default message).
+ * Some validators are implied by field definition:
+ * <ul>
+ * <li><code>required</code> - if field has <code>required: true</code></li>
+ * <li><code>isInteger</code>, <code>isFloat</code>, <code>isBoolean</code>, <code>isDate</code>,
+ *      <code>isTime</code> - by field type</li>
+ * <li><code>lengthRange</code> - if field has <code>length</code> (maximum length)</li>
+ * <li><code>isOneOf</code> - if field has <code>valueMap</code></li>
+ * </ul>
+ * Built-in validator types:
+ * <ul>
+ * <li><code>required</code> - value is not empty</li>
+ * <li><code>isInteger</code>, <code>isFloat</code>, <code>isBoolean</code>, <code>isDate</code>,
+ *      <code>isTime</code> - value has proper type</li>
+ * <li><code>lengthRange</code> - length of value is between <code>min</code> and <code>max</code></li>
+ * <li><code>integerRange</code> - value is between <code>min</code> and <code>max</code></li>
+ * <li><code>regexp</code> - value matches <code>expression</code></li>
+ * <li><code>isOneOf</code> - value is one of <code>list</code> (or keys of <code>valueMap</code>)</li>
+ * <li><code>isUnique</code> - no other record of data source has the same value</li>
+ * <li><code>hasRelatedRecord</code> - record with value in <code>relatedField</code> of
+ *      <code>relatedDataSource</code> exists (both default to <code>foreignKey</code> of field)</li>
+ * </ul>
+ * Validators other than <code>required</code> are not executed for empty values.
+ * Custom validator types can be registered with {@link Validator.registerValidator}.
+ */
+class Validator {
+
+    // Class logger
+    static get log() {
+        return _log;
+    }
+
+    /**
+     * Registers validator type. Validator function is called with value, validator definition
+     * and context object (<code>dataSource</code>, <code>dsRequest</code>, <code>field</code>,
+     * <code>values</code>, <code>pkValue</code>).
+     * Function declaring fourth (callback) parameter must call it, otherwise it should return result
+     * (or Promise). Value is valid if result is <code>true</code>.
+     * Registered validator overrides built-in validator of the same type.
+     *
+     * @param {string} type - Validator type
+     * @param {function} validator - Validator <code>function(value, validator, context, callback)</code>
+     */
+    static registerValidator(type, validator) {
+        assert.equal(typeof type, "string", "argument 'type' must be string");
+        assert.equal(typeof validator, "function", "argument 'validator' must be function");
+        _registered[type] = validator;
+    }
+
+    /**
+     * Unregisters validator type.
+     *
+     * @param {string} type - Validator type
+     */
+    static unregisterValidator(type) {
+        delete _registered[type];
+    }
+
+    /**
+     * Returns validators of field: implied by field definition followed by declared ones.
+     *
+     * @param {Object} field - Field definition
+     * @return {Object[]} Validator definitions
+     */
+    static getValidators(field) {
+        assert.equal(field !== null && typeof field === "object", true, "argument 'field' must be object");
+        const validators = [];
+        if (String(field[Const.VALIDATOR_REQUIRED]) === "true") {
+            validators.push({type: Const.VALIDATOR_REQUIRED});
+        }
+        const typeValidator = TYPE_VALIDATORS[field.type];
+        if (typeValidator) {
+            validators.push({type: typeValidator});
+        }
+        const length = parseInt(field[Const.LENGTH], 10);
+        if (!isNaN(length) && length > 0 && !typeValidator) {
+            validators.push({type: Const.VALIDATOR_LENGTH_RANGE, max: length});
+        }
+        if (field[Const.VALUE_MAP] && typeof field[Const.VALUE_MAP] === "object") {
+            validators.push({type: Const.VALIDATOR_IS_ONE_OF});
+        }
+        let declared = field[Const.VALIDATORS];
+        if (declared && !Array.isArray(declared)) {
+            declared = [declared];
+        }
+        for (let i = 0, l = (declared || []).length; i < l; i++) {
+            if (typeof declared[i] === "string") {
+                validators.push({type: declared[i]});
+            } else if (declared[i] && typeof declared[i] === "object" && typeof declared[i].type === "string") {
+                validators.push(declared[i]);
+            }
+        }
+        return validators;
+    }
+
+    /**
+     * Validates values of data source fields.
+     * Callback receives <code>null</code> if values are valid or object with arrays of error messages
+     * by field name.
+     *
+     * @param {DataSource} dataSource - Data source
+     * @param {Object} values - Values to validate
+     * @param {Object} [options] - Validation options:
+     *      <ul>
+     *      <li><code>partial</code> - validate only provided values (e.g. for update), otherwise missing
+     *          required values are reported</li>
+     *      <li><code>dsRequest</code> - request which values are validated</li>
+     *      <li><code>pkValue</code> - primary key of validated record (excluded from <code>isUnique</code> check)</li>
+     *      </ul>
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    static validate(dataSource, values, options, callback) {
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
+        if (!callback) {
+            return AsyncUtil.toPromise(Validator.validate, Validator, dataSource, values, options || null);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        ensureDependencies();
+        options = options || {};
+        values = (values !== null && typeof values === "object") ? values : {};
+        const dsRequest = options.dsRequest || null;
+        const tasks = [];
+        const fields = dataSource.fields;
+        for (let i = 0, l = fields.length; i < l; i++) {
+            const field = fields[i];
+            if (!field || !field.name) {
+                continue;
+            }
+            let hasValue = field.name in values;
+            if (!hasValue && dataSource.isBinaryField(field) && dsRequest && dsRequest.getUploadedFile(field.name)) {
+                // File is stored after validation
+                hasValue = true;
+            }
+            if (!hasValue && (options.partial || field.type === Const.FIELD_TYPE_SEQUENCE)) {
+                continue;
+            }
+            const validators = Validator.getValidators(field);
+            if (validators.length > 0) {
+                tasks.push({field: field, value: hasValue ? values[field.name] : undefined,
+                    isFile: hasValue && !(field.name in values), validators: validators});
+            }
+        }
+        const errors = {};
+        let hasErrors = false;
+        Util.arrayExecutor(tasks, true, function(index, task, cb) {
+            const context = {
+                dataSource: dataSource,
+                dsRequest: dsRequest,
+                field: task.field,
+                values: values,
+                pkValue: options.pkValue || null
+            };
+            validateValue(task, context, function(err, messages) {
+                if (err) {
+                    return cb(err);
+                }
+                if (messages.length > 0) {
+                    errors[task.field.name] = messages;
+                    hasErrors = true;
+                }
+                return cb();
+            });
+        }, function(err) {
+            if (err) {
+                return callback(new Exception("Failed to validate values of data source '" + dataSource.ID + "'", err));
+            }
+            return callback(null, hasErrors ? errors : null);
+        });
+    }
+
+}
+
+// Validators implied by field type
+const TYPE_VALIDATORS = {
+    integer: "isInteger",
+    sequence: "isInteger",
+    float: "isFloat",
+    decimal: "isFloat",
+    boolean: "isBoolean",
+    date: "isDate",
+    datetime: "isDate",
+    time: "isTime"
+};
+
+// Built-in validators
+const BUILTIN_VALIDATORS = {
+    isInteger: function(value) {
+        if (typeof value === "number") {
+            return Number.isInteger(value);
+        }
+        return typeof value === "string" && /^\s*[+-]?\d+\s*$/.test(value);
+    },
+    isFloat: function(value) {
+        if (typeof value === "number") {
+            return isFinite(value);
+        }
+        return typeof value === "string" && /^\s*[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?\s*$/.test(value);
+    },
+    isBoolean: function(value) {
+        return [true, false, "true", "false", 1, 0, "1", "0"].indexOf(value) >= 0;
+    },
+    isDate: function(value) {
+        return (value instanceof Date || typeof value === "string") && DateUtil.parseDateTime(value) !== null;
+    },
+    isTime: function(value) {
+        return DateUtil.parseTime(value) !== null;
+    },
+    lengthRange: function(value, validator) {
+        const length = String(value).length;
+        const min = parseInt(validator.min, 10);
+        const max = parseInt(validator.max, 10);
+        return !(length < min) && !(length > max);
+    },
+    integerRange: function(value, validator) {
+        value = Number(value);
+        if (isNaN(value)) {
+            return false;
+        }
+        const min = parseFloat(validator.min);
+        const max = parseFloat(validator.max);
+        return !(value < min) && !(value > max);
+    },
+    regexp: function(value, validator) {
+        if (typeof validator.expression !== "string") {
+            throw new Exception("Expression of regexp validator is not specified");
+        }
+        return new RegExp(validator.expression).test(String(value));
+    },
+    isOneOf: function(value, validator, context) {
+        let list = validator.list;
+        if (!Array.isArray(list)) {
+            const valueMap = context.field[Const.VALUE_MAP];
+            list = Array.isArray(valueMap) ? valueMap : Object.keys(valueMap || {});
+        }
+        return list.some(function(item) {
+            return String(item) === String(value);
+        });
+    },
+    isUnique: function(value, validator, context, callback) {
+        const fieldName = context.field.name;
+        const criteria = {};
+        criteria[fieldName] = value;
+        fetch(context, context.dataSource.ID, criteria, function(err, records) {
+            if (err) {
+                return callback(err);
+            }
+            const pkValue = context.pkValue;
+            const pkFieldNames = context.dataSource.pkFieldNames;
+            const unique = records.every(function(record) {
+                if (String(record[fieldName]) !== String(value)) {
+                    // Data source did not filter records
+                    return true;
+                }
+                // The same record is not a duplicate
+                return !!pkValue && pkFieldNames.length > 0 && pkFieldNames.every(function(name) {
+                    return String(record[name]) === String(pkValue[name]);
+                });
+            });
+            return callback(null, unique);
+        });
+    },
+    hasRelatedRecord: function(value, validator, context, callback) {
+        let relatedDataSource = validator.relatedDataSource;
+        let relatedField = validator.relatedField;
+        const foreignKey = context.field[Const.FOREIGN_KEY];
+        if (typeof foreignKey === "string" && foreignKey) {
+            const dot = foreignKey.indexOf(".");
+            relatedDataSource = relatedDataSource || (dot < 0 ? context.dataSource.ID : foreignKey.slice(0, dot));
+            relatedField = relatedField || foreignKey.slice(dot + 1);
+        }
+        if (!relatedDataSource || !relatedField) {
+            return callback(new Exception("Related data source of field '" + context.field.name + "' is not specified"));
+        }
+        const criteria = {};
+        criteria[relatedField] = value;
+        fetch(context, relatedDataSource, criteria, function(err, records) {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, records.some(function(record) {
+                return String(record[relatedField]) === String(value);
+            }));
+        });
+    }
+};
+
+// Default error messages of built-in validators
+const ERROR_MESSAGES = {
+    required: function() {
+        return "Field is required";
+    },
+    isInteger: function() {
+        return "Must be a whole number.";
+    },
+    isFloat: function() {
+        return "Must be a valid decimal.";
+    },
+    isBoolean: function() {
+        return "Must be a true/false value.";
+    },
+    isDate: function() {
+        return "Must be a date.";
+    },
+    isTime: function() {
+        return "Must be a time.";
+    },
+    lengthRange: function(validator) {
+        return rangeMessage(validator, "Must be between {min} and {max} characters.",
+            "Must be at least {min} characters.", "Must be no more than {max} characters.");
+    },
+    integerRange: function(validator) {
+        return rangeMessage(validator, "Must be between {min} and {max}.",
+            "Must be no less than {min}.", "Must be no more than {max}.");
+    },
+    isOneOf: function() {
+        return "Not a valid option.";
+    },
+    isUnique: function() {
+        return "Value must be unique.";
+    },
+    hasRelatedRecord: function() {
+        return "Related record does not exist.";
+    }
+};
+
+/**
+ * Runs validators of field value.
+ * Validation of value stops at first failed type validator or missing required value.
+ *
+ * @param {Object} task - Field, value and validators
+ * @param {Object} context - Validation context
+ * @param {function} callback - Callback receiving array of error messages
+ */
+const validateValue = function(task, context, callback) {
+    const messages = [];
+    const value = task.value;
+    const isEmpty = !task.isFile && (value === undefined || value === null || value === "");
+    const next = function(index) {
+        if (index >= task.validators.length) {
+            return callback(null, messages);
+        }
+        const validator = task.validators[index];
+        const fail = function(stop) {
+            messages.push(getErrorMessage(validator));
+            return stop ? callback(null, messages) : next(index + 1);
+        };
+        if (validator.type === Const.VALIDATOR_REQUIRED) {
+            return isEmpty ? fail(true) : next(index + 1);
+        }
+        if (isEmpty || task.isFile) {
+            return next(index + 1);
+        }
+        let fn = _registered[validator.type] || BUILTIN_VALIDATORS[validator.type];
+        if (typeof fn !== "function") {
+            Validator.log.warn("Validator '" + validator.type + "' of field '" + context.field.name + "' is not supported. Skipping.");
+            return next(index + 1);
+        }
+        if (fn.length < 4) {
+            // Validator without callback parameter returns result
+            const syncFn = fn;
+            fn = function(value, validator, context) {
+                return Promise.resolve(syncFn(value, validator, context));
+            };
+        }
+        AsyncUtil.invoke(fn, null, [value, validator, context], function(err, result) {
+            if (err) {
+                return callback(new Exception("Validator '" + validator.type + "' of field '" + context.field.name + "' failed", err));
+            }
+            if (result !== true) {
+                // Other validators are not executed for value of wrong type
+                return fail(validator.type === TYPE_VALIDATORS[context.field.type]);
+            }
+            return next(index + 1);
+        });
+    };
+    return next(0);
+};
+
+/**
+ * Returns error message of failed validator.
+ *
+ * @param {Object} validator - Validator definition
+ * @return {string} Error message
+ */
+const getErrorMessage = function(validator) {
+    if (typeof validator.errorMessage === "string" && validator.errorMessage) {
+        return validator.errorMessage;
+    }
+    if (ERROR_MESSAGES[validator.type]) {
+        return ERROR_MESSAGES[validator.type](validator);
+    }
+    return "Invalid value";
+};
+
+/**
+ * Returns message of range validator depending on defined bounds.
+ *
+ * @param {Object} validator - Validator definition
+ * @param {string} both - Message if both bounds are defined
+ * @param {string} minOnly - Message if only minimum is defined
+ * @param {string} maxOnly - Message if only maximum is defined
+ * @return {string} Error message
+ */
+const rangeMessage = function(validator, both, minOnly, maxOnly) {
+    const hasMin = validator.min !== undefined && validator.min !== null;
+    const hasMax = validator.max !== undefined && validator.max !== null;
+    const message = hasMin ? (hasMax ? both : minOnly) : maxOnly;
+    return message.replace("{min}", validator.min).replace("{max}", validator.max);
+};
+
+/**
+ * Fetches records of data source for validation.
+ * Fetch joins transaction of validated request. Operation binding is ignored, because its outputs
+ * or criteria would hide records from validator.
+ *
+ * @param {Object} context - Validation context
+ * @param {string} dsName - Data source name
+ * @param {Object} criteria - Criteria
+ * @param {function} callback - Callback receiving array of records
+ */
+const fetch = function(context, dsName, criteria, callback) {
+    const rpcManager = context.dsRequest ? context.dsRequest.rpcManager : null;
+    new DataSourceHandle(dsName, rpcManager).fetch(criteria, {ignoreOperationBinding: true}, callback);
+};
+
+/**
+ * Loads cyclic dependencies.
+ */
+const ensureDependencies = function() {
+    if (typeof DataSourceHandle !== "function") {
+        DataSourceHandle = require("./DataSourceHandle");
+    }
+};
+
+// Static value for Validator.log
+const _log = new Log(Validator);
+
+module.exports = Validator;
@@ -35,6 +35,8 @@ const ResourceFactory = require("srv-core").ResourceFactory;
 const Config = require("srv-config").Config;
 const Log = require("srv-log").Log;
 
+const AsyncUtil = require("../AsyncUtil");
+
 // Holds static pools for data base connections
 let _pools = {};
 
@@ -111,9 +113,13 @@ class ConnectionPool {
      *
      * @param {string} [dbName] - Name of database we want to connect to.
      *      Uses default (from configuration) if not specified.
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     static acquire(dbName, callback) {
+        if (typeof dbName !== "function" && !callback) {
+            // No callback provided - return Promise
+            return AsyncUtil.toPromise(ConnectionPool.acquire, ConnectionPool, dbName || null);
+        }
         if (!callback) {
             // single parameter (callback) provided
             callback = dbName;
@@ -156,9 +162,18 @@ class ConnectionPool {
      * @param {string} [dbName] - Name of database we want to release connection.
      *      Uses default (from configuration) if not specified.
      * @param {*} connection - Connection beeing released
-     * @param {function} callback - Callback executed when finished
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
      */
     static release(dbName, connection, callback) {
+        if (typeof connection !== "function" && !callback) {
+            // No callback provided - return Promise
+            if (connection === undefined) {
+                // Single parameter (connection) provided
+                connection = dbName;
+                dbName = null;
+            }
+            return AsyncUtil.toPromise(ConnectionPool.release, ConnectionPool, dbName, connection);
+        }
         if (!callback) {
             // two parameters (connection and callback) provided
             callback = connection;
@@ -90,7 +90,7 @@ class PostgreSQLFactory extends ResourceFactory {
     create() {
         const self = this;
         return new Promise(function(resolve, reject) {
-            let connection = new pg.Client(self._connectionConf);
+            let connection = new pg.Client(Object.assign({types: TYPES}, self._connectionConf));
             connection.connect(function(err) {
                 if (err) {
                     return reject(new Exception("Failed to establish PostgreSQL connection", err));
@@ -142,6 +142,26 @@ class PostgreSQLFactory extends ResourceFactory {
 
 }
 
+// Types returned as text: values of date, time and timestamp without time zone are interpreted
+// by data source in server time zone (see DateUtil) instead of time zone of process
+const TEXT_TYPES = [
+    1082, // date
+    1083, // time
+    1114  // timestamp
+];
+
+// Type parsers of created connections
+const TYPES = {
+    getTypeParser: function(oid, format) {
+        if (TEXT_TYPES.indexOf(oid) >= 0 && format !== "binary") {
+            return function(value) {
+                return value;
+            };
+        }
+        return pg.types.getTypeParser(oid, format);
+    }
+};
+
 // Static value for PostgreSQLFactory.log
 const _log = new Log(PostgreSQLFactory);
 
@@ -0,0 +1,119 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const Const = require("../Const");
+const Exporter = require("./Exporter");
+
+// Characters starting formula in spreadsheet applications
+const FORMULA_START = /^[=+\-@\t\r]/;
+// Plain number (e.g. negative) is not formula
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+/**
+ * Exports records to CSV (RFC 4180).
+ * First line contains column titles. Values containing delimiter, quotes or line breaks are quoted.
+ * Values which spreadsheet applications would evaluate as formulas (starting with <code>=</code>, <code>+</code>,
+ * <code>-</code>, <code>@</code>, tab or carriage return) are prefixed with apostrophe, numbers are written as is.
+ * Content starts with UTF-8 byte order mark so spreadsheet applications detect encoding.
+ *
+ * @extends Exporter
+ */
+class CSVExporter extends Exporter {
+
+    /**
+     * MIME type of exported content.
+     *
+     * @type {string}
+     */
+    get mimeType() {
+        return "text/csv";
+    }
+
+    /**
+     * File name extension of exported content.
+     *
+     * @type {string}
+     */
+    get extension() {
+        return "csv";
+    }
+
+    /**
+     * Values delimiter (<code>delimiter</code> option). Defaults to comma.
+     *
+     * @type {string}
+     */
+    get delimiter() {
+        return this.options.delimiter || Const.DEFAULT_EXPORT_DELIMITER;
+    }
+
+    /**
+     * Exports records to CSV.
+     *
+     * @param {Object[]} records - Records to export
+     * @param {Object[]} columns - Exported columns
+     * @return {Buffer} Exported content
+     */
+    export(records, columns) {
+        const lines = [];
+        const delimiter = this.delimiter;
+        const self = this;
+        lines.push(columns.map(function(column) {
+            return self.quote(column.title);
+        }).join(delimiter));
+        for (let i = 0, l = records.length; i < l; i++) {
+            const record = records[i];
+            lines.push(columns.map(function(column) {
+                return self.quote(self.getText(record, column));
+            }).join(delimiter));
+        }
+        return Buffer.from("\uFEFF" + lines.join("\r\n") + "\r\n", "utf8");
+    }
+
+    /**
+     * Quotes value if it contains delimiter, quotes or line breaks.
+     * Value which could be evaluated as formula is prefixed with apostrophe.
+     *
+     * @param {string} value - Value
+     * @return {string} Quoted value
+     */
+    quote(value) {
+        value = String(value);
+        if (FORMULA_START.test(value) && !NUMBER.test(value)) {
+            value = "'" + value;
+        }
+        if (value.indexOf(this.delimiter) >= 0 || /["\r\n]/.test(value)) {
+            return "\"" + value.replace(/"/g, "\"\"") + "\"";
+        }
+        return value;
+    }
+
+}
+
+module.exports = CSVExporter;
@@ -0,0 +1,304 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const assert = require("assert");
+
+const Exception = require("srv-core").Exception;
+
+const Const = require("../Const");
+
+// Exporter classes by export format
+const _exporters = {};
+
+let CSVExporter;
+let JSONExporter;
+let XMLExporter;
+let XLSXExporter;
+let HTMLExporter;
+let PDFExporter;
+
+/**
+ * Base class for exporting records to file (see <code>exportResults</code> of {@link DSRequest}).
+ * Implementations override {@link Exporter#export}, {@link Exporter#mimeType} and {@link Exporter#extension}
+ * and are registered for export format with {@link Exporter.register}.
+ * <br/>
+ * Records are exported by columns created from data source fields (see {@link Exporter.getColumns}):
+ * field titles are used for headers and field valueMaps for display values.
+ */
+class Exporter {
+
+    /**
+     * Creates exporter.
+     *
+     * @param {Object} [options] - Export options (e.g. <code>delimiter</code>, <code>title</code>, <code>groupBy</code>)
+     */
+    constructor(options) {
+        this._options = (typeof options === "object" && options !== null) ? options : {};
+    }
+
+    /**
+     * Export options.
+     *
+     * @type {Object}
+     */
+    get options() {
+        return this._options;
+    }
+
+    /**
+     * MIME type of exported content.
+     *
+     * @type {string}
+     */
+    get mimeType() {
+        return Const.DEFAULT_MIME_TYPE;
+    }
+
+    /**
+     * File name extension of exported content (without dot).
+     *
+     * @type {string}
+     */
+    get extension() {
+        return "bin";
+    }
+
+    /**
+     * Exports records. Should be overridden by implementation.
+     *
+     * @param {Object[]} records - Records to export
+     * @param {Object[]} columns - Exported columns (see {@link Exporter.getColumns})
+     * @param {DataSource} [dataSource] - Data source of records
+     * @return {Buffer} Exported content
+     */
+    export(records, columns, dataSource) {
+        throw new Exception("Export is not implemented");
+    }
+
+    /**
+     * Returns value of column in record.
+     * If column has valueMap with record value - mapped display value is returned.
+     * Serialized values of <code>date</code> and <code>datetime</code> columns are returned as <code>Date</code>.
+     *
+     * @param {Object} record - Record
+     * @param {Object} column - Column
+     * @return {*} Value
+     */
+    getValue(record, column) {
+        const value = record ? record[column.name] : null;
+        if (value === undefined || value === null) {
+            return null;
+        }
+        const valueMap = column.valueMap;
+        if (typeof valueMap === "object" && valueMap !== null && !Array.isArray(valueMap)
+                && valueMap.hasOwnProperty(String(value))) {
+            return valueMap[String(value)];
+        }
+        if (typeof value === "string" && column.type === "date") {
+            const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+            if (match) {
+                return new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+            }
+        } else if (typeof value === "string" && column.type === "datetime" && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+            const date = new Date(value);
+            if (!isNaN(date.getTime())) {
+                return date;
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Returns column value in record as text.
+     * Dates are formatted as <code>YYYY-MM-DD</code> for <code>date</code> fields and ISO 8601 otherwise.
+     *
+     * @param {Object} record - Record
+     * @param {Object} column - Column
+     * @return {string} Text (empty string for <code>null</code>)
+     */
+    getText(record, column) {
+        const value = this.getValue(record, column);
+        if (value === null) {
+            return "";
+        }
+        if (value instanceof Date) {
+            return Exporter.formatDate(value, column);
+        }
+        if (typeof value === "object") {
+            return JSON.stringify(value);
+        }
+        return String(value);
+    }
+
+    /**
+     * Formats date value for column.
+     *
+     * @param {Date} value - Date
+     * @param {Object} column - Column
+     * @return {string} Formatted date
+     */
+    static formatDate(value, column) {
+        if (column && column.type === "date") {
+            const pad = function(n) {
+                return (n < 10 ? "0" : "") + n;
+            };
+            return value.getFullYear() + "-" + pad(value.getMonth() + 1) + "-" + pad(value.getDate());
+        }
+        return value.toISOString();
+    }
+
+    /**
+     * Creates exported columns from data source fields.
+     * Binary and hidden fields and fields with <code>canExport: false</code> are never exported.
+     * If field names are specified - only these fields are exported in specified order, names of fields
+     * not defined in data source are ignored. Otherwise all data source fields are exported.
+     * Column has <code>name</code>, <code>title</code> (field title or name), <code>type</code> and
+     * <code>valueMap</code> properties.
+     *
+     * @param {DataSource} dataSource - Data source
+     * @param {string[]} [fieldNames] - Names of exported fields
+     * @return {Object[]} Columns
+     */
+    static getColumns(dataSource, fieldNames) {
+        const columns = [];
+        const fields = [];
+        if (Array.isArray(fieldNames) && fieldNames.length > 0) {
+            for (let i = 0, l = fieldNames.length; i < l; i++) {
+                const field = dataSource ? dataSource.getField(String(fieldNames[i])) : null;
+                if (field && fields.indexOf(field) < 0) {
+                    fields.push(field);
+                }
+            }
+        } else if (dataSource) {
+            fields.push.apply(fields, dataSource.fields);
+        }
+        for (let i = 0, l = fields.length; i < l; i++) {
+            const field = fields[i];
+            if (!field || !field.name || dataSource.isBinaryField(field)
+                    || String(field.hidden) === "true" || String(field.canExport) === "false") {
+                continue;
+            }
+            columns.push(toColumn(field));
+        }
+        return columns;
+    }
+
+    /**
+     * Registers exporter class for export format.
+     *
+     * @param {string} format - Export format (value of <code>exportAs</code>)
+     * @param {function} ExporterClass - Class extending {@link Exporter}
+     */
+    static register(format, ExporterClass) {
+        assert.equal(typeof format, "string", "argument 'format' must be string");
+        assert.equal(typeof ExporterClass === "function" && ExporterClass.prototype instanceof Exporter, true,
+            "argument 'ExporterClass' must extend Exporter");
+        _exporters[format.toLowerCase()] = ExporterClass;
+    }
+
+    /**
+     * Creates exporter for export format.
+     *
+     * @param {string} format - Export format
+     * @param {Object} [options] - Export options
+     * @return {Exporter} Exporter
+     * @throws {Exception} When export format is not supported
+     */
+    static create(format, options) {
+        ensureDependencies();
+        const ExporterClass = _exporters[String(format).toLowerCase()];
+        if (!ExporterClass) {
+            throw new Exception("Export format '" + format + "' is not supported");
+        }
+        return new ExporterClass(options);
+    }
+
+}
+
+/**
+ * Creates column from field definition.
+ *
+ * @param {Object} field - Field definition
+ * @return {Object} Column
+ */
+const toColumn = function(field) {
+    return {
+        name: field.name,
+        title: field.title || field.name,
+        type: field.type || null,
+        valueMap: field.valueMap || null
+    };
+};
+
+/**
+ * Registers built-in exporter unless exporter for the format is already registered.
+ *
+ * @param {string} format - Export format
+ * @param {function} ExporterClass - Exporter class
+ */
+const registerBuiltIn = function(format, ExporterClass) {
+    if (!_exporters[format]) {
+        Exporter.register(format, ExporterClass);
+    }
+};
+
+/**
+ * Ensures that dependencies are loaded correctly and built-in exporters are registered.
+ * Solves cyclic references loading problem.
+ */
+const ensureDependencies = function() {
+    if (typeof CSVExporter !== "function") {
+        CSVExporter = require("./CSVExporter");
+        registerBuiltIn(Const.EXPORT_FORMAT_CSV, CSVExporter);
+    }
+    if (typeof JSONExporter !== "function") {
+        JSONExporter = require("./JSONExporter");
+        registerBuiltIn(Const.EXPORT_FORMAT_JSON, JSONExporter);
+    }
+    if (typeof XMLExporter !== "function") {
+        XMLExporter = require("./XMLExporter");
+        registerBuiltIn(Const.EXPORT_FORMAT_XML, XMLExporter);
+    }
+    if (typeof XLSXExporter !== "function") {
+        XLSXExporter = require("./XLSXExporter");
+        registerBuiltIn(Const.EXPORT_FORMAT_XLSX, XLSXExporter);
+        registerBuiltIn(Const.EXPORT_FORMAT_OOXML, XLSXExporter);
+        registerBuiltIn(Const.EXPORT_FORMAT_XLS, XLSXExporter);
+    }
+    if (typeof HTMLExporter !== "function") {
+        HTMLExporter = require("./HTMLExporter");
+        registerBuiltIn(Const.EXPORT_FORMAT_HTML, HTMLExporter);
+    }
+    if (typeof PDFExporter !== "function") {
+        PDFExporter = require("./PDFExporter");
+        registerBuiltIn(Const.EXPORT_FORMAT_PDF, PDFExporter);
+    }
+};
+
+module.exports = Exporter;
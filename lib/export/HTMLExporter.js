@@ -0,0 +1,114 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const XMLUtil = require("srv-util").XMLUtil;
+
+const ReportExporter = require("./ReportExporter");
+
+// Report style sheet. Table header is repeated and footer is shown on every printed page.
+const STYLE = "body{font-family:Arial,Helvetica,sans-serif;font-size:10pt;margin:1cm;}" +
+    "h1{font-size:14pt;margin:0 0 8pt 0;}" +
+    "table{border-collapse:collapse;width:100%;}" +
+    "thead{display:table-header-group;}" +
+    "tr{page-break-inside:avoid;}" +
+    "th,td{border:1px solid #999;padding:2pt 4pt;text-align:left;vertical-align:top;white-space:pre-wrap;}" +
+    "th{background:#ddd;}" +
+    "td.num{text-align:right;}" +
+    "tr.group th{background:#eee;}" +
+    ".footer{margin-top:8pt;font-size:8pt;color:#555;}" +
+    "@page{margin:1cm;}" +
+    "@media print{body{margin:0;}.footer{position:fixed;bottom:0;}}";
+
+/**
+ * Exports records to printable HTML report.
+ * Report is paginated by browser when printed: table header is repeated on every page.
+ *
+ * @extends ReportExporter
+ */
+class HTMLExporter extends ReportExporter {
+
+    /**
+     * MIME type of exported content.
+     *
+     * @type {string}
+     */
+    get mimeType() {
+        return "text/html";
+    }
+
+    /**
+     * File name extension of exported content.
+     *
+     * @type {string}
+     */
+    get extension() {
+        return "html";
+    }
+
+    /**
+     * Exports records to HTML report.
+     *
+     * @param {Object[]} records - Records to export
+     * @param {Object[]} columns - Exported columns
+     * @param {DataSource} [dataSource] - Data source of records
+     * @return {Buffer} Exported content
+     */
+    export(records, columns, dataSource) {
+        const self = this;
+        const title = XMLUtil.escapeXml(this.getTitle(dataSource));
+        let html = "<!DOCTYPE html>\n<html>\n<head>\n<meta charset=\"UTF-8\">\n<title>" + title + "</title>\n" +
+            "<style>" + STYLE + "</style>\n</head>\n<body>\n";
+        html += "<h1>" + title + "</h1>\n<table>\n<thead>\n<tr>";
+        for (let i = 0, l = columns.length; i < l; i++) {
+            html += "<th>" + XMLUtil.escapeXml(columns[i].title) + "</th>";
+        }
+        html += "</tr>\n</thead>\n";
+        const groups = this.groupRecords(records, dataSource);
+        for (let gi = 0, gl = groups.length; gi < gl; gi++) {
+            const group = groups[gi];
+            html += "<tbody>\n";
+            if (group.title !== null) {
+                html += "<tr class=\"group\"><th colspan=\"" + columns.length + "\">" + XMLUtil.escapeXml(group.title) + "</th></tr>\n";
+            }
+            for (let i = 0, l = group.records.length; i < l; i++) {
+                const record = group.records[i];
+                html += "<tr>" + columns.map(function(column) {
+                    return "<td" + (self.isRightAligned(column) ? " class=\"num\"" : "") + ">" +
+                        XMLUtil.escapeXml(self.getText(record, column)) + "</td>";
+                }).join("") + "</tr>\n";
+            }
+            html += "</tbody>\n";
+        }
+        html += "</table>\n<div class=\"footer\">" + XMLUtil.escapeXml(this.getFooter()) + "</div>\n</body>\n</html>\n";
+        return Buffer.from(html, "utf8");
+    }
+
+}
+
+module.exports = HTMLExporter;
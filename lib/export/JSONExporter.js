@@ -0,0 +1,81 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const Exporter = require("./Exporter");
+
+/**
+ * Exports records to JSON array of objects.
+ * Object properties are field names, values are display values (valueMap applied).
+ *
+ * @extends Exporter
+ */
+class JSONExporter extends Exporter {
+
+    /**
+     * MIME type of exported content.
+     *
+     * @type {string}
+     */
+    get mimeType() {
+        return "application/json";
+    }
+
+    /**
+     * File name extension of exported content.
+     *
+     * @type {string}
+     */
+    get extension() {
+        return "json";
+    }
+
+    /**
+     * Exports records to JSON.
+     *
+     * @param {Object[]} records - Records to export
+     * @param {Object[]} columns - Exported columns
+     * @return {Buffer} Exported content
+     */
+    export(records, columns) {
+        const result = [];
+        for (let i = 0, l = records.length; i < l; i++) {
+            const o = {};
+            for (let ci = 0, cl = columns.length; ci < cl; ci++) {
+                const column = columns[ci];
+                const value = this.getValue(records[i], column);
+                o[column.name] = value instanceof Date ? Exporter.formatDate(value, column) : value;
+            }
+            result.push(o);
+        }
+        return Buffer.from(JSON.stringify(result, null, 4), "utf8");
+    }
+
+}
+
+module.exports = JSONExporter;
@@ -0,0 +1,208 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const ReportExporter = require("./ReportExporter");
+const PDFWriter = require("./PDFWriter");
+
+// A4 page size in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+// Page layout
+const MARGIN = 36;
+const TITLE_SIZE = 14;
+const TITLE_HEIGHT = 24;
+const HEADER_SIZE = 9;
+const HEADER_HEIGHT = 14;
+const ROW_SIZE = 8;
+const ROW_HEIGHT = 12;
+const FOOTER_SIZE = 7;
+const FOOTER_HEIGHT = 14;
+const CELL_PADDING = 3;
+// Maximum number of columns of portrait page
+const MAX_PORTRAIT_COLUMNS = 6;
+
+/**
+ * Exports records to PDF report.
+ * Records are written as table on A4 pages (landscape if there are more than 6 columns) with
+ * header repeated on every page. Every page has footer with generation time and page number.
+ * Text is written with standard PDF fonts in WinAnsiEncoding, so characters outside of it
+ * (e.g. Cyrillic, Greek or CJK) are replaced with "?". Use HTML or XLSX export for such data.
+ *
+ * @extends ReportExporter
+ */
+class PDFExporter extends ReportExporter {
+
+    /**
+     * MIME type of exported content.
+     *
+     * @type {string}
+     */
+    get mimeType() {
+        return "application/pdf";
+    }
+
+    /**
+     * File name extension of exported content.
+     *
+     * @type {string}
+     */
+    get extension() {
+        return "pdf";
+    }
+
+    /**
+     * Exports records to PDF report.
+     *
+     * @param {Object[]} records - Records to export
+     * @param {Object[]} columns - Exported columns
+     * @param {DataSource} [dataSource] - Data source of records
+     * @return {Buffer} Exported content
+     */
+    export(records, columns, dataSource) {
+        const self = this;
+        const title = this.getTitle(dataSource);
+        const writer = new PDFWriter({Title: title});
+        const landscape = columns.length > MAX_PORTRAIT_COLUMNS;
+        const pageWidth = landscape ? PAGE_HEIGHT : PAGE_WIDTH;
+        const pageHeight = landscape ? PAGE_WIDTH : PAGE_HEIGHT;
+        const tableWidth = pageWidth - MARGIN * 2;
+        const bottom = pageHeight - MARGIN - FOOTER_HEIGHT;
+        const groups = this.groupRecords(records, dataSource);
+        const widths = this._getColumnWidths(writer, records, columns, tableWidth);
+        let y = 0;
+
+        const writeRow = function(texts, size, bold) {
+            let x = MARGIN;
+            for (let i = 0, l = columns.length; i < l; i++) {
+                const text = writer.fitText(texts[i], widths[i] - CELL_PADDING * 2, size, bold);
+                if (self.isRightAligned(columns[i])) {
+                    writer.text(x + widths[i] - CELL_PADDING, y + size, text, {size: size, bold: bold, align: "right"});
+                } else {
+                    writer.text(x + CELL_PADDING, y + size, text, {size: size, bold: bold});
+                }
+                x += widths[i];
+            }
+        };
+        const addPage = function() {
+            writer.addPage(pageWidth, pageHeight);
+            y = MARGIN;
+            if (writer.pageCount === 1) {
+                writer.text(MARGIN, y + TITLE_SIZE, writer.fitText(title, tableWidth, TITLE_SIZE, true), {size: TITLE_SIZE, bold: true});
+                y += TITLE_HEIGHT;
+            }
+            writer.rect(MARGIN, y, tableWidth, HEADER_HEIGHT, 0.85);
+            writeRow(columns.map(function(column) {
+                return column.title;
+            }), HEADER_SIZE, true);
+            y += HEADER_HEIGHT;
+        };
+
+        addPage();
+        for (let gi = 0, gl = groups.length; gi < gl; gi++) {
+            const group = groups[gi];
+            if (group.title !== null) {
+                // Keep group title with first record of group
+                if (y + ROW_HEIGHT * 2 > bottom) {
+                    addPage();
+                }
+                writer.rect(MARGIN, y, tableWidth, ROW_HEIGHT, 0.93);
+                writer.text(MARGIN + CELL_PADDING, y + ROW_SIZE + 1,
+                    writer.fitText(group.title, tableWidth - CELL_PADDING * 2, ROW_SIZE, true), {size: ROW_SIZE, bold: true});
+                y += ROW_HEIGHT;
+            }
+            for (let i = 0, l = group.records.length; i < l; i++) {
+                if (y + ROW_HEIGHT > bottom) {
+                    addPage();
+                }
+                const record = group.records[i];
+                writeRow(columns.map(function(column) {
+                    return self._getCellText(record, column);
+                }), ROW_SIZE, false);
+                y += ROW_HEIGHT;
+                writer.line(MARGIN, y - 1, MARGIN + tableWidth, y - 1, {width: 0.25, gray: 0.8});
+            }
+        }
+
+        const footer = this.getFooter();
+        for (let i = 0, l = writer.pageCount; i < l; i++) {
+            writer.setPage(i);
+            const footerY = pageHeight - MARGIN;
+            writer.line(MARGIN, footerY - FOOTER_HEIGHT + 2, MARGIN + tableWidth, footerY - FOOTER_HEIGHT + 2, {width: 0.5, gray: 0.5});
+            writer.text(MARGIN, footerY, footer, {size: FOOTER_SIZE, gray: 0.3});
+            writer.text(MARGIN + tableWidth, footerY, "Page " + (i + 1) + " of " + l, {size: FOOTER_SIZE, gray: 0.3, align: "right"});
+        }
+        return writer.toBuffer();
+    }
+
+    /**
+     * Returns single line text of column value in record.
+     *
+     * @param {Object} record - Record
+     * @param {Object} column - Column
+     * @return {string} Text
+     * @private
+     */
+    _getCellText(record, column) {
+        return this.getText(record, column).replace(/\s+/g, " ");
+    }
+
+    /**
+     * Calculates column widths proportional to widths of column titles and values.
+     * Widths are scaled to fill table width.
+     *
+     * @param {PDFWriter} writer - PDF writer
+     * @param {Object[]} records - Records
+     * @param {Object[]} columns - Columns
+     * @param {number} tableWidth - Table width
+     * @return {number[]} Column widths
+     * @private
+     */
+    _getColumnWidths(writer, records, columns, tableWidth) {
+        const widths = [];
+        let total = 0;
+        for (let i = 0, l = columns.length; i < l; i++) {
+            const column = columns[i];
+            let width = writer.measureText(column.title, HEADER_SIZE, true);
+            for (let r = 0, rl = records.length; r < rl; r++) {
+                width = Math.max(width, writer.measureText(this._getCellText(records[r], column), ROW_SIZE));
+            }
+            // Limit width of long texts so that they don't hide other columns
+            width = Math.min(width, tableWidth / 2) + CELL_PADDING * 2;
+            widths.push(width);
+            total += width;
+        }
+        const scale = total > 0 ? tableWidth / total : 1;
+        return widths.map(function(width) {
+            return width * scale;
+        });
+    }
+
+}
+
+module.exports = PDFExporter;
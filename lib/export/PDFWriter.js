@@ -0,0 +1,350 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const zlib = require("zlib");
+
+// Widths of characters 32-126 of standard fonts (in 1/1000 of font size)
+const FONT_WIDTHS = {
+    "Helvetica": [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    "Helvetica-Bold": [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// Width of characters not listed in width tables
+const DEFAULT_WIDTH = 556;
+
+// WinAnsiEncoding codes of characters outside of Latin-1
+const WIN_ANSI_CODES = {
+    "€": 0x80, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94,
+    "•": 0x95, "–": 0x96, "—": 0x97
+};
+
+/**
+ * Minimal PDF 1.4 document writer.
+ * Supports pages with text (standard Helvetica fonts, WinAnsiEncoding), lines and filled rectangles.
+ * Characters which can not be encoded in WinAnsiEncoding are written as "?".
+ * Coordinates are in points and measured from top left corner of page.
+ */
+class PDFWriter {
+
+    /**
+     * Creates PDF writer.
+     *
+     * @param {Object} [info] - Document information (e.g. <code>Title</code>, <code>Creator</code>)
+     */
+    constructor(info) {
+        this._info = (typeof info === "object" && info !== null) ? info : {};
+        this._pages = [];
+        this._page = null;
+    }
+
+    /**
+     * Number of pages.
+     *
+     * @type {number}
+     */
+    get pageCount() {
+        return this._pages.length;
+    }
+
+    /**
+     * Adds new page and makes it current.
+     *
+     * @param {number} width - Page width
+     * @param {number} height - Page height
+     * @return {number} Page index
+     */
+    addPage(width, height) {
+        this._page = {width: width, height: height, content: []};
+        this._pages.push(this._page);
+        return this._pages.length - 1;
+    }
+
+    /**
+     * Makes page with specified index current.
+     *
+     * @param {number} index - Page index
+     */
+    setPage(index) {
+        if (!this._pages[index]) {
+            throw new Error("Page " + index + " does not exist");
+        }
+        this._page = this._pages[index];
+    }
+
+    /**
+     * Writes text on current page.
+     *
+     * @param {number} x - Left position of text
+     * @param {number} y - Baseline position of text
+     * @param {string} text - Text
+     * @param {Object} [options] - Options: <code>size</code> (default 10), <code>bold</code>,
+     * <code>align</code> (<code>left</code>, <code>right</code>) and <code>gray</code> (0 - black, 1 - white)
+     */
+    text(x, y, text, options) {
+        const page = this._getPage();
+        options = options || {};
+        const size = options.size || 10;
+        text = String(text);
+        if (options.align === "right") {
+            x -= this.measureText(text, size, options.bold);
+        }
+        page.content.push("BT " + (options.gray ? formatNumber(options.gray) : "0") + " g /" + (options.bold ? "F2" : "F1") + " " +
+            formatNumber(size) + " Tf " + formatNumber(x) + " " + formatNumber(page.height - y) + " Td (" + encodeText(text) + ") Tj ET");
+    }
+
+    /**
+     * Draws line on current page.
+     *
+     * @param {number} x1 - Start X
+     * @param {number} y1 - Start Y
+     * @param {number} x2 - End X
+     * @param {number} y2 - End Y
+     * @param {Object} [options] - Options: <code>width</code> (default 0.5) and <code>gray</code> (default 0)
+     */
+    line(x1, y1, x2, y2, options) {
+        const page = this._getPage();
+        options = options || {};
+        page.content.push(formatNumber(options.gray || 0) + " G " + formatNumber(options.width || 0.5) + " w " +
+            formatNumber(x1) + " " + formatNumber(page.height - y1) + " m " +
+            formatNumber(x2) + " " + formatNumber(page.height - y2) + " l S");
+    }
+
+    /**
+     * Draws filled rectangle on current page.
+     *
+     * @param {number} x - Left position
+     * @param {number} y - Top position
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @param {number} [gray] - Fill color (0 - black, 1 - white, default 0.9)
+     */
+    rect(x, y, width, height, gray) {
+        const page = this._getPage();
+        page.content.push(formatNumber(typeof gray === "number" ? gray : 0.9) + " g " + formatNumber(x) + " " +
+            formatNumber(page.height - y - height) + " " + formatNumber(width) + " " + formatNumber(height) + " re f");
+    }
+
+    /**
+     * Returns width of text.
+     *
+     * @param {string} text - Text
+     * @param {number} size - Font size
+     * @param {boolean} [bold] - <code>true</code> for bold font
+     * @return {number} Text width
+     */
+    measureText(text, size, bold) {
+        const widths = FONT_WIDTHS[bold ? "Helvetica-Bold" : "Helvetica"];
+        text = String(text);
+        let width = 0;
+        for (let i = 0, l = text.length; i < l; i++) {
+            const code = text.charCodeAt(i);
+            width += (code >= 32 && code <= 126) ? widths[code - 32] : DEFAULT_WIDTH;
+        }
+        return width * size / 1000;
+    }
+
+    /**
+     * Truncates text to fit specified width. Truncated text ends with "...".
+     *
+     * @param {string} text - Text
+     * @param {number} width - Maximum width
+     * @param {number} size - Font size
+     * @param {boolean} [bold] - <code>true</code> for bold font
+     * @return {string} Text that fits width
+     */
+    fitText(text, width, size, bold) {
+        text = String(text);
+        if (this.measureText(text, size, bold) <= width) {
+            return text;
+        }
+        // Accumulate character widths once instead of measuring every prefix (quadratic for long values)
+        const widths = FONT_WIDTHS[bold ? "Helvetica-Bold" : "Helvetica"];
+        const available = width * 1000 / size - this.measureText("...", 1000, bold);
+        let used = 0;
+        let length = 0;
+        while (length < text.length) {
+            const code = text.charCodeAt(length);
+            used += (code >= 32 && code <= 126) ? widths[code - 32] : DEFAULT_WIDTH;
+            if (used > available) {
+                break;
+            }
+            length++;
+        }
+        return length > 0 ? text.substring(0, length) + "..." : "";
+    }
+
+    /**
+     * Writes PDF document.
+     *
+     * @return {Buffer} PDF content
+     */
+    toBuffer() {
+        if (this._pages.length === 0) {
+            this.addPage(595.28, 841.89);
+        }
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+        const write = function(data) {
+            const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, "latin1");
+            chunks.push(buffer);
+            length += buffer.length;
+        };
+        const writeObject = function(id, body, stream) {
+            offsets[id] = length;
+            write(id + " 0 obj\n" + body + "\n");
+            if (stream) {
+                write("stream\n");
+                write(stream);
+                write("\nendstream\n");
+            }
+            write("endobj\n");
+        };
+        // Objects: 1 - catalog, 2 - pages, 3, 4 - fonts, 5 - info, then page and content stream for every page
+        const pageIds = [];
+        for (let i = 0, l = this._pages.length; i < l; i++) {
+            pageIds.push(6 + i * 2);
+        }
+        write("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n");
+        writeObject(1, "<< /Type /Catalog /Pages 2 0 R >>");
+        writeObject(2, "<< /Type /Pages /Kids [" + pageIds.map(function(id) {
+            return id + " 0 R";
+        }).join(" ") + "] /Count " + pageIds.length + " >>");
+        writeObject(3, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+        writeObject(4, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+        let info = "<< /Producer (" + encodeText("smartclient-rpc") + ") /CreationDate (" + formatDate(new Date()) + ")";
+        for (let key in this._info) {
+            if (this._info.hasOwnProperty(key) && this._info[key] !== null && this._info[key] !== undefined) {
+                info += " /" + key + " (" + encodeText(this._info[key]) + ")";
+            }
+        }
+        writeObject(5, info + " >>");
+        for (let i = 0, l = this._pages.length; i < l; i++) {
+            const page = this._pages[i];
+            const id = pageIds[i];
+            writeObject(id, "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 " + formatNumber(page.width) + " " +
+                formatNumber(page.height) + "] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents " +
+                (id + 1) + " 0 R >>");
+            const stream = zlib.deflateSync(Buffer.from(page.content.join("\n"), "latin1"));
+            writeObject(id + 1, "<< /Length " + stream.length + " /Filter /FlateDecode >>", stream);
+        }
+        const count = 6 + this._pages.length * 2;
+        const xref = length;
+        let table = "xref\n0 " + count + "\n0000000000 65535 f \n";
+        for (let id = 1; id < count; id++) {
+            table += ("0000000000" + offsets[id]).slice(-10) + " 00000 n \n";
+        }
+        write(table);
+        write("trailer\n<< /Size " + count + " /Root 1 0 R /Info 5 0 R >>\nstartxref\n" + xref + "\n%%EOF\n");
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Returns current page. Adds A4 page if there are no pages.
+     *
+     * @return {Object} Page
+     * @private
+     */
+    _getPage() {
+        if (!this._page) {
+            this.addPage(595.28, 841.89);
+        }
+        return this._page;
+    }
+
+}
+
+/**
+ * Formats number for PDF content.
+ *
+ * @param {number} value - Number
+ * @return {string} Formatted number
+ */
+const formatNumber = function(value) {
+    return String(Math.round(value * 100) / 100);
+};
+
+/**
+ * Formats date as PDF date string.
+ *
+ * @param {Date} date - Date
+ * @return {string} PDF date
+ */
+const formatDate = function(date) {
+    const pad = function(n) {
+        return (n < 10 ? "0" : "") + n;
+    };
+    return "D:" + date.getUTCFullYear() + pad(date.getUTCMonth() + 1) + pad(date.getUTCDate()) +
+        pad(date.getUTCHours()) + pad(date.getUTCMinutes()) + pad(date.getUTCSeconds()) + "Z";
+};
+
+/**
+ * Encodes text as content of PDF string in WinAnsiEncoding.
+ * Characters that can not be encoded are replaced with "?".
+ *
+ * @param {string} text - Text
+ * @return {string} Escaped text
+ */
+const encodeText = function(text) {
+    text = String(text);
+    let result = "";
+    for (let i = 0, l = text.length; i < l; i++) {
+        const c = text.charAt(i);
+        let code = text.charCodeAt(i);
+        if (WIN_ANSI_CODES.hasOwnProperty(c)) {
+            code = WIN_ANSI_CODES[c];
+        } else if (code < 32 || (code > 126 && code < 160) || code > 255) {
+            code = 63;
+        }
+        if (code === 40 || code === 41 || code === 92) {
+            result += "\\" + String.fromCharCode(code);
+        } else if (code > 126) {
+            result += "\\" + code.toString(8);
+        } else {
+            result += String.fromCharCode(code);
+        }
+    }
+    return result;
+};
+
+module.exports = PDFWriter;
@@ -0,0 +1,144 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const Exception = require("srv-core").Exception;
+
+const Exporter = require("./Exporter");
+
+/**
+ * Base class for printable report exporters (HTML, PDF).
+ * Report has title (<code>title</code> option or data source title), table of records with
+ * column titles as headers, optional grouping by field (<code>groupBy</code> option) and
+ * footer with generation time.
+ *
+ * @extends Exporter
+ */
+class ReportExporter extends Exporter {
+
+    /**
+     * Creates report exporter.
+     *
+     * @param {Object} [options] - Export options
+     */
+    constructor(options) {
+        super(options);
+        this._generatedAt = new Date();
+    }
+
+    /**
+     * Time of report generation.
+     *
+     * @type {Date}
+     */
+    get generatedAt() {
+        return this._generatedAt;
+    }
+
+    /**
+     * Returns report title.
+     * Uses <code>title</code> option, data source <code>title</code> or ID.
+     *
+     * @param {DataSource} [dataSource] - Data source of records
+     * @return {string} Report title
+     */
+    getTitle(dataSource) {
+        if (this.options.title) {
+            return String(this.options.title);
+        }
+        if (dataSource) {
+            return String(dataSource.config.title || dataSource.config.pluralTitle || dataSource.ID);
+        }
+        return "";
+    }
+
+    /**
+     * Returns footer text.
+     *
+     * @return {string} Footer text
+     */
+    getFooter() {
+        const date = this.generatedAt;
+        const pad = function(n) {
+            return (n < 10 ? "0" : "") + n;
+        };
+        return "Generated at " + date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate()) + " " +
+            pad(date.getHours()) + ":" + pad(date.getMinutes()) + ":" + pad(date.getSeconds());
+    }
+
+    /**
+     * Returns <code>true</code> if column values should be aligned right (numeric fields).
+     *
+     * @param {Object} column - Column
+     * @return {boolean}
+     */
+    isRightAligned(column) {
+        return column.type === "integer" || column.type === "float" || column.type === "decimal" || column.type === "sequence";
+    }
+
+    /**
+     * Groups records by <code>groupBy</code> option field.
+     * Groups are ordered by first record in group, records keep their order.
+     * If records are not grouped - single group without title is returned.
+     *
+     * @param {Object[]} records - Records
+     * @param {DataSource} [dataSource] - Data source of records
+     * @return {Object[]} Groups with <code>title</code> and <code>records</code> properties
+     * @throws {Exception} if <code>groupBy</code> is not exportable field of data source
+     */
+    groupRecords(records, dataSource) {
+        const groupBy = this.options.groupBy;
+        if (!groupBy) {
+            return [{title: null, records: records}];
+        }
+        const column = Exporter.getColumns(dataSource, [groupBy])[0];
+        if (!column) {
+            throw new Exception("Records can not be grouped by field '" + groupBy + "': field does not exist or is not exported");
+        }
+        const groups = [];
+        const groupsByValue = {};
+        for (let i = 0, l = records.length; i < l; i++) {
+            const text = this.getText(records[i], column);
+            let group = groupsByValue[text];
+            if (!group) {
+                group = {value: text, records: []};
+                groupsByValue[text] = group;
+                groups.push(group);
+            }
+            group.records.push(records[i]);
+        }
+        for (let i = 0, l = groups.length; i < l; i++) {
+            const group = groups[i];
+            group.title = column.title + ": " + (group.value === "" ? "-" : group.value) + " (" + group.records.length + ")";
+        }
+        return groups;
+    }
+
+}
+
+module.exports = ReportExporter;
@@ -0,0 +1,260 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const XMLTextUtil = require("../XMLTextUtil");
+const Exporter = require("./Exporter");
+const ZipWriter = require("./ZipWriter");
+
+// Namespace of SpreadsheetML
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+// Namespace of relationships
+const REL_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+// Namespace of package relationships
+const PACKAGE_REL_NS = "http://schemas.openxmlformats.org/package/2006/relationships";
+// XML declaration of all parts
+const XML_HEADER = "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>\n";
+// Cell styles (index in cellXfs of styles part)
+const STYLE_HEADER = 1;
+const STYLE_DATE = 2;
+const STYLE_DATETIME = 3;
+// Excel serial date of 1970-01-01
+const EXCEL_EPOCH_OFFSET = 25569;
+// Milliseconds in day
+const DAY_MS = 86400000;
+
+/**
+ * Exports records to Excel workbook (Office Open XML, <code>.xlsx</code>).
+ * Workbook has single sheet with header row of column titles. Numbers, booleans and dates
+ * are written as typed cells, other values as strings.
+ *
+ * @extends Exporter
+ */
+class XLSXExporter extends Exporter {
+
+    /**
+     * MIME type of exported content.
+     *
+     * @type {string}
+     */
+    get mimeType() {
+        return "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+    }
+
+    /**
+     * File name extension of exported content.
+     *
+     * @type {string}
+     */
+    get extension() {
+        return "xlsx";
+    }
+
+    /**
+     * Exports records to workbook.
+     *
+     * @param {Object[]} records - Records to export
+     * @param {Object[]} columns - Exported columns
+     * @param {DataSource} [dataSource] - Data source of records (its ID is used as sheet name)
+     * @return {Buffer} Exported content
+     */
+    export(records, columns, dataSource) {
+        const sheetName = toSheetName(dataSource && dataSource.ID ? dataSource.ID : "Results");
+        const zip = new ZipWriter();
+        zip.addFile("[Content_Types].xml", XML_HEADER +
+            "<Types xmlns=\"http://schemas.openxmlformats.org/package/2006/content-types\">" +
+            "<Default Extension=\"rels\" ContentType=\"application/vnd.openxmlformats-package.relationships+xml\"/>" +
+            "<Default Extension=\"xml\" ContentType=\"application/xml\"/>" +
+            "<Override PartName=\"/xl/workbook.xml\" " +
+            "ContentType=\"application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml\"/>" +
+            "<Override PartName=\"/xl/worksheets/sheet1.xml\" " +
+            "ContentType=\"application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml\"/>" +
+            "<Override PartName=\"/xl/styles.xml\" " +
+            "ContentType=\"application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml\"/>" +
+            "</Types>");
+        zip.addFile("_rels/.rels", XML_HEADER +
+            "<Relationships xmlns=\"" + PACKAGE_REL_NS + "\">" +
+            "<Relationship Id=\"rId1\" Type=\"" + REL_NS + "/officeDocument\" Target=\"xl/workbook.xml\"/>" +
+            "</Relationships>");
+        zip.addFile("xl/workbook.xml", XML_HEADER +
+            "<workbook xmlns=\"" + MAIN_NS + "\" xmlns:r=\"" + REL_NS + "\">" +
+            "<sheets><sheet name=\"" + XMLTextUtil.escape(sheetName) + "\" sheetId=\"1\" r:id=\"rId1\"/></sheets>" +
+            "</workbook>");
+        zip.addFile("xl/_rels/workbook.xml.rels", XML_HEADER +
+            "<Relationships xmlns=\"" + PACKAGE_REL_NS + "\">" +
+            "<Relationship Id=\"rId1\" Type=\"" + REL_NS + "/worksheet\" Target=\"worksheets/sheet1.xml\"/>" +
+            "<Relationship Id=\"rId2\" Type=\"" + REL_NS + "/styles\" Target=\"styles.xml\"/>" +
+            "</Relationships>");
+        zip.addFile("xl/styles.xml", XML_HEADER +
+            "<styleSheet xmlns=\"" + MAIN_NS + "\">" +
+            "<fonts count=\"2\"><font><sz val=\"11\"/><name val=\"Calibri\"/></font>" +
+            "<font><b/><sz val=\"11\"/><name val=\"Calibri\"/></font></fonts>" +
+            "<fills count=\"2\"><fill><patternFill patternType=\"none\"/></fill>" +
+            "<fill><patternFill patternType=\"gray125\"/></fill></fills>" +
+            "<borders count=\"1\"><border><left/><right/><top/><bottom/><diagonal/></border></borders>" +
+            "<cellStyleXfs count=\"1\"><xf numFmtId=\"0\" fontId=\"0\" fillId=\"0\" borderId=\"0\"/></cellStyleXfs>" +
+            "<cellXfs count=\"4\">" +
+            "<xf numFmtId=\"0\" fontId=\"0\" fillId=\"0\" borderId=\"0\" xfId=\"0\"/>" +
+            "<xf numFmtId=\"0\" fontId=\"1\" fillId=\"0\" borderId=\"0\" xfId=\"0\" applyFont=\"1\"/>" +
+            "<xf numFmtId=\"14\" fontId=\"0\" fillId=\"0\" borderId=\"0\" xfId=\"0\" applyNumberFormat=\"1\"/>" +
+            "<xf numFmtId=\"22\" fontId=\"0\" fillId=\"0\" borderId=\"0\" xfId=\"0\" applyNumberFormat=\"1\"/>" +
+            "</cellXfs>" +
+            "<cellStyles count=\"1\"><cellStyle name=\"Normal\" xfId=\"0\" builtinId=\"0\"/></cellStyles>" +
+            "</styleSheet>");
+        zip.addFile("xl/worksheets/sheet1.xml", this._createSheet(records, columns));
+        return zip.toBuffer();
+    }
+
+    /**
+     * Internal method creating worksheet part.
+     *
+     * @param {Object[]} records - Records to export
+     * @param {Object[]} columns - Exported columns
+     * @return {string} Worksheet XML
+     */
+    _createSheet(records, columns) {
+        const columnNames = columns.map(function(column, index) {
+            return toColumnName(index);
+        });
+        const rows = [];
+        let cells = "";
+        for (let ci = 0, cl = columns.length; ci < cl; ci++) {
+            cells += stringCell(columnNames[ci] + "1", columns[ci].title, STYLE_HEADER);
+        }
+        rows.push("<row r=\"1\">" + cells + "</row>");
+        for (let i = 0, l = records.length; i < l; i++) {
+            const rowNum = i + 2;
+            cells = "";
+            for (let ci = 0, cl = columns.length; ci < cl; ci++) {
+                cells += this._createCell(columnNames[ci] + rowNum, records[i], columns[ci]);
+            }
+            rows.push("<row r=\"" + rowNum + "\">" + cells + "</row>");
+        }
+        return XML_HEADER +
+            "<worksheet xmlns=\"" + MAIN_NS + "\" xmlns:r=\"" + REL_NS + "\">" +
+            // Header row stays visible while scrolling
+            "<sheetViews><sheetView workbookViewId=\"0\">" +
+            "<pane ySplit=\"1\" topLeftCell=\"A2\" activePane=\"bottomLeft\" state=\"frozen\"/>" +
+            "</sheetView></sheetViews>" +
+            "<sheetData>" + rows.join("") + "</sheetData>" +
+            "</worksheet>";
+    }
+
+    /**
+     * Internal method creating typed cell.
+     *
+     * @param {string} ref - Cell reference (e.g. B2)
+     * @param {Object} record - Record
+     * @param {Object} column - Column
+     * @return {string} Cell XML (empty string for <code>null</code> value)
+     */
+    _createCell(ref, record, column) {
+        const value = this.getValue(record, column);
+        if (value === null) {
+            return "";
+        }
+        if (value instanceof Date) {
+            if (isNaN(value.getTime())) {
+                return "";
+            }
+            if (column.type === "date") {
+                const serial = Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()) / DAY_MS + EXCEL_EPOCH_OFFSET;
+                return "<c r=\"" + ref + "\" s=\"" + STYLE_DATE + "\"><v>" + serial + "</v></c>";
+            }
+            // Excel has no time zones - local time is written
+            const serial = (value.getTime() - value.getTimezoneOffset() * 60000) / DAY_MS + EXCEL_EPOCH_OFFSET;
+            return "<c r=\"" + ref + "\" s=\"" + STYLE_DATETIME + "\"><v>" + serial + "</v></c>";
+        }
+        if (typeof value === "boolean") {
+            return "<c r=\"" + ref + "\" t=\"b\"><v>" + (value ? 1 : 0) + "</v></c>";
+        }
+        if (typeof value === "number" && isFinite(value)) {
+            return "<c r=\"" + ref + "\"><v>" + value + "</v></c>";
+        }
+        // Numeric fields can be returned as strings by data base drivers (e.g. bigint, numeric)
+        if (typeof value === "string" && isNumericType(column.type) && /^\s*-?\d+(\.\d+)?([eE][-+]?\d+)?\s*$/.test(value)) {
+            return "<c r=\"" + ref + "\"><v>" + Number(value) + "</v></c>";
+        }
+        return stringCell(ref, this.getText(record, column));
+    }
+
+}
+
+/**
+ * Creates inline string cell.
+ *
+ * @param {string} ref - Cell reference
+ * @param {string} text - Cell text
+ * @param {number} [style] - Cell style index
+ * @return {string} Cell XML
+ */
+const stringCell = function(ref, text, style) {
+    text = XMLTextUtil.escape(text);
+    return "<c r=\"" + ref + "\" t=\"inlineStr\"" + (style ? " s=\"" + style + "\"" : "") + ">" +
+        "<is><t xml:space=\"preserve\">" + text + "</t></is></c>";
+};
+
+/**
+ * Returns <code>true</code> for numeric field types.
+ *
+ * @param {string} type - Field type
+ * @return {boolean}
+ */
+const isNumericType = function(type) {
+    return type === "integer" || type === "float" || type === "decimal" || type === "sequence";
+};
+
+/**
+ * Converts zero based column index to column name (A, B, ..., Z, AA, ...).
+ *
+ * @param {number} index - Column index
+ * @return {string} Column name
+ */
+const toColumnName = function(index) {
+    let name = "";
+    index++;
+    while (index > 0) {
+        const mod = (index - 1) % 26;
+        name = String.fromCharCode(65 + mod) + name;
+        index = Math.floor((index - 1) / 26);
+    }
+    return name;
+};
+
+/**
+ * Converts string to valid sheet name (up to 31 characters, without <code>[]:*?/\</code>).
+ *
+ * @param {string} name - Name
+ * @return {string} Sheet name
+ */
+const toSheetName = function(name) {
+    name = String(name).replace(/[[\]:*?/\\]/g, "_").slice(0, 31);
+    return name || "Results";
+};
+
+module.exports = XLSXExporter;
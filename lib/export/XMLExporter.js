@@ -0,0 +1,89 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const XMLTextUtil = require("../XMLTextUtil");
+const Exporter = require("./Exporter");
+
+/**
+ * Exports records to XML.
+ * Records are enclosed into <code>&lt;List&gt;</code> element, record element is named after data source ID
+ * (<code>record</code> if data source is not known), values are elements named after fields.
+ *
+ * @extends Exporter
+ */
+class XMLExporter extends Exporter {
+
+    /**
+     * MIME type of exported content.
+     *
+     * @type {string}
+     */
+    get mimeType() {
+        return "application/xml";
+    }
+
+    /**
+     * File name extension of exported content.
+     *
+     * @type {string}
+     */
+    get extension() {
+        return "xml";
+    }
+
+    /**
+     * Exports records to XML.
+     *
+     * @param {Object[]} records - Records to export
+     * @param {Object[]} columns - Exported columns
+     * @param {DataSource} [dataSource] - Data source of records
+     * @return {Buffer} Exported content
+     */
+    export(records, columns, dataSource) {
+        const recordName = XMLTextUtil.toXMLName(dataSource && dataSource.ID ? dataSource.ID : "record");
+        const names = columns.map(function(column) {
+            return XMLTextUtil.toXMLName(column.name);
+        });
+        let xml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n<List>\n";
+        for (let i = 0, l = records.length; i < l; i++) {
+            xml += "    <" + recordName + ">\n";
+            for (let ci = 0, cl = columns.length; ci < cl; ci++) {
+                const text = this.getText(records[i], columns[ci]);
+                xml += "        <" + names[ci] + ">" + XMLTextUtil.escape(text) +
+                    "</" + names[ci] + ">\n";
+            }
+            xml += "    </" + recordName + ">\n";
+        }
+        xml += "</List>\n";
+        return Buffer.from(xml, "utf8");
+    }
+
+}
+
+module.exports = XMLExporter;
@@ -0,0 +1,181 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const assert = require("assert");
+const zlib = require("zlib");
+
+// CRC-32 lookup table (polynomial 0xEDB88320)
+const CRC32_TABLE = (function() {
+    const table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c;
+    }
+    return table;
+})();
+
+/**
+ * Minimal ZIP archive writer.
+ * Files are compressed with deflate, archive is created in memory.
+ * Used for Office Open XML documents.
+ */
+class ZipWriter {
+
+    /**
+     * Creates empty archive.
+     */
+    constructor() {
+        this._entries = [];
+    }
+
+    /**
+     * Adds file to archive.
+     *
+     * @param {string} name - File path in archive (separated by '/')
+     * @param {Buffer|string} content - File content (strings are UTF-8 encoded)
+     * @param {Date} [date] - File modification date. Defaults to current date
+     */
+    addFile(name, content, date) {
+        assert.equal(typeof name, "string", "argument 'name' must be string");
+        if (!Buffer.isBuffer(content)) {
+            content = Buffer.from(String(content), "utf8");
+        }
+        this._entries.push({
+            name: Buffer.from(name, "utf8"),
+            content: content,
+            date: date instanceof Date ? date : new Date()
+        });
+    }
+
+    /**
+     * Creates archive content.
+     *
+     * @return {Buffer} ZIP archive
+     */
+    toBuffer() {
+        const parts = [];
+        const centralDirectory = [];
+        let offset = 0;
+        for (let i = 0, l = this._entries.length; i < l; i++) {
+            const entry = this._entries[i];
+            const compressed = zlib.deflateRawSync(entry.content);
+            const crc = ZipWriter.crc32(entry.content);
+            const time = toDOSTime(entry.date);
+            const date = toDOSDate(entry.date);
+            const local = Buffer.alloc(30);
+            local.writeUInt32LE(0x04034B50, 0);
+            local.writeUInt16LE(20, 4);
+            // UTF-8 file names
+            local.writeUInt16LE(0x0800, 6);
+            local.writeUInt16LE(8, 8);
+            local.writeUInt16LE(time, 10);
+            local.writeUInt16LE(date, 12);
+            local.writeUInt32LE(crc, 14);
+            local.writeUInt32LE(compressed.length, 18);
+            local.writeUInt32LE(entry.content.length, 22);
+            local.writeUInt16LE(entry.name.length, 26);
+            local.writeUInt16LE(0, 28);
+            parts.push(local, entry.name, compressed);
+            const central = Buffer.alloc(46);
+            central.writeUInt32LE(0x02014B50, 0);
+            central.writeUInt16LE(20, 4);
+            central.writeUInt16LE(20, 6);
+            central.writeUInt16LE(0x0800, 8);
+            central.writeUInt16LE(8, 10);
+            central.writeUInt16LE(time, 12);
+            central.writeUInt16LE(date, 14);
+            central.writeUInt32LE(crc, 16);
+            central.writeUInt32LE(compressed.length, 20);
+            central.writeUInt32LE(entry.content.length, 24);
+            central.writeUInt16LE(entry.name.length, 28);
+            central.writeUInt16LE(0, 30);
+            central.writeUInt16LE(0, 32);
+            central.writeUInt16LE(0, 34);
+            central.writeUInt16LE(0, 36);
+            central.writeUInt32LE(0, 38);
+            central.writeUInt32LE(offset, 42);
+            centralDirectory.push(central, entry.name);
+            offset += local.length + entry.name.length + compressed.length;
+        }
+        const centralBuffer = Buffer.concat(centralDirectory);
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054B50, 0);
+        end.writeUInt16LE(0, 4);
+        end.writeUInt16LE(0, 6);
+        end.writeUInt16LE(this._entries.length, 8);
+        end.writeUInt16LE(this._entries.length, 10);
+        end.writeUInt32LE(centralBuffer.length, 12);
+        end.writeUInt32LE(offset, 16);
+        end.writeUInt16LE(0, 20);
+        return Buffer.concat(parts.concat([centralBuffer, end]));
+    }
+
+    /**
+     * Calculates CRC-32 checksum.
+     *
+     * @param {Buffer} buffer - Data
+     * @return {number} Unsigned CRC-32 checksum
+     */
+    static crc32(buffer) {
+        let crc = -1;
+        for (let i = 0, l = buffer.length; i < l; i++) {
+            crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ -1) >>> 0;
+    }
+
+}
+
+/**
+ * Converts date to MS-DOS time.
+ *
+ * @param {Date} date - Date
+ * @return {number} MS-DOS time
+ */
+const toDOSTime = function(date) {
+    return (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+};
+
+/**
+ * Converts date to MS-DOS date. Dates before 1980 are stored as 1980-01-01.
+ *
+ * @param {Date} date - Date
+ * @return {number} MS-DOS date
+ */
+const toDOSDate = function(date) {
+    if (date.getFullYear() < 1980) {
+        return (1 << 5) | 1;
+    }
+    return ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+};
+
+module.exports = ZipWriter;
@@ -0,0 +1,145 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const assert = require("assert");
+
+const Exception = require("srv-core").Exception;
+const Log = require("srv-log").Log;
+
+const AsyncUtil = require("../AsyncUtil");
+const MessageBroker = require("./MessageBroker");
+
+/**
+ * Message broker delivering messages within current process.
+ * Default broker of {@link Messaging}. Suitable for single process servers only.
+ *
+ * @extends MessageBroker
+ */
+class InProcessBroker extends MessageBroker {
+
+    /**
+     * Creates in-process message broker.
+     */
+    constructor() {
+        super();
+        this._listeners = {};
+    }
+
+    // Class logger
+    get log() {
+        return _log;
+    }
+
+    /**
+     * Subscribes listener to channel.
+     *
+     * @param {string} channel - Channel name
+     * @param {function} listener - Listener <code>function(message)</code>
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    subscribe(channel, listener, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(InProcessBroker.prototype.subscribe, this, channel, listener);
+        }
+        assert.equal(typeof channel, "string", "argument 'channel' must be string");
+        assert.equal(typeof listener, "function", "argument 'listener' must be function");
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        let listeners = this._listeners[channel];
+        if (!listeners) {
+            listeners = [];
+            this._listeners[channel] = listeners;
+        }
+        if (listeners.indexOf(listener) < 0) {
+            listeners.push(listener);
+        }
+        return callback();
+    }
+
+    /**
+     * Unsubscribes listener from channel.
+     *
+     * @param {string} channel - Channel name
+     * @param {function} listener - Listener previously passed to {@link InProcessBroker#subscribe}
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    unsubscribe(channel, listener, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(InProcessBroker.prototype.unsubscribe, this, channel, listener);
+        }
+        assert.equal(typeof channel, "string", "argument 'channel' must be string");
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        const listeners = this._listeners[channel];
+        if (listeners) {
+            const index = listeners.indexOf(listener);
+            if (index >= 0) {
+                listeners.splice(index, 1);
+            }
+            if (listeners.length === 0) {
+                delete this._listeners[channel];
+            }
+        }
+        return callback();
+    }
+
+    /**
+     * Publishes message to channel.
+     * Listeners are called asynchronously, callback is executed when all listeners were called.
+     *
+     * @param {string} channel - Channel name
+     * @param {Object} message - Message
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    publish(channel, message, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(InProcessBroker.prototype.publish, this, channel, message);
+        }
+        assert.equal(typeof channel, "string", "argument 'channel' must be string");
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        const self = this;
+        // Copy listeners - they can unsubscribe while message is delivered
+        const listeners = (this._listeners[channel] || []).slice();
+        process.nextTick(function() {
+            for (let i = 0, l = listeners.length; i < l; i++) {
+                try {
+                    listeners[i](message);
+                } catch (err) {
+                    // Failed listener should not prevent delivery to others
+                    self.log.error({err: new Exception("Failed to deliver message to channel '" + channel + "'", err)});
+                }
+            }
+            return callback();
+        });
+    }
+
+}
+
+// Static value for InProcessBroker.log
+const _log = new Log(InProcessBroker);
+
+module.exports = InProcessBroker;
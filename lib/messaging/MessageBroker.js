@@ -0,0 +1,92 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const assert = require("assert");
+
+const Exception = require("srv-core").Exception;
+
+const AsyncUtil = require("../AsyncUtil");
+
+/**
+ * Base class (interface) of message brokers used by {@link Messaging}.
+ * Broker delivers messages published to channel to all listeners subscribed to that channel
+ * (possibly in other processes). Messages are plain objects which can be serialized to JSON.
+ * Custom broker should extend this class and implement all methods.
+ */
+class MessageBroker {
+
+    /**
+     * Subscribes listener to channel.
+     * Listener is called with message every time message is published to channel.
+     *
+     * @param {string} channel - Channel name
+     * @param {function} listener - Listener <code>function(message)</code>
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    subscribe(channel, listener, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(MessageBroker.prototype.subscribe, this, channel, listener);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        return callback(new Exception("Method 'subscribe' is not implemented"));
+    }
+
+    /**
+     * Unsubscribes listener from channel.
+     *
+     * @param {string} channel - Channel name
+     * @param {function} listener - Listener previously passed to {@link MessageBroker#subscribe}
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    unsubscribe(channel, listener, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(MessageBroker.prototype.unsubscribe, this, channel, listener);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        return callback(new Exception("Method 'unsubscribe' is not implemented"));
+    }
+
+    /**
+     * Publishes message to channel.
+     *
+     * @param {string} channel - Channel name
+     * @param {Object} message - Message
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    publish(channel, message, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(MessageBroker.prototype.publish, this, channel, message);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        return callback(new Exception("Method 'publish' is not implemented"));
+    }
+
+}
+
+module.exports = MessageBroker;
@@ -0,0 +1,456 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const assert = require("assert");
+const crypto = require("crypto");
+const path = require("path");
+
+const Exception = require("srv-core").Exception;
+const Config = require("srv-config").Config;
+const Log = require("srv-log").Log;
+
+const AsyncUtil = require("../AsyncUtil");
+const Const = require("../Const");
+const InProcessBroker = require("./InProcessBroker");
+const MessagingConnection = require("./MessagingConnection");
+
+// Message broker (created on first use)
+let _broker = null;
+// Application hook authorizing channel subscriptions
+let _authorizer = null;
+// Client connections by connection ID
+const _connections = {};
+// Timer closing expired connections (runs while there are connections)
+let _expiryTimer = null;
+// Client connections subscribed to channel by channel name
+const _subscribers = {};
+
+/**
+ * Server push messaging.
+ * Browsers connect to {@link MessagingCall} route, subscribe to channels and receive messages sent to
+ * these channels with {@link Messaging.send} through Server-Sent Events stream or long-polling.
+ * Messages are distributed by message broker: {@link InProcessBroker} by default or custom
+ * {@link MessageBroker} implementation set with {@link Messaging.broker} or configured with
+ * <code>messaging.broker</code> parameter (module path relative to working directory).
+ * Other configuration parameters (<code>messaging</code> section):
+ * <ul>
+ * <li><code>keepaliveInterval</code> - interval (in seconds) of keepalive comments sent to SSE stream</li>
+ * <li><code>pollTimeout</code> - time (in seconds) long-poll request waits for messages</li>
+ * <li><code>connectionTimeout</code> - time (in seconds) after which connection without open transport is closed</li>
+ * <li><code>maxQueueSize</code> - maximum number of messages queued for connection without open transport</li>
+ * <li><code>maxSessionConnections</code> - maximum number of connections of one HTTP session</li>
+ * <li><code>maxSessionlessConnections</code> - maximum number of connections without HTTP session (all together)</li>
+ * <li><code>maxConnections</code> - maximum number of all client connections</li>
+ * </ul>
+ * Subscriptions to data source changes channels (see {@link DataSource#changesChannel}) require access to
+ * data source, other channels can be restricted with {@link Messaging.authorizer}.
+ */
+class Messaging {
+
+    // Class logger
+    static get log() {
+        return _log;
+    }
+
+    /**
+     * Message broker. Should be set before any messages are sent or connections are made.
+     *
+     * @type {MessageBroker}
+     */
+    static get broker() {
+        if (!_broker) {
+            _broker = createBroker();
+        }
+        return _broker;
+    }
+    static set broker(broker) {
+        assert.ok(broker && typeof broker.publish === "function" && typeof broker.subscribe === "function"
+            && typeof broker.unsubscribe === "function", "argument 'broker' must implement MessageBroker");
+        _broker = broker;
+    }
+
+    /**
+     * Application hook authorizing channel subscriptions: <code>function(channel, context, callback)</code>.
+     * Context has <code>user</code>, <code>req</code> and <code>connection</code> properties.
+     * Hook declaring third (callback) parameter must call it, otherwise it should return result (or Promise).
+     * Subscription is allowed if result is <code>true</code>. All subscriptions are allowed if hook is not set.
+     *
+     * @type {function|null}
+     */
+    static get authorizer() {
+        return _authorizer;
+    }
+    static set authorizer(authorizer) {
+        assert.ok(authorizer === null || typeof authorizer === "function", "argument 'authorizer' must be function");
+        _authorizer = authorizer;
+    }
+
+    /**
+     * Interval of keepalive comments sent to SSE stream (milliseconds).
+     *
+     * @type {number}
+     */
+    static get keepaliveInterval() {
+        return getConfigNumber(Const.MESSAGING_KEEPALIVE_INTERVAL, Const.DEFAULT_MESSAGING_KEEPALIVE_INTERVAL) * 1000;
+    }
+
+    /**
+     * Time long-poll request waits for messages (milliseconds).
+     *
+     * @type {number}
+     */
+    static get pollTimeout() {
+        return getConfigNumber(Const.MESSAGING_POLL_TIMEOUT, Const.DEFAULT_MESSAGING_POLL_TIMEOUT) * 1000;
+    }
+
+    /**
+     * Sends message to all clients subscribed to channel.
+     * Clients receive message as object with <code>channel</code>, <code>data</code> and
+     * <code>timestamp</code> (ISO 8601 string) properties.
+     * Supported options:
+     * <ul>
+     * <li><code>excludeSessionID</code> - ID of HTTP session whose connections do not receive message
+     *      (e.g. session which made the change)</li>
+     * </ul>
+     *
+     * @param {string} channel - Channel name
+     * @param {*} data - Message data (must be serializable to JSON, otherwise callback receives error)
+     * @param {Object} [options] - Send options
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    static send(channel, data, options, callback) {
+        if (typeof options !== "function" && !callback) {
+            return AsyncUtil.toPromise(Messaging.send, Messaging, channel, data, options || null);
+        }
+        if (!callback) {
+            callback = options;
+            options = null;
+        }
+        assert.equal(typeof channel, "string", "argument 'channel' must be string");
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        options = options || {};
+        // Message is serialized once here, so it can not fail later while delivered to connections
+        let payload;
+        try {
+            payload = JSON.stringify({
+                channel: channel,
+                data: (data === undefined) ? null : data,
+                timestamp: new Date().toISOString()
+            });
+        } catch (err) {
+            return callback(new Exception("Failed to serialize message to channel '" + channel + "'", err));
+        }
+        const message = {
+            channel: channel,
+            payload: payload
+        };
+        if (typeof options.excludeSessionID === "string") {
+            message.excludeSessionID = options.excludeSessionID;
+        }
+        Messaging.broker.publish(channel, message, function(err) {
+            if (err) {
+                return callback(new Exception("Failed to send message to channel '" + channel + "'", err));
+            }
+            return callback();
+        });
+    }
+
+    /**
+     * Creates new client connection.
+     * Connection is not created if number of connections of session (<code>messaging.maxSessionConnections</code>),
+     * number of connections without session (<code>messaging.maxSessionlessConnections</code>)
+     * or number of all connections (<code>messaging.maxConnections</code>) would exceed maximum.
+     *
+     * @param {string|null} [sessionID] - ID of HTTP session connection belongs to
+     * @return {MessagingConnection|null} Connection or <code>null</code> if maximum number of connections is reached
+     */
+    static createConnection(sessionID) {
+        Messaging._closeExpiredConnections();
+        const IDs = Object.keys(_connections);
+        if (IDs.length >= getConfigNumber(Const.MESSAGING_MAX_CONNECTIONS, Const.DEFAULT_MESSAGING_MAX_CONNECTIONS)) {
+            Messaging.log.warn("Maximum number of messaging connections is reached");
+            return null;
+        }
+        // Connections without session are limited together
+        sessionID = (typeof sessionID === "string") ? sessionID : null;
+        const maxSessionConnections = (sessionID === null)
+            ? getConfigNumber(Const.MESSAGING_MAX_SESSIONLESS_CONNECTIONS,
+                Const.DEFAULT_MESSAGING_MAX_SESSIONLESS_CONNECTIONS)
+            : getConfigNumber(Const.MESSAGING_MAX_SESSION_CONNECTIONS, Const.DEFAULT_MESSAGING_MAX_SESSION_CONNECTIONS);
+        let sessionConnections = 0;
+        for (let i = 0, l = IDs.length; i < l; i++) {
+            if (_connections[IDs[i]].sessionID === sessionID) {
+                sessionConnections++;
+            }
+        }
+        if (sessionConnections >= maxSessionConnections) {
+            Messaging.log.warn("Maximum number of messaging connections "
+                + (sessionID === null ? "without session" : "of session") + " is reached");
+            return null;
+        }
+        startExpiryTimer();
+        const ID = crypto.randomBytes(16).toString("hex");
+        const connection = new MessagingConnection(ID, sessionID,
+            getConfigNumber(Const.MESSAGING_MAX_QUEUE_SIZE, Const.DEFAULT_MESSAGING_MAX_QUEUE_SIZE));
+        _connections[ID] = connection;
+        Messaging.log.debug("Messaging connection '" + ID + "' created");
+        return connection;
+    }
+
+    /**
+     * Returns client connection.
+     *
+     * @param {string} ID - Connection ID
+     * @return {MessagingConnection|null} Connection or <code>null</code> if it does not exist or has expired
+     */
+    static getConnection(ID) {
+        Messaging._closeExpiredConnections();
+        return (typeof ID === "string" && _connections.hasOwnProperty(ID)) ? _connections[ID] : null;
+    }
+
+    /**
+     * Subscribes connection to channels.
+     *
+     * @param {MessagingConnection} connection - Connection
+     * @param {string[]} channels - Channel names
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    static subscribe(connection, channels, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(Messaging.subscribe, Messaging, connection, channels);
+        }
+        assert.ok(Array.isArray(channels), "argument 'channels' must be array");
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        const next = function(index) {
+            if (index >= channels.length) {
+                return callback();
+            }
+            const channel = channels[index];
+            if (connection.channels.indexOf(channel) >= 0) {
+                return next(index + 1);
+            }
+            connection.channels.push(channel);
+            if (_subscribers[channel]) {
+                _subscribers[channel].push(connection);
+                return next(index + 1);
+            }
+            // First local subscriber of channel - subscribe to broker
+            _subscribers[channel] = [connection];
+            Messaging.broker.subscribe(channel, deliver, function(err) {
+                if (err) {
+                    removeSubscriber(connection, channel);
+                    return callback(new Exception("Failed to subscribe to channel '" + channel + "'", err));
+                }
+                return next(index + 1);
+            });
+        };
+        return next(0);
+    }
+
+    /**
+     * Unsubscribes connection from channels.
+     *
+     * @param {MessagingConnection} connection - Connection
+     * @param {string[]} channels - Channel names
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    static unsubscribe(connection, channels, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(Messaging.unsubscribe, Messaging, connection, channels);
+        }
+        assert.ok(Array.isArray(channels), "argument 'channels' must be array");
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        const next = function(index) {
+            if (index >= channels.length) {
+                return callback();
+            }
+            const channel = channels[index];
+            if (!removeSubscriber(connection, channel)) {
+                return next(index + 1);
+            }
+            // Last local subscriber of channel - unsubscribe from broker
+            Messaging.broker.unsubscribe(channel, deliver, function(err) {
+                if (err) {
+                    return callback(new Exception("Failed to unsubscribe from channel '" + channel + "'", err));
+                }
+                return next(index + 1);
+            });
+        };
+        return next(0);
+    }
+
+    /**
+     * Closes connection: closes its transport and unsubscribes it from all channels.
+     *
+     * @param {MessagingConnection} connection - Connection
+     * @param {function} [callback] - Callback executed when finished. Promise is returned if not provided
+     */
+    static closeConnection(connection, callback) {
+        if (!callback) {
+            return AsyncUtil.toPromise(Messaging.closeConnection, Messaging, connection);
+        }
+        assert.equal(typeof callback, "function", "argument 'callback' must be function");
+        if (_connections[connection.ID] === connection) {
+            delete _connections[connection.ID];
+            Messaging.log.debug("Messaging connection '" + connection.ID + "' closed");
+            if (Object.keys(_connections).length === 0) {
+                stopExpiryTimer();
+            }
+        }
+        connection.close();
+        return Messaging.unsubscribe(connection, connection.channels.slice(), callback);
+    }
+
+    /**
+     * Internal method for closing connections without open transport for longer than
+     * <code>messaging.connectionTimeout</code> seconds.
+     * Called periodically while there are connections and before connections are created or looked up.
+     */
+    static _closeExpiredConnections() {
+        const timeout = getConfigNumber(Const.MESSAGING_CONNECTION_TIMEOUT, Const.DEFAULT_MESSAGING_CONNECTION_TIMEOUT) * 1000;
+        const IDs = Object.keys(_connections);
+        for (let i = 0, l = IDs.length; i < l; i++) {
+            if (_connections[IDs[i]].isExpired(timeout)) {
+                Messaging.closeConnection(_connections[IDs[i]], function(err) {
+                    if (err) {
+                        Messaging.log.error({err: err});
+                    }
+                });
+            }
+        }
+    }
+
+}
+
+/**
+ * Starts timer closing expired connections if it is not running.
+ * Timer does not keep process running.
+ */
+const startExpiryTimer = function() {
+    if (_expiryTimer) {
+        return;
+    }
+    const interval = getConfigNumber(Const.MESSAGING_CONNECTION_TIMEOUT, Const.DEFAULT_MESSAGING_CONNECTION_TIMEOUT) * 1000;
+    _expiryTimer = setInterval(Messaging._closeExpiredConnections, interval);
+    _expiryTimer.unref();
+};
+
+/**
+ * Stops timer closing expired connections.
+ */
+const stopExpiryTimer = function() {
+    if (_expiryTimer) {
+        clearInterval(_expiryTimer);
+        _expiryTimer = null;
+    }
+};
+
+/**
+ * Broker listener delivering message to local connections subscribed to message channel.
+ * Message has <code>channel</code>, <code>payload</code> (message serialized for clients by
+ * {@link Messaging.send}) and optional <code>excludeSessionID</code>.
+ *
+ * @param {Object} message - Message
+ */
+const deliver = function(message) {
+    const connections = (message && typeof message.payload === "string") ? _subscribers[message.channel] : null;
+    if (!connections) {
+        return;
+    }
+    const excludeSessionID = (typeof message.excludeSessionID === "string") ? message.excludeSessionID : null;
+    // Copy connections - they can be closed while message is delivered
+    const targets = connections.slice();
+    for (let i = 0, l = targets.length; i < l; i++) {
+        if (excludeSessionID === null || targets[i].sessionID !== excludeSessionID) {
+            try {
+                targets[i].deliver(message.payload);
+            } catch (err) {
+                // Failure of one connection does not stop delivery to others
+                Messaging.log.error({err: new Exception("Failed to deliver message to messaging connection '"
+                    + targets[i].ID + "'", err)});
+            }
+        }
+    }
+};
+
+/**
+ * Removes connection from local subscribers of channel.
+ *
+ * @param {MessagingConnection} connection - Connection
+ * @param {string} channel - Channel name
+ * @return {boolean} <code>true</code> if channel has no local subscribers left
+ */
+const removeSubscriber = function(connection, channel) {
+    const index = connection.channels.indexOf(channel);
+    if (index < 0) {
+        return false;
+    }
+    connection.channels.splice(index, 1);
+    const connections = _subscribers[channel] || [];
+    const subscriberIndex = connections.indexOf(connection);
+    if (subscriberIndex >= 0) {
+        connections.splice(subscriberIndex, 1);
+    }
+    if (connections.length > 0) {
+        return false;
+    }
+    delete _subscribers[channel];
+    return true;
+};
+
+/**
+ * Creates message broker configured with <code>messaging.broker</code> parameter or {@link InProcessBroker}.
+ *
+ * @return {MessageBroker} Message broker
+ */
+const createBroker = function() {
+    const brokerPath = Config.getValue("messaging." + Const.MESSAGING_BROKER);
+    if (typeof brokerPath !== "string" || brokerPath.trim() === "") {
+        return new InProcessBroker();
+    }
+    const BrokerClass = require(path.join(process.cwd(), brokerPath.trim()));
+    return new BrokerClass();
+};
+
+/**
+ * Returns positive number configuration parameter of <code>messaging</code> section.
+ *
+ * @param {string} name - Parameter name
+ * @param {number} defaultValue - Value used if parameter is not set or invalid
+ * @return {number} Value
+ */
+const getConfigNumber = function(name, defaultValue) {
+    const value = parseInt(Config.getValue("messaging." + name), 10);
+    return (isNaN(value) || value <= 0) ? defaultValue : value;
+};
+
+// Static value for Messaging.log
+const _log = new Log(Messaging);
+
+module.exports = Messaging;
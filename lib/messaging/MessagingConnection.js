@@ -0,0 +1,272 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const assert = require("assert");
+
+/**
+ * Client connection to messaging.
+ * Connection is subscribed to channels and receives their messages through open transport:
+ * Server-Sent Events stream or long-poll request. Messages received while transport is not open
+ * are queued and delivered when it is opened again.
+ */
+class MessagingConnection {
+
+    /**
+     * Creates messaging connection.
+     *
+     * @param {string} ID - Connection ID
+     * @param {string|null} [sessionID] - ID of HTTP session connection belongs to
+     * @param {number} [maxQueueSize] - Maximum number of queued messages (oldest are dropped)
+     */
+    constructor(ID, sessionID, maxQueueSize) {
+        assert.equal(typeof ID, "string", "argument 'ID' must be string");
+        this._ID = ID;
+        this._sessionID = (typeof sessionID === "string") ? sessionID : null;
+        this._maxQueueSize = maxQueueSize > 0 ? maxQueueSize : Infinity;
+        this._channels = [];
+        this._queue = [];
+        this._lastMessageID = 0;
+        this._lastAccess = Date.now();
+        // Open transport: {type, res, timer}
+        this._transport = null;
+    }
+
+    /**
+     * Connection ID.
+     *
+     * @type {string}
+     */
+    get ID() {
+        return this._ID;
+    }
+
+    /**
+     * ID of HTTP session connection belongs to. <code>null</code> if there is no session.
+     *
+     * @type {string|null}
+     */
+    get sessionID() {
+        return this._sessionID;
+    }
+
+    /**
+     * Names of channels connection is subscribed to.
+     *
+     * @type {string[]}
+     */
+    get channels() {
+        return this._channels;
+    }
+
+    /**
+     * <code>true</code> if connection has open transport.
+     *
+     * @type {boolean}
+     */
+    get isActive() {
+        return this._transport !== null;
+    }
+
+    /**
+     * Time of last activity of this connection (milliseconds).
+     *
+     * @type {number}
+     */
+    get lastAccess() {
+        return this._lastAccess;
+    }
+
+    /**
+     * Returns <code>true</code> if connection has no open transport for longer than timeout.
+     *
+     * @param {number} timeout - Timeout (milliseconds)
+     * @return {boolean}
+     */
+    isExpired(timeout) {
+        return !this.isActive && this._lastAccess < Date.now() - timeout;
+    }
+
+    /**
+     * Delivers message to client or queues it if transport is not open.
+     *
+     * @param {string} payload - Message serialized to JSON
+     */
+    deliver(payload) {
+        assert.equal(typeof payload, "string", "argument 'payload' must be string");
+        this._lastMessageID++;
+        const entry = {ID: this._lastMessageID, payload: payload};
+        const transport = this._transport;
+        if (transport && transport.type === "sse") {
+            writeEvent(transport.res, "message", entry.payload, entry.ID);
+            return;
+        }
+        this._queue.push(entry);
+        if (this._queue.length > this._maxQueueSize) {
+            this._queue.shift();
+        }
+        if (transport) {
+            this._flushPoll();
+        }
+    }
+
+    /**
+     * Opens Server-Sent Events stream. Queued messages are sent immediately.
+     * Stream is kept open until client disconnects or connection is closed.
+     *
+     * @param {http.ServerResponse} res - HTTP response
+     * @param {number} keepaliveInterval - Interval of keepalive comments (milliseconds)
+     */
+    openStream(res, keepaliveInterval) {
+        const self = this;
+        this.close();
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream; charset=utf-8",
+            "Cache-Control": "no-cache",
+            "Connection": "keep-alive",
+            // Disable buffering of proxies (e.g. nginx)
+            "X-Accel-Buffering": "no"
+        });
+        const transport = {type: "sse", res: res, timer: null};
+        transport.timer = setInterval(function() {
+            res.write(": keepalive\n\n");
+        }, keepaliveInterval);
+        this._attach(transport);
+        writeEvent(res, "connect", JSON.stringify({connectionID: this.ID, channels: this.channels}));
+        const queue = this._queue;
+        this._queue = [];
+        for (let i = 0, l = queue.length; i < l; i++) {
+            writeEvent(res, "message", queue[i].payload, queue[i].ID);
+        }
+        res.on("close", function() {
+            self._detach(transport);
+        });
+    }
+
+    /**
+     * Waits for messages (long-polling). Responds immediately if there are queued messages,
+     * otherwise when message is received or timeout elapses.
+     * Response is JSON object with <code>connectionID</code>, <code>channels</code> and <code>messages</code>.
+     *
+     * @param {http.ServerResponse} res - HTTP response
+     * @param {number} timeout - Time to wait for messages (milliseconds)
+     */
+    poll(res, timeout) {
+        const self = this;
+        this.close();
+        const transport = {type: "poll", res: res, timer: null};
+        this._attach(transport);
+        if (this._queue.length > 0) {
+            return this._flushPoll();
+        }
+        transport.timer = setTimeout(function() {
+            self._flushPoll();
+        }, timeout);
+        res.on("close", function() {
+            self._detach(transport);
+        });
+    }
+
+    /**
+     * Closes open transport (if any). Pending long-poll request receives queued messages.
+     */
+    close() {
+        const transport = this._transport;
+        if (!transport) {
+            return;
+        }
+        if (transport.type === "poll") {
+            return this._flushPoll();
+        }
+        this._detach(transport);
+        transport.res.end();
+    }
+
+    /**
+     * Sends queued messages to pending long-poll request and detaches it.
+     *
+     * @private
+     */
+    _flushPoll() {
+        const transport = this._transport;
+        this._detach(transport);
+        const payloads = this._queue.map(function(entry) {
+            return entry.payload;
+        });
+        this._queue = [];
+        const res = transport.res;
+        res.set("Cache-Control", "no-cache");
+        // Messages are already serialized
+        res.status(200).type("application/json").send("{\"connectionID\":" + JSON.stringify(this.ID)
+            + ",\"channels\":" + JSON.stringify(this.channels) + ",\"messages\":[" + payloads.join(",") + "]}");
+    }
+
+    /**
+     * Makes transport open transport of connection.
+     *
+     * @param {Object} transport - Transport
+     * @private
+     */
+    _attach(transport) {
+        this._transport = transport;
+        this._lastAccess = Date.now();
+    }
+
+    /**
+     * Detaches transport if it is open transport of connection.
+     *
+     * @param {Object} transport - Transport
+     * @private
+     */
+    _detach(transport) {
+        if (transport.timer) {
+            clearInterval(transport.timer);
+            transport.timer = null;
+        }
+        if (this._transport === transport) {
+            this._transport = null;
+            this._lastAccess = Date.now();
+        }
+    }
+
+}
+
+/**
+ * Writes event to Server-Sent Events stream.
+ *
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {string} event - Event name
+ * @param {string} data - Event data serialized to JSON
+ * @param {number} [ID] - Event ID
+ */
+const writeEvent = function(res, event, data, ID) {
+    // JSON does not contain line breaks - single data line is enough
+    res.write((ID ? "id: " + ID + "\n" : "") + "event: " + event + "\ndata: " + data + "\n\n");
+};
+
+module.exports = MessagingConnection;
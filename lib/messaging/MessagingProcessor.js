@@ -0,0 +1,363 @@
+/*
+
+  Isomorphic SmartClient Node.js Server
+  Copyright 2017 and beyond Isomorphic Software, Inc. All rights reserved.
+  "SmartClient" is a trademark of Isomorphic Software, Inc.
+
+  LICENSE NOTICE
+     INSTALLATION OR USE OF THIS SOFTWARE INDICATES YOUR ACCEPTANCE
+     OF ISOMORPHIC SOFTWARE LICENSE TERMS. If you have received this file
+     without an accompanying Isomorphic Software license file, please
+     contact licensing@isomorphic.com for details. Unauthorized copying and
+     use of this software is a violation of international copyright law.
+
+  LGPL LICENSE
+     This software may be used under the terms of the Lesser GNU Public License (LGPL),
+     version 3.0 (see http://www.gnu.org/licenses/lgpl-3.0.html).  The LGPL is generally
+     considered a commercial-friendly license, and is used by the Hibernate framework
+     among others.  For any questions about the LGPL, please refer to a qualified attorney;
+     Isomorphic does not provide legal advice.
+
+  OTHER LICENSE OPTIONS
+     Alternative licensing terms, including licenses with no requirement to make modifications
+     publicly available, can be arranged by contacting Isomorphic Software by email
+     (licensing@isomorphic.com) or web (www.isomorphic.com).
+
+*/
+
+"use strict";
+
+const assert = require("assert");
+
+const Exception = require("srv-core").Exception;
+const Log = require("srv-log").Log;
+const Util = require("srv-util").Util;
+
+const AsyncUtil = require("../AsyncUtil");
+const Const = require("../Const");
+const DataSourcePool = require("../datasource/DataSourcePool");
+const Security = require("../Security");
+const Messaging = require("./Messaging");
+
+/**
+ * Class for processing messaging requests.
+ * Request parameters (query or body):
+ * <ul>
+ * <li><code>action</code> - <code>connect</code> (default), <code>subscribe</code>, <code>unsubscribe</code>
+ *      or <code>disconnect</code></li>
+ * <li><code>connectionID</code> - connection ID returned by previous request; new connection is created
+ *      for <code>connect</code> and <code>subscribe</code> if not specified or expired</li>
+ * <li><code>channels</code> - channel names (array or comma separated string)</li>
+ * <li><code>transport</code> - <code>sse</code> or <code>longpoll</code> for <code>connect</code> action;
+ *      if not specified SSE is used when client accepts <code>text/event-stream</code></li>
+ * </ul>
+ * <code>subscribe</code>, <code>unsubscribe</code> and <code>disconnect</code> actions respond with JSON object
+ * with <code>connectionID</code> and <code>channels</code>. <code>connect</code> action opens transport
+ * (see {@link MessagingConnection}).
+ * New connection is refused (status 429) if maximum number of connections is reached
+ * (see {@link Messaging.createConnection}).
+ * Subscription is denied (status 403) if current user has no access to data source of changes channel
+ * or channel is rejected by {@link Messaging.authorizer}.
+ */
+class MessagingProcessor {
+
+    /**
+     * Creates MessagingProcessor instance.
+     *
+     * @param {http.ClientRequest} req - HTTP request
+     * @param {http.ServerResponse} res - HTTP reponse
+     */
+    constructor(req, res) {
+        assert.equal(typeof req, "object", "argument 'req' must be object");
+        assert.equal(typeof res, "object", "argument 'res' must be object");
+        this._req = req;
+        this._res = res;
+        // Hack for reusing request log
+        const reqLog = new Log();
+        reqLog._log = req.log;
+        this._log = new Log(MessagingProcessor, reqLog);
+    }
+
+    /**
+     * Class logger.
+     *
+     * @type {Log}
+     */
+    get log() {
+        return this._log;
+    }
+
+    /**
+     * HTTP request beeing processed.
+     *
+     * @type {http.ClientRequest}
+     */
+    get req() {
+        return this._req;
+    }
+
+    /**
+     * HTTP response beeing processed.
+     *
+     * @type {http.ServerResponse}
+     */
+    get res() {
+        return this._res;
+    }
+
+    /**
+     * ID of HTTP session. <code>null</code> if there is no session.
+     *
+     * @type {string|null}
+     */
+    get sessionID() {
+        return (typeof this.req.sessionID === "string") ? this.req.sessionID : null;
+    }
+
+    /**
+     * Requested action.
+     *
+     * @type {string}
+     */
+    get action() {
+        const action = Util.concatenate(this._getParam(Const.MESSAGING_ACTION)).trim();
+        return action === "" ? Const.MESSAGING_ACTION_CONNECT : action;
+    }
+
+    /**
+     * Requested channel names.
+     *
+     * @type {string[]}
+     */
+    get channels() {
+        let channels = this._getParam(Const.MESSAGING_CHANNELS);
+        if (channels === undefined || channels === null) {
+            return [];
+        }
+        if (!Array.isArray(channels)) {
+            channels = String(channels).split(",");
+        }
+        const result = [];
+        for (let i = 0, l = channels.length; i < l; i++) {
+            const channel = Util.concatenate(channels[i]).trim();
+            if (channel !== "" && result.indexOf(channel) < 0) {
+                result.push(channel);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * <code>true</code> if Server-Sent Events transport is requested (or accepted by client if
+     * transport is not specified).
+     *
+     * @type {boolean}
+     */
+    get isSSE() {
+        const transport = Util.concatenate(this._getParam(Const.MESSAGING_TRANSPORT)).trim();
+        if (transport !== "") {
+            return transport === Const.MESSAGING_TRANSPORT_SSE;
+        }
+        return /text\/event-stream/i.test(Util.concatenate(this.req.headers ? this.req.headers.accept : ""));
+    }
+
+    /**
+     * Processes messaging request.
+     */
+    processRequest() {
+        const self = this;
+        const action = this.action;
+        if ([Const.MESSAGING_ACTION_CONNECT, Const.MESSAGING_ACTION_SUBSCRIBE, Const.MESSAGING_ACTION_UNSUBSCRIBE,
+                Const.MESSAGING_ACTION_DISCONNECT].indexOf(action) < 0) {
+            return this._sendError(400, "Unsupported messaging action '" + action + "'");
+        }
+        const connectionID = Util.concatenate(this._getParam(Const.MESSAGING_CONNECTION_ID)).trim();
+        let connection = Messaging.getConnection(connectionID);
+        let created = false;
+        if (connection && connection.sessionID !== this.sessionID) {
+            return this._sendError(403, "Messaging connection '" + connectionID + "' belongs to other session");
+        }
+        if (!connection) {
+            if (action === Const.MESSAGING_ACTION_UNSUBSCRIBE || action === Const.MESSAGING_ACTION_DISCONNECT) {
+                return this._sendError(404, "Messaging connection '" + connectionID + "' does not exist");
+            }
+            connection = Messaging.createConnection(this.sessionID);
+            if (!connection) {
+                return this._sendError(429, "Too many messaging connections");
+            }
+            created = true;
+        }
+        const done = function(err) {
+            if (err) {
+                self.log.error({err: err});
+                return self._sendError(500, err.message);
+            }
+            if (action === Const.MESSAGING_ACTION_CONNECT) {
+                if (self.isSSE) {
+                    return connection.openStream(self.res, Messaging.keepaliveInterval);
+                }
+                return connection.poll(self.res, Messaging.pollTimeout);
+            }
+            return self._sendJSON(200, {connectionID: connection.ID, channels: connection.channels});
+        };
+        switch (action) {
+            case Const.MESSAGING_ACTION_UNSUBSCRIBE:
+                return Messaging.unsubscribe(connection, this.channels, done);
+            case Const.MESSAGING_ACTION_DISCONNECT:
+                return Messaging.closeConnection(connection, done);
+            default: {
+                const channels = this.channels;
+                return this._checkChannelAccess(connection, channels, function(err, denied) {
+                    if (err) {
+                        return done(err);
+                    }
+                    if (denied) {
+                        if (created) {
+                            // Connection created by this request is not used
+                            Messaging.closeConnection(connection, function(err) {
+                                if (err) {
+                                    self.log.error({err: err});
+                                }
+                            });
+                        }
+                        return self._sendError(403, "Subscription to channel '" + denied + "' is not allowed");
+                    }
+                    return Messaging.subscribe(connection, channels, done);
+                });
+            }
+        }
+    }
+
+    /**
+     * Checks if current user can subscribe connection to channels.
+     * Callback receives name of first denied channel or <code>null</code> if all channels are allowed.
+     *
+     * @param {MessagingConnection} connection - Connection
+     * @param {string[]} channels - Channel names
+     * @param {function} callback - Callback executed when finished
+     * @private
+     */
+    _checkChannelAccess(connection, channels, callback) {
+        const self = this;
+        const context = {
+            user: Security.getUser(this.req),
+            req: this.req,
+            connection: connection
+        };
+        const next = function(index) {
+            if (index >= channels.length) {
+                return callback(null, null);
+            }
+            const channel = channels[index];
+            if (connection.channels.indexOf(channel) >= 0) {
+                return next(index + 1);
+            }
+            self._checkChangesChannelAccess(channel, context, function(err, allowed) {
+                if (err || !allowed) {
+                    return callback(err, channel);
+                }
+                const authorizer = Messaging.authorizer;
+                if (!authorizer) {
+                    return next(index + 1);
+                }
+                // Authorizer without callback parameter returns result
+                const fn = (authorizer.length >= 3) ? authorizer : function(channel, context) {
+                    return Promise.resolve(authorizer(channel, context));
+                };
+                AsyncUtil.invoke(fn, null, [channel, context], function(err, result) {
+                    if (err) {
+                        self.log.error({err: new Exception("Failed to authorize channel '" + channel + "'", err)});
+                        return callback(null, channel);
+                    }
+                    if (result !== true) {
+                        return callback(null, channel);
+                    }
+                    return next(index + 1);
+                });
+            });
+        };
+        return next(0);
+    }
+
+    /**
+     * Checks access to data source of changes channel (see {@link DataSource#changesChannel}):
+     * security settings of data source and its default fetch operation binding (see {@link DSRequest#checkAccess}).
+     * Callback receives <code>true</code> if channel is not changes channel or access is allowed.
+     *
+     * @param {string} channel - Channel name
+     * @param {Object} context - Check context
+     * @param {function} callback - Callback executed when finished
+     * @private
+     */
+    _checkChangesChannelAccess(channel, context, callback) {
+        if (channel.indexOf(Const.CHANGES_CHANNEL_PREFIX) !== 0) {
+            return callback(null, true);
+        }
+        const self = this;
+        const dsName = channel.substring(Const.CHANGES_CHANNEL_PREFIX.length);
+        if (!DataSourcePool.isDefined(dsName)) {
+            return callback(null, false);
+        }
+        DataSourcePool.acquire(dsName, function(err, dataSource) {
+            if (err) {
+                self.log.debug("Data source of channel '" + channel + "' can not be loaded: " + err.message);
+                return callback(null, false);
+            }
+            // Changes deliver records - same settings as for client fetch with default operation binding
+            const operationBinding = dataSource.getOperationBinding(Const.OPERATION_TYPE_FETCH, null);
+            const dsContext = Object.assign({dataSource: dataSource, operationBinding: operationBinding}, context);
+            Security.checkAccess(Security.getSettings(dataSource.config, operationBinding), dsContext, function(err, status) {
+                DataSourcePool.release(dsName, dataSource, function(errRelease) {
+                    if (errRelease) {
+                        self.log.error({err: errRelease});
+                    }
+                    return callback(err, !err && status === null);
+                });
+            });
+        });
+    }
+
+    /**
+     * Returns request parameter from query or body.
+     *
+     * @param {string} name - Parameter name
+     * @return {*} Parameter value
+     * @private
+     */
+    _getParam(name) {
+        if (this.req.query && this.req.query[name] !== undefined) {
+            return this.req.query[name];
+        }
+        if (this.req.body && typeof this.req.body === "object") {
+            return this.req.body[name];
+        }
+        return undefined;
+    }
+
+    /**
+     * Sends error response.
+     *
+     * @param {number} status - HTTP status
+     * @param {string} message - Error message
+     * @private
+     */
+    _sendError(status, message) {
+        this.log.debug("Messaging request failed: " + message);
+        return this._sendJSON(status, {error: message});
+    }
+
+    /**
+     * Sends JSON response.
+     *
+     * @param {number} status - HTTP status
+     * @param {Object} data - Response data
+     * @private
+     */
+    _sendJSON(status, data) {
+        this.res.set("Cache-Control", "no-cache");
+        this.res.status(status).type("application/json").send(JSON.stringify(data));
+    }
+
+}
+
+module.exports = MessagingProcessor;